@@ -0,0 +1,543 @@
+// attendance.js - Versioned attendance writes, registers (export), analytics and history
+
+const express = require("express");
+const xlsx = require("xlsx");
+const { User, Attendance, AttendanceRevision } = require("./models");
+const { requireRole, authorizeStudent, authorizeMentor } = require("./policy");
+
+const router = express.Router();
+
+/* ---------------------------
+Helpers
+---------------------------- */
+const normalize = (s) => String(s || "").trim();
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/; // dates are stored as YYYY-MM-DD strings
+
+const STATUS_CODES = { present: "P", absent: "A", excused: "E", "on-duty": "OD" };
+
+const DEFAULT_THRESHOLD = Number(process.env.ATTENDANCE_THRESHOLD) || 75;
+
+const pct = (part, whole) => (whole ? Math.round((part / whole) * 10000) / 100 : 0);
+
+// Threshold as a percentage (e.g. 75) from ?threshold=, falling back to ATTENDANCE_THRESHOLD
+function readThreshold(value) {
+  if (value === undefined || value === "") return DEFAULT_THRESHOLD;
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 && n <= 100 ? n : null;
+}
+
+/**
+ * Consecutive classes a student must attend to reach the threshold:
+ * smallest x with (present + x) / (total + x) >= threshold.
+ */
+function classesNeeded(present, total, threshold) {
+  const t = threshold / 100;
+  if (present >= t * total) return 0;
+  if (t >= 1) return null; // 100% is unreachable once a class is missed
+  return Math.ceil((t * total - present) / (1 - t));
+}
+
+// ?excludeExcused=true drops excused/on-duty classes from the percentage
+const readExcludeExcused = (value) => String(value) === "true";
+
+/**
+ * Counts -> stats for one subject (or "ALL"). Excused and on-duty classes are
+ * reported separately; with excludeExcused they leave the denominator.
+ */
+function subjectStats({ subject, total, present, excused = 0, onDuty = 0 }, threshold, { excludeExcused = false } = {}) {
+  const counted = excludeExcused ? total - excused - onDuty : total;
+  const percentage = pct(present, counted);
+  return {
+    subject,
+    total,
+    present,
+    absent: total - present - excused - onDuty,
+    excused,
+    onDuty,
+    percentage,
+    belowThreshold: percentage < threshold,
+    classesNeeded: classesNeeded(present, counted, threshold),
+  };
+}
+
+const countStatus = (status) => ({ $sum: { $cond: [{ $eq: ["$status", status] }, 1, 0] } });
+
+// Aggregation stages: per (student, subject) counts by status
+function subjectCountStages(match) {
+  return [
+    { $match: match },
+    {
+      $group: {
+        _id: { studentEmail: "$studentEmail", subject: "$subject" },
+        total: { $sum: 1 },
+        present: countStatus("present"),
+        excused: countStatus("excused"),
+        onDuty: countStatus("on-duty"),
+      },
+    },
+  ];
+}
+
+/**
+ * Build the Attendance filter shared by register/analytics routes from
+ * { mentorTeacherEmail, subject, from, to }. Returns { error } on bad input.
+ */
+function buildAttendanceMatch({ mentorTeacherEmail, subject, from, to }) {
+  const match = {};
+  if (mentorTeacherEmail) match.mentorTeacherEmail = mentorTeacherEmail;
+  if (normalize(subject)) match.subject = normalize(subject);
+
+  if ((from && !DATE_RE.test(from)) || (to && !DATE_RE.test(to))) {
+    return { error: "from/to must be dates in YYYY-MM-DD format" };
+  }
+  if (from || to) {
+    match.date = {};
+    if (from) match.date.$gte = from;
+    if (to) match.date.$lte = to;
+  }
+  return { match };
+}
+
+/**
+ * Per-subject and overall attendance of one student (already authorized).
+ * Returns { from, to, threshold, excludeExcused, overall, subjects } or { error }.
+ */
+async function studentSubjectAttendance(
+  studentEmail,
+  { from, to, subject, threshold = DEFAULT_THRESHOLD, excludeExcused = false } = {}
+) {
+  const { match, error } = buildAttendanceMatch({ subject, from, to });
+  if (error) return { error };
+  match.studentEmail = studentEmail; // { studentEmail, date } index
+
+  const groups = await Attendance.aggregate([
+    ...subjectCountStages(match),
+    { $sort: { "_id.subject": 1 } },
+  ]);
+
+  const options = { excludeExcused };
+  const subjects = groups.map((g) => subjectStats({ subject: g._id.subject, ...g }, threshold, options));
+  const sum = (field) => subjects.reduce((n, s) => n + s[field], 0);
+
+  return {
+    from: from || null,
+    to: to || null,
+    threshold,
+    excludeExcused,
+    overall: subjectStats(
+      { subject: "ALL", total: sum("total"), present: sum("present"), excused: sum("excused"), onDuty: sum("onDuty") },
+      threshold,
+      options
+    ),
+    subjects,
+  };
+}
+
+/**
+ * Teachers always export their own mentees; admins may name a mentor or
+ * leave it out to export a subject across every mentor.
+ */
+function resolveRegisterMentor(req, res) {
+  if (req.user.role === "admin" && !normalize(req.query.mentorTeacherEmail)) return undefined;
+  return authorizeMentor(req, res, req.query.mentorTeacherEmail);
+}
+
+/**
+ * Turn attendance records into a register grid:
+ * one row per student, one column per date/slot, totals + percentage at the end.
+ */
+function buildRegisterRows(records, students, { showSubject }) {
+  const columns = new Map(); // key -> header
+  const byStudent = new Map(); // email -> { key -> status }
+
+  for (const r of records) {
+    const key = `${r.date}#${r.slot}`;
+    if (!columns.has(key)) {
+      columns.set(key, `${r.date} S${r.slot}${showSubject ? ` (${r.subject})` : ""}`);
+    }
+    if (!byStudent.has(r.studentEmail)) byStudent.set(r.studentEmail, new Map());
+    byStudent.get(r.studentEmail).set(key, r.status);
+  }
+
+  const keys = [...columns.keys()].sort((a, b) => {
+    const [da, sa] = a.split("#");
+    const [db, sb] = b.split("#");
+    return da === db ? Number(sa) - Number(sb) : da.localeCompare(db);
+  });
+
+  // Mentees with no records still appear; unknown emails in records are kept too
+  const studentByEmail = new Map(students.map((s) => [s.email, s]));
+  for (const email of byStudent.keys()) {
+    if (!studentByEmail.has(email)) studentByEmail.set(email, { email });
+  }
+  const rosterRows = [...studentByEmail.values()].sort((a, b) =>
+    String(a.rollNo || a.email).localeCompare(String(b.rollNo || b.email))
+  );
+
+  const header = ["Roll No", "Name", "Email", ...keys.map((k) => columns.get(k)), "Present", "Total", "Percentage"];
+  const rows = rosterRows.map((s) => {
+    const marks = byStudent.get(s.email) || new Map();
+    const cells = keys.map((k) => STATUS_CODES[marks.get(k)] || marks.get(k) || "");
+    const total = marks.size;
+    const present = [...marks.values()].filter((st) => st === "present").length;
+    return [s.rollNo || "", s.name || "", s.email, ...cells, present, total, pct(present, total)];
+  });
+
+  return [header, ...rows];
+}
+
+/* ---------------------------
+Versioned writes
+Every change to a (mentor, date, slot) register goes through here so it lands
+in AttendanceRevision with the previous/new status, the actor and a timestamp.
+---------------------------- */
+
+const MAX_VERSION_ATTEMPTS = 5;
+
+// Make a slot's records match a revision snapshot
+async function applySnapshot(key, { snapshot, subject, section }) {
+  const ops = snapshot.map(({ studentEmail, status }) => ({
+    updateOne: {
+      filter: { ...key, studentEmail },
+      update: { $set: { status, subject, section } },
+      upsert: true,
+    },
+  }));
+  ops.push({ deleteMany: { filter: { ...key, studentEmail: { $nin: snapshot.map((r) => r.studentEmail) } } } });
+  await Attendance.bulkWrite(ops, { ordered: true });
+}
+
+/**
+ * Store the next revision of a slot, computed from the latest one.
+ * Throws a duplicate-key error when another write took that version first.
+ */
+async function recordRevision(key, { subject, section, records, actor, action, rolledBackTo, replace }) {
+  let last = await AttendanceRevision.findOne(key).sort({ version: -1 }).lean();
+
+  // Slots marked before history existed get their current state as version 1
+  if (!last) {
+    const existing = await Attendance.find(key).select("studentEmail status subject section").lean();
+    if (existing.length) {
+      last = await AttendanceRevision.create({
+        ...key,
+        version: 1,
+        subject: existing[0].subject,
+        section: existing[0].section,
+        action: "baseline",
+        actorEmail: "system",
+        changes: [],
+        snapshot: existing.map((r) => ({ studentEmail: r.studentEmail, status: r.status })),
+      });
+    }
+  }
+
+  const before = new Map((last?.snapshot || []).map((r) => [r.studentEmail, r.status]));
+  const slotSubject = subject || last?.subject;
+  const slotSection = section || last?.section;
+
+  const after = replace ? new Map() : new Map(before);
+  records.forEach((r) => after.set(String(r.studentEmail).toLowerCase().trim(), r.status));
+
+  const changes = [];
+  for (const email of new Set([...before.keys(), ...after.keys()])) {
+    const previousStatus = before.get(email) ?? null;
+    const newStatus = after.get(email) ?? null;
+    if (previousStatus !== newStatus) changes.push({ studentEmail: email, previousStatus, newStatus });
+  }
+  const subjectChanged = !!last && last.subject !== slotSubject;
+  if (!changes.length && !subjectChanged) return null;
+
+  return AttendanceRevision.create({
+    ...key,
+    version: (last?.version || 0) + 1,
+    subject: slotSubject,
+    section: slotSection,
+    action,
+    rolledBackTo,
+    actorEmail: actor.email,
+    actorRole: actor.role,
+    changes,
+    snapshot: [...after].map(([studentEmail, status]) => ({ studentEmail, status })),
+  });
+}
+
+/**
+ * Apply records ([{ studentEmail, status }]) to one slot and record a revision.
+ * replace: true  -> records are the whole register; students left out are removed
+ * replace: false -> only the listed students are touched
+ * Returns the new revision, or null when nothing changed.
+ *
+ * The revision is stored before the records: its unique version orders
+ * concurrent writes to a slot, and the one that loses retries on top of the
+ * winner. Records always end up as the newest revision's snapshot.
+ */
+async function writeAttendanceSlot({
+  mentorTeacherEmail,
+  date,
+  slot,
+  subject,
+  section,
+  records,
+  actor,
+  action = "mark",
+  rolledBackTo,
+  replace = true,
+}) {
+  const key = { mentorTeacherEmail, date, slot };
+  const change = { subject, section, records, actor, action, rolledBackTo, replace };
+
+  let revision;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      revision = await recordRevision(key, change);
+      break;
+    } catch (err) {
+      if (err?.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw err;
+    }
+  }
+  if (!revision) return null;
+
+  try {
+    await applySnapshot(key, revision);
+  } catch (err) {
+    await AttendanceRevision.deleteOne({ _id: revision._id }).catch(() => {});
+    throw err;
+  }
+
+  // A newer version may have landed its records before ours did
+  const newest = await AttendanceRevision.findOne(key).sort({ version: -1 }).lean();
+  if (newest && newest.version > revision.version) await applySnapshot(key, newest);
+
+  return revision;
+}
+
+/* ---------------------------
+1) Register export
+---------------------------- */
+
+// GET /api/attendance/register?mentorTeacherEmail=&subject=&from=&to=&format=xlsx|csv
+router.get("/register", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const { subject, from, to } = req.query;
+    const format = normalize(req.query.format || "xlsx").toLowerCase();
+    if (!["xlsx", "csv"].includes(format)) {
+      return res.status(400).json({ message: "format must be xlsx or csv" });
+    }
+
+    const mentorTeacherEmail = resolveRegisterMentor(req, res);
+    if (mentorTeacherEmail === null) return;
+    if (!mentorTeacherEmail && !normalize(subject)) {
+      return res.status(400).json({ message: "mentorTeacherEmail or subject is required" });
+    }
+
+    const { match, error } = buildAttendanceMatch({ mentorTeacherEmail, subject, from, to });
+    if (error) return res.status(400).json({ message: error });
+
+    const records = await Attendance.find(match)
+      .select("studentEmail date slot status subject")
+      .lean();
+
+    const studentQuery = mentorTeacherEmail
+      ? { role: "student", mentorTeacherEmail }
+      : { role: "student", email: { $in: [...new Set(records.map((r) => r.studentEmail))] } };
+    const students = await User.find(studentQuery).select("email name rollNo").lean();
+
+    const aoa = buildRegisterRows(records, students, { showSubject: !normalize(subject) });
+    const sheet = xlsx.utils.aoa_to_sheet(aoa);
+
+    const label = [mentorTeacherEmail?.split("@")[0], normalize(subject), from, to]
+      .filter(Boolean)
+      .join("_")
+      .replace(/[^\w.-]+/g, "-");
+    const fileName = `attendance-register_${label}.${format}`;
+
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+
+    if (format === "csv") {
+      res.type("text/csv");
+      return res.send(xlsx.utils.sheet_to_csv(sheet));
+    }
+
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, sheet, "Register");
+    res.type("application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    return res.send(xlsx.write(workbook, { type: "buffer", bookType: "xlsx" }));
+  } catch (err) {
+    console.error("attendance register error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+2) Analytics
+---------------------------- */
+
+// Per-subject breakdown for one student
+// GET /api/attendance/subjects?email=&from=&to=&threshold=&excludeExcused=
+router.get("/subjects", async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const options = { excludeExcused: readExcludeExcused(req.query.excludeExcused) };
+    const threshold = readThreshold(req.query.threshold);
+    if (threshold === null) return res.status(400).json({ message: "threshold must be between 1 and 100" });
+
+    const student = await authorizeStudent(req, res, { email: req.query.email });
+    if (!student) return;
+
+    const result = await studentSubjectAttendance(student.email, { from, to, threshold, ...options });
+    if (result.error) return res.status(400).json({ message: result.error });
+
+    return res.json({ studentEmail: student.email, ...result });
+  } catch (err) {
+    console.error("attendance subjects error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Mentees below the threshold overall or in any subject
+// GET /api/attendance/shortages?mentorTeacherEmail=&from=&to=&threshold=&excludeExcused=
+router.get("/shortages", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const options = { excludeExcused: readExcludeExcused(req.query.excludeExcused) };
+    const threshold = readThreshold(req.query.threshold);
+    if (threshold === null) return res.status(400).json({ message: "threshold must be between 1 and 100" });
+
+    const mentorTeacherEmail = authorizeMentor(req, res, req.query.mentorTeacherEmail);
+    if (!mentorTeacherEmail) return;
+
+    const { match, error } = buildAttendanceMatch({ mentorTeacherEmail, from, to });
+    if (error) return res.status(400).json({ message: error });
+
+    // { mentorTeacherEmail, date } index, then fold subjects per student
+    const perStudent = await Attendance.aggregate([
+      ...subjectCountStages(match),
+      {
+        $group: {
+          _id: "$_id.studentEmail",
+          total: { $sum: "$total" },
+          present: { $sum: "$present" },
+          excused: { $sum: "$excused" },
+          onDuty: { $sum: "$onDuty" },
+          subjects: {
+            $push: {
+              subject: "$_id.subject",
+              total: "$total",
+              present: "$present",
+              excused: "$excused",
+              onDuty: "$onDuty",
+            },
+          },
+        },
+      },
+    ]);
+
+    const students = await User.find({
+      role: "student",
+      email: { $in: perStudent.map((p) => p._id) },
+    })
+      .select("email name rollNo")
+      .lean();
+    const studentByEmail = new Map(students.map((s) => [s.email, s]));
+
+    const shortages = perStudent
+      .map((p) => {
+        const overall = subjectStats({ subject: "ALL", ...p }, threshold, options);
+        const subjects = p.subjects
+          .map((s) => subjectStats(s, threshold, options))
+          .filter((s) => s.belowThreshold)
+          .sort((a, b) => a.percentage - b.percentage);
+        const info = studentByEmail.get(p._id) || {};
+        return {
+          studentEmail: p._id,
+          name: info.name,
+          rollNo: info.rollNo,
+          overall,
+          subjectsBelowThreshold: subjects,
+        };
+      })
+      .filter((s) => s.overall.belowThreshold || s.subjectsBelowThreshold.length)
+      .sort((a, b) => a.overall.percentage - b.overall.percentage);
+
+    return res.json({
+      mentorTeacherEmail,
+      from: from || null,
+      to: to || null,
+      threshold,
+      excludeExcused: options.excludeExcused,
+      count: shortages.length,
+      students: shortages,
+    });
+  } catch (err) {
+    console.error("attendance shortages error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+3) Change history
+---------------------------- */
+
+function readSlotKey(source) {
+  const date = normalize(source.date);
+  const slot = Number(source.slot);
+  if (!DATE_RE.test(date) || !Number.isInteger(slot) || slot < 1 || slot > 8) return null;
+  return { date, slot };
+}
+
+// Versions of one slot - GET /api/attendance/history?mentorTeacherEmail=&date=&slot=
+router.get("/history", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const slotKey = readSlotKey(req.query);
+    if (!slotKey) return res.status(400).json({ message: "date (YYYY-MM-DD) and slot (1-8) are required" });
+
+    const mentorTeacherEmail = authorizeMentor(req, res, req.query.mentorTeacherEmail);
+    if (!mentorTeacherEmail) return;
+
+    const revisions = await AttendanceRevision.find({ mentorTeacherEmail, ...slotKey }).sort({ version: 1 });
+    return res.json({ mentorTeacherEmail, ...slotKey, revisions });
+  } catch (err) {
+    console.error("attendance history error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Restore a slot to an earlier version (recorded as a new version)
+// POST /api/attendance/history/rollback  { mentorTeacherEmail, date, slot, version }
+router.post("/history/rollback", requireRole("admin"), async (req, res) => {
+  try {
+    const slotKey = readSlotKey(req.body);
+    const version = Number(req.body.version);
+    if (!slotKey || !Number.isInteger(version)) {
+      return res.status(400).json({ message: "date (YYYY-MM-DD), slot (1-8) and version are required" });
+    }
+
+    const mentorTeacherEmail = authorizeMentor(req, res, req.body.mentorTeacherEmail);
+    if (!mentorTeacherEmail) return;
+
+    const target = await AttendanceRevision.findOne({ mentorTeacherEmail, ...slotKey, version });
+    if (!target) return res.status(404).json({ message: "Version not found" });
+
+    const revision = await writeAttendanceSlot({
+      mentorTeacherEmail,
+      ...slotKey,
+      subject: target.subject,
+      section: target.section,
+      records: target.snapshot,
+      actor: req.user,
+      action: "rollback",
+      rolledBackTo: version,
+    });
+
+    if (!revision) return res.json({ message: `Slot already matches version ${version}`, revision: null });
+    return res.json({
+      message: `Slot rolled back to version ${version} (now version ${revision.version})`,
+      revision,
+    });
+  } catch (err) {
+    console.error("attendance rollback error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, writeAttendanceSlot, studentSubjectAttendance };
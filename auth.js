@@ -0,0 +1,379 @@
+// auth.js - JWT sessions (access + refresh tokens) for the CMRIT portal
+
+const express = require("express");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const rateLimit = require("express-rate-limit");
+const { User } = require("./models");
+const { sendMail } = require("./mailer");
+
+const router = express.Router();
+
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.JWT_REFRESH_TTL_DAYS) || 7;
+const RESET_TOKEN_TTL_MS = 30 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Password seeded by the importers when a row has none; never accepted as a new password
+const DEFAULT_PASSWORD = "password123";
+
+// Reset requests send mail, so keep them tighter than logins
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: { message: "Too many password reset requests, please try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/* ---------------------------
+1) Refresh token store
+One doc = one issued refresh token (rotated on every refresh)
+---------------------------- */
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    jti: { type: String, required: true, unique: true },
+    email: { type: String, required: true, index: true },
+    role: { type: String, required: true },
+    revokedAt: { type: Date, default: null },
+    expiresAt: { type: Date, required: true, expires: 0 }, // TTL: Mongo drops expired tokens
+  },
+  { timestamps: true }
+);
+
+const RefreshToken =
+  mongoose.models.RefreshToken || mongoose.model("RefreshToken", refreshTokenSchema);
+
+/* ---------------------------
+Helpers
+---------------------------- */
+function getSecrets() {
+  const access = process.env.JWT_ACCESS_SECRET;
+  const refresh = process.env.JWT_REFRESH_SECRET;
+
+  // Fail closed if not configured
+  if (!access || !refresh) {
+    const err = new Error("JWT_ACCESS_SECRET / JWT_REFRESH_SECRET missing in environment variables");
+    err.status = 500;
+    throw err;
+  }
+  return { access, refresh };
+}
+
+function authError(res, status, message, type) {
+  return res.status(status).json({ message, type });
+}
+
+/**
+ * Claims carried by the access token. Routes read these from req.user
+ * instead of trusting emails/rollNos sent by the client.
+ */
+function tokenClaims(user) {
+  return {
+    sub: user.email,
+    role: user.role,
+    name: user.name,
+    rollNo: user.rollNo || undefined,
+    mentorTeacherEmail: user.mentorTeacherEmail || undefined,
+    dept: user.dept || undefined,
+    pwc: user.mustChangePassword || undefined, // password change pending
+  };
+}
+
+/**
+ * Issue an access + refresh token pair for a user ({ email, role, name, ... }).
+ */
+async function issueSession(user) {
+  const secrets = getSecrets();
+  const jti = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const accessToken = jwt.sign(tokenClaims(user), secrets.access, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+  const refreshToken = jwt.sign({ sub: user.email, role: user.role, jti }, secrets.refresh, {
+    expiresIn: `${REFRESH_TOKEN_TTL_DAYS}d`,
+  });
+
+  await RefreshToken.create({ jti, email: user.email, role: user.role, expiresAt });
+
+  return { accessToken, refreshToken, tokenType: "Bearer", expiresIn: ACCESS_TOKEN_TTL };
+}
+
+// Revoke every refresh token of a user (password changed / reset)
+async function revokeAllSessions(email) {
+  await RefreshToken.updateMany({ email, revokedAt: null }, { $set: { revokedAt: new Date() } });
+}
+
+// Returns an error message, or null if the password is acceptable
+function validateNewPassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (password === DEFAULT_PASSWORD) return "Please choose a password other than the default";
+  return null;
+}
+
+const hashResetToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+/* ---------------------------
+2) Middleware
+---------------------------- */
+
+// Access tokens stop working once the account is disabled or removed, or its
+// password changes after the token was issued (iat is in whole seconds)
+async function sessionError(payload) {
+  const user = await User.findOne({ email: payload.sub, role: payload.role })
+    .select("disabled passwordChangedAt")
+    .lean();
+  if (!user) return [401, "Account no longer exists", "UNAUTHORIZED"];
+  if (user.disabled) return [403, "This account has been disabled", "ACCOUNT_DISABLED"];
+  if (user.passwordChangedAt && Math.floor(user.passwordChangedAt.getTime() / 1000) > payload.iat) {
+    return [401, "Password changed, please log in again", "UNAUTHORIZED"];
+  }
+  return null;
+}
+
+/**
+ * Verify the Bearer access token and expose the caller as req.user.
+ * Tokens issued while a password change is pending only open the change-password route.
+ */
+function authenticate({ allowPendingPasswordChange = false } = {}) {
+  return async (req, res, next) => {
+    const header = req.headers.authorization || "";
+    const [scheme, token] = header.split(" ");
+
+    if (scheme !== "Bearer" || !token) {
+      return authError(res, 401, "Authentication required", "UNAUTHORIZED");
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, getSecrets().access);
+    } catch (err) {
+      if (err.status === 500) {
+        console.error("❌ Auth misconfigured:", err.message);
+        return authError(res, 500, "Authentication not configured on server", "SERVER_ERROR");
+      }
+      if (err.name === "TokenExpiredError") {
+        return authError(res, 401, "Session expired, please refresh", "TOKEN_EXPIRED");
+      }
+      return authError(res, 401, "Invalid session token", "UNAUTHORIZED");
+    }
+
+    try {
+      const rejected = await sessionError(payload);
+      if (rejected) return authError(res, ...rejected);
+    } catch (err) {
+      console.error("auth user lookup error:", err);
+      return authError(res, 500, "Could not verify session", "SERVER_ERROR");
+    }
+
+    if (payload.pwc && !allowPendingPasswordChange) {
+      return authError(
+        res,
+        403,
+        "You must change your password before continuing",
+        "PASSWORD_CHANGE_REQUIRED"
+      );
+    }
+
+    req.user = {
+      email: payload.sub,
+      role: payload.role,
+      name: payload.name,
+      rollNo: payload.rollNo,
+      mentorTeacherEmail: payload.mentorTeacherEmail,
+      dept: payload.dept,
+    };
+    return next();
+  };
+}
+
+const requireAuth = authenticate();
+
+/* ---------------------------
+3) Session APIs
+---------------------------- */
+
+// Exchange a refresh token for a new token pair - POST /api/auth/refresh
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "refreshToken is required" });
+
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, getSecrets().refresh);
+    } catch (err) {
+      if (err.status === 500) throw err;
+      return authError(res, 401, "Invalid or expired refresh token", "UNAUTHORIZED");
+    }
+
+    const stored = await RefreshToken.findOne({ jti: payload.jti });
+    if (!stored) return authError(res, 401, "Invalid or expired refresh token", "UNAUTHORIZED");
+
+    // A rotated token being replayed means it leaked: end every session of that user.
+    if (stored.revokedAt) {
+      await revokeAllSessions(stored.email);
+      return authError(res, 401, "Refresh token already used", "UNAUTHORIZED");
+    }
+
+    const user = await User.findOne({ email: payload.sub, role: payload.role }).lean();
+    if (!user) return authError(res, 401, "Account no longer exists", "UNAUTHORIZED");
+    if (user.disabled) return authError(res, 403, "This account has been disabled", "ACCOUNT_DISABLED");
+
+    stored.revokedAt = new Date();
+    await stored.save();
+
+    const session = await issueSession(user);
+    return res.json(session);
+  } catch (err) {
+    console.error("refresh error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Revoke a refresh token - POST /api/auth/logout
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ message: "refreshToken is required" });
+
+    // Expired tokens can still be logged out; only the signature must be ours.
+    let payload;
+    try {
+      payload = jwt.verify(refreshToken, getSecrets().refresh, { ignoreExpiration: true });
+    } catch (err) {
+      if (err.status === 500) throw err;
+      return authError(res, 401, "Invalid refresh token", "UNAUTHORIZED");
+    }
+
+    await RefreshToken.updateOne(
+      { jti: payload.jti, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    return res.json({ message: "Logged out" });
+  } catch (err) {
+    console.error("logout error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+4) Password APIs
+---------------------------- */
+
+// Change own password - POST /api/auth/change-password
+router.post(
+  "/change-password",
+  authenticate({ allowPendingPasswordChange: true }),
+  async (req, res) => {
+    try {
+      const { currentPassword, newPassword } = req.body;
+      if (!currentPassword || !newPassword) {
+        return res.status(400).json({ message: "currentPassword and newPassword are required" });
+      }
+
+      const invalid = validateNewPassword(newPassword);
+      if (invalid) return res.status(400).json({ message: invalid });
+
+      const user = await User.findOne({ email: req.user.email, role: req.user.role });
+      if (!user) return res.status(404).json({ message: "Account not found" });
+
+      if (!(await bcrypt.compare(currentPassword, user.password))) {
+        return authError(res, 401, "Current password is incorrect", "UNAUTHORIZED");
+      }
+      if (await bcrypt.compare(newPassword, user.password)) {
+        return res.status(400).json({ message: "New password must differ from the current one" });
+      }
+
+      user.password = await bcrypt.hash(newPassword, 10);
+      user.mustChangePassword = false;
+      user.passwordChangedAt = new Date();
+      await user.save();
+
+      // Old sessions still carry the pending-change flag; start a fresh one
+      await revokeAllSessions(user.email);
+      const session = await issueSession(user);
+
+      return res.json({ message: "Password changed", ...session });
+    } catch (err) {
+      console.error("change-password error:", err);
+      return res.status(500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+// Request a reset link by mail - POST /api/auth/forgot-password
+router.post("/forgot-password", passwordResetLimiter, async (req, res) => {
+  try {
+    const email = String(req.body.email || "").trim().toLowerCase();
+    if (!email) return res.status(400).json({ message: "email is required" });
+
+    // Same answer whether or not the account exists
+    const reply = { message: "If that account exists, a reset link has been sent." };
+
+    const user = await User.findOne({ email });
+    if (!user) return res.json(reply);
+
+    const token = crypto.randomBytes(32).toString("hex");
+    user.passwordResetTokenHash = hashResetToken(token);
+    user.passwordResetExpires = new Date(Date.now() + RESET_TOKEN_TTL_MS);
+    await user.save();
+
+    const resetUrl = `${process.env.PASSWORD_RESET_URL || "https://cmr-it-ihpn.onrender.com/reset-password"}?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: "CMRIT Portal password reset",
+      text:
+        `Hi ${user.name},\n\n` +
+        `Use the link below to reset your CMRIT Portal password. It expires in 30 minutes.\n\n` +
+        `${resetUrl}\n\n` +
+        `If you did not ask for this, you can ignore this mail.`,
+    });
+
+    return res.json(reply);
+  } catch (err) {
+    console.error("forgot-password error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Set a new password with a mailed token - POST /api/auth/reset-password
+router.post("/reset-password", passwordResetLimiter, async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+    if (!token || !newPassword) {
+      return res.status(400).json({ message: "token and newPassword are required" });
+    }
+
+    const invalid = validateNewPassword(newPassword);
+    if (invalid) return res.status(400).json({ message: invalid });
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashResetToken(String(token)),
+      passwordResetExpires: { $gt: new Date() },
+    });
+    if (!user) return res.status(400).json({ message: "Reset link is invalid or has expired" });
+
+    user.password = await bcrypt.hash(newPassword, 10);
+    user.mustChangePassword = false;
+    user.passwordChangedAt = new Date();
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await revokeAllSessions(user.email);
+
+    return res.json({ message: "Password reset. Please log in with your new password." });
+  } catch (err) {
+    console.error("reset-password error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, requireAuth, issueSession, revokeAllSessions, DEFAULT_PASSWORD };
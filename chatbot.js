@@ -1,10 +1,16 @@
 const express = require("express");
-const { GoogleGenerativeAI } = require("@google/generative-ai");
+const { llm } = require("./llm");
+const { User, ExamFolder, releasedFolderFilter } = require("./models");
+const { authorizeStudent } = require("./policy");
+const { ChatSession, findOwnSession, titleFrom, compactHistory, historyForModel } = require("./chatsessions");
+const { studentTools } = require("./chattools");
+const { scriptParts } = require("./chatscripts");
 
 const router = express.Router();
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
-// ✅ Extract retryDelay from Gemini error details (e.g., "4s", "32s")
+const MAX_TOOL_ROUNDS = 4; // model -> tools -> model round trips per message
+
+// ✅ Extract retryDelay from the error's RetryInfo details (e.g., "4s", "32s"); see llm.js
 function parseRetryDelayMs(err) {
   try {
     const details =
@@ -33,35 +39,82 @@ function parseRetryDelayMs(err) {
   }
 }
 
-function handleGeminiError(res, err) {
+// Model failure -> { status, body } shared by JSON responses and stream error events
+function describeModelError(err) {
   const status = err?.status || err?.code;
 
   if (status === 429 || String(err?.message || "").includes("429")) {
     const retryAfterMs = parseRetryDelayMs(err) ?? 5000;
     const retryAfterSec = Math.ceil(retryAfterMs / 1000);
 
-    console.error("🚨 Gemini 429/quota:", err);
-    return res.status(429).json({
-      message: `Rate limit exceeded. Please try again in ${retryAfterSec}s.`,
-      retryAfterMs,
-      type: "RATE_LIMIT",
-    });
+    console.error("🚨 LLM 429/quota:", err);
+    return {
+      status: 429,
+      body: {
+        message: `Rate limit exceeded. Please try again in ${retryAfterSec}s.`,
+        retryAfterMs,
+        type: "RATE_LIMIT",
+      },
+    };
   }
 
-  console.error("🚨 Gemini error:", err);
-  return res.status(500).json({
-    message: err?.message || "Chat service error",
-    type: "SERVER_ERROR",
-  });
+  console.error("🚨 LLM error:", err);
+  return {
+    status: 500,
+    body: {
+      message: err?.message || "Chat service error",
+      type: "SERVER_ERROR",
+    },
+  };
+}
+
+function handleModelError(res, err) {
+  const { status, body } = describeModelError(err);
+  return res.status(status).json(body);
+}
+
+/* ---------------------------
+Server-Sent Events
+Streaming routes answer with events:
+  delta { text }              partial text as it arrives
+  done  { response, ... }     full text plus what the JSON route returns
+  error { message, type, retryAfterMs? }
+---------------------------- */
+function openEventStream(res) {
+  res.status(200);
+  res.setHeader("Content-Type", "text/event-stream; charset=utf-8");
+  res.setHeader("Cache-Control", "no-cache, no-transform");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // nginx / Render proxies
+  res.flushHeaders();
+}
+
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  res.flush?.(); // compression() holds output back until flushed
 }
 
 /**
- * Build base URL for internal calls (Render/localhost safe).
- * Uses current request host so it works on deployed domain too.
+ * Relay a streaming generation as delta events; returns the full text,
+ * or null when the client went away before it finished.
  */
-function getBaseUrl(req) {
-  const proto = req.headers["x-forwarded-proto"] || req.protocol;
-  return `${proto}://${req.get("host")}`;
+async function relayStream(result, res) {
+  let text = "";
+  for await (const part of result.stream) {
+    if (res.destroyed || res.writableEnded) return null;
+    text += part;
+    sendEvent(res, "delta", { text: part });
+  }
+  return text;
+}
+
+// Failures after the stream opened can only be reported in-band
+function streamError(res, err) {
+  if (!res.headersSent) return handleModelError(res, err);
+  if (!res.writableEnded) {
+    sendEvent(res, "error", describeModelError(err).body);
+    res.end();
+  }
 }
 
 /**
@@ -75,31 +128,157 @@ function findSubjectInFolder(folder, subjectName) {
   return subjects.find((s) => String(s?.subjectName || "").trim().toLowerCase() === target) || null;
 }
 
+/**
+ * Fold older chat turns (plus any earlier summary) into a short summary.
+ * Used by chatsessions.compactHistory once a conversation outgrows its budget.
+ */
+async function summarizeTurns(previousSummary, messages) {
+  const transcript = messages.map((m) => `${m.role === "user" ? "Student" : "Assistant"}: ${m.text}`).join("\n");
+
+  const prompt = `
+Summarize this conversation between a student and the CMRIT Assistant in at most 8 short lines.
+Keep facts the assistant may need later (names, subjects, marks, dates, decisions, open questions).
+
+${previousSummary ? `Summary so far:\n${previousSummary}\n\n` : ""}Conversation:
+${transcript}
+`;
+  const { text } = await llm().generate(prompt);
+  return text || previousSummary;
+}
+
 /* ---------------------------
-1) Existing general chatbot (KEEP)
+1) General chatbot (multi-turn, stored per user)
+Input: { message, sessionId? } - no sessionId starts a new conversation
+Output: { response, sessionId, title, toolsUsed }
+Students get read-only tools over their own records (chattools.js);
+toolsUsed names the ones that answer drew on.
 ---------------------------- */
+
+// Validate the request and load the conversation -> { session, chat, tools, message }, or null after responding
+async function prepareChat(req, res) {
+  const { message, sessionId } = req.body;
+  // Identity comes from the session, never from the request body
+  const studentEmail = req.user?.email;
+  if (!message?.trim()) {
+    res.status(400).json({ message: "Message required" });
+    return null;
+  }
+
+  if (llm().configError) {
+    res.status(500).json({ message: llm().configError });
+    return null;
+  }
+
+  let session;
+  if (sessionId) {
+    session = await findOwnSession(req, sessionId);
+    if (!session) {
+      res.status(404).json({ message: "Conversation not found" });
+      return null;
+    }
+  } else {
+    session = new ChatSession({ ownerEmail: studentEmail, title: titleFrom(message) });
+  }
+
+  await compactHistory(session, summarizeTurns);
+
+  const student =
+    req.user?.role === "student"
+      ? await User.findOne({ email: studentEmail, role: "student" }).select("-password").lean()
+      : null;
+  const tools = student ? studentTools(student) : null;
+
+  const chat = llm().startChat({
+    systemInstruction: [
+      `You are CMRIT Assistant. Student: ${studentEmail || "anonymous"}. Answer briefly.`,
+      tools &&
+        "For the student's own attendance, marks or profile, call the tools and answer only from what they return. " +
+          "Never guess these numbers; if a tool has no data, say so.",
+      session.summary && `Summary of the earlier conversation:\n${session.summary}`,
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+    tools: tools?.tools,
+    history: historyForModel(session),
+  });
+
+  return { session, chat, tools, message: message.trim() };
+}
+
+/**
+ * Send one user message and keep answering the model's tool calls until it
+ * replies in text. With onStream(result) each round is streamed through it
+ * (see relayStream); a null from it means the client left.
+ * Returns { text, toolsUsed } or null.
+ */
+async function converse({ chat, tools, message }, onStream) {
+  const toolsUsed = [];
+  let input = message;
+  let text = "";
+
+  for (let round = 0; ; round++) {
+    let response;
+    if (onStream) {
+      const result = await chat.sendMessageStream(input);
+      const part = await onStream(result);
+      if (part === null) return null;
+      text += part;
+      response = await result.response;
+    } else {
+      response = await chat.sendMessage(input);
+      text += response.text;
+    }
+
+    const calls = (tools && response.functionCalls) || [];
+    if (!calls.length || round === MAX_TOOL_ROUNDS) return { text, toolsUsed };
+
+    input = [];
+    for (const call of calls) {
+      if (!toolsUsed.includes(call.name)) toolsUsed.push(call.name);
+      input.push({ functionResponse: { name: call.name, response: await tools.run(call) } });
+    }
+  }
+}
+
+// Only stored once the model has answered, so failed turns leave no half-exchanges
+async function saveTurn(session, message, responseText, toolsUsed) {
+  session.messages.push({ role: "user", text: message }, { role: "model", text: responseText, toolsUsed });
+  session.lastMessageAt = new Date();
+  await session.save();
+  return { sessionId: session._id, title: session.title };
+}
+
 router.post("/chat", async (req, res) => {
   try {
-    const { message, studentEmail } = req.body;
-    if (!message?.trim()) return res.status(400).json({ message: "Message required" });
+    const prepared = await prepareChat(req, res);
+    if (!prepared) return;
 
-    if (!process.env.GEMINI_API_KEY) {
-      return res
-        .status(500)
-        .json({ message: "Server misconfigured: GEMINI_API_KEY missing" });
-    }
+    const { text, toolsUsed } = await converse(prepared);
+    const reply = text || "Unable to respond.";
 
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+    const saved = await saveTurn(prepared.session, prepared.message, reply, toolsUsed);
+    return res.json({ response: reply, ...saved, toolsUsed });
+  } catch (err) {
+    return handleModelError(res, err);
+  }
+});
 
-    const prompt = `You are CMRIT Assistant. Student: ${studentEmail || "anonymous"}. Query: ${message}. Answer briefly.`;
-    const result = await model.generateContent(prompt);
+// Same as /chat, streamed (see "Server-Sent Events" above); done carries { response, sessionId, title, toolsUsed }
+router.post("/chat/stream", async (req, res) => {
+  try {
+    const prepared = await prepareChat(req, res);
+    if (!prepared) return;
 
-    const responseText =
-      result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || "Unable to respond.";
+    openEventStream(res);
+    const answer = await converse(prepared, (result) => relayStream(result, res));
+    if (!answer) return;
 
-    return res.json({ response: responseText });
+    const reply = answer.text || "Unable to respond.";
+    const saved = await saveTurn(prepared.session, prepared.message, reply, answer.toolsUsed);
+    sendEvent(res, "done", { response: reply, ...saved, toolsUsed: answer.toolsUsed });
+    return res.end();
   } catch (err) {
-    return handleGeminiError(res, err);
+    return streamError(res, err);
   }
 });
 
@@ -108,102 +287,137 @@ router.post("/chat", async (req, res) => {
 Input: { rollNo, subjectName, examName? }
 Output: short summary for chatbot
 ---------------------------- */
-router.post("/exam-summary", async (req, res) => {
-  try {
-    const { rollNo, subjectName, examName } = req.body;
 
-    if (!rollNo || !subjectName) {
-      return res.status(400).json({ message: "rollNo and subjectName are required" });
-    }
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ message: "Server misconfigured: GEMINI_API_KEY missing" });
-    }
+// Validate the request and build the model input -> { contents, cleanup, meta }, or null after responding
+async function prepareExamSummary(req, res) {
+  const { subjectName, examName } = req.body;
+  // Students default to their own roll number; the exams module enforces ownership
+  const rollNo = req.body.rollNo || req.user?.rollNo;
 
-    // 1) Fetch student folders from existing exams module
-    const baseUrl = getBaseUrl(req);
-    const foldersUrl = `${baseUrl}/api/exams/student/folders?rollNo=${encodeURIComponent(
-      String(rollNo).trim()
-    )}`;
-
-    const foldersRes = await fetch(foldersUrl);
-    const foldersData = await foldersRes.json().catch(() => ({}));
-
-    if (!foldersRes.ok) {
-      return res.status(foldersRes.status).json({
-        message: foldersData?.message || "Failed to load exam folders",
-      });
-    }
-
-    const folders = Array.isArray(foldersData?.folders) ? foldersData.folders : [];
-    if (folders.length === 0) {
-      return res.status(404).json({ message: "No exam folders found for this roll number" });
-    }
+  if (!rollNo || !subjectName) {
+    res.status(400).json({ message: "rollNo and subjectName are required" });
+    return null;
+  }
+  if (llm().configError) {
+    res.status(500).json({ message: llm().configError });
+    return null;
+  }
 
-    // 2) Choose folder: if examName given => latest matching; else latest overall (folders are already sorted by backend)
-    let folder =
-      examName
-        ? folders.find((f) => String(f?.examName || "").trim().toLowerCase() === String(examName).trim().toLowerCase())
-        : folders[0];
+  // 1) Load the student's released folders (same rules as /api/exams/student/folders)
+  const student = await authorizeStudent(req, res, { rollNo });
+  if (!student) return null;
 
-    if (!folder) {
-      return res.status(404).json({ message: "Exam not found for given examName" });
-    }
+  const folders = await ExamFolder.find({
+    studentRollNo: String(student.rollNo).trim(),
+    ...releasedFolderFilter(),
+  }).sort({ createdAt: -1 });
+  if (folders.length === 0) {
+    res.status(404).json({ message: "No exam folders found for this roll number" });
+    return null;
+  }
 
-    // 3) Find subject inside that folder
-    const subject = findSubjectInFolder(folder, subjectName);
-    if (!subject) {
-      return res.status(404).json({
-        message: `Subject "${subjectName}" not found in exam "${folder.examName}"`,
-      });
-    }
+  // 2) Choose folder: if examName given => latest matching; else latest overall (newest first)
+  let folder =
+    examName
+      ? folders.find((f) => String(f?.examName || "").trim().toLowerCase() === String(examName).trim().toLowerCase())
+      : folders[0];
 
-    const marksObtained = subject?.marksObtained;
-    const maxMarks = subject?.maxMarks;
-    const scripts = Array.isArray(subject?.scripts) ? subject.scripts : [];
-    const scriptLinks = scripts
-      .map((s) => s?.url)
-      .filter(Boolean)
-      .slice(0, 5); // keep prompt small
+  if (!folder) {
+    res.status(404).json({ message: "Exam not found for given examName" });
+    return null;
+  }
 
-    // 4) Ask Gemini for summary + improvement (without pretending exact per-question mark split)
-    const model = genAI.getGenerativeModel({ model: "gemini-2.5-flash" });
+  // 3) Find subject inside that folder
+  const subject = findSubjectInFolder(folder, subjectName);
+  if (!subject) {
+    res.status(404).json({
+      message: `Subject "${subjectName}" not found in exam "${folder.examName}"`,
+    });
+    return null;
+  }
 
-    const prompt = `
+  const marksObtained = subject?.marksObtained;
+  const maxMarks = subject?.maxMarks;
+  const scripts = Array.isArray(subject?.scripts) ? subject.scripts : [];
+
+  // 4) Attach the script files themselves (see chatscripts.js for limits)
+  const attached = await scriptParts(scripts);
+  const scriptNote = attached.analysed.length
+    ? `${attached.analysed.length} answer script file(s) attached: ${attached.analysed.map((s) => s.name).join(", ")}.`
+    : "No answer script files available; base the feedback on the marks only.";
+  const skippedNote = attached.skipped.length
+    ? `\nNot attached: ${attached.skipped.map((s) => `${s.name} (${s.reason})`).join("; ")}.`
+    : "";
+
+  // 5) Ask the model for summary + improvement (without pretending exact per-question mark split)
+  const prompt = `
 You are an exam feedback assistant for CMRIT.
-Given: student roll number, subject, marks, and answer-script file links (teacher-uploaded scans/PDFs).
+Given: student roll number, subject, marks, and the answer-script files (teacher-uploaded scans/PDFs) attached after this text.
 
 Task:
 - Write a short summary of performance (3-5 lines).
 - List 3 strengths (bullets).
 - List 3 scope-of-improvement points (bullets).
-- If the script links are provided, infer likely reasons for losing marks, but do NOT claim exact question-wise marks unless clearly visible.
+- If scripts are attached, point to likely reasons for losing marks from what is written in them, but do NOT claim exact question-wise marks unless clearly visible.
 - Keep it concise and student-friendly.
 
 Input:
-Roll No: ${String(rollNo).trim()}
+Roll No: ${student.rollNo}
 Exam: ${folder.examName}
 Subject: ${subject.subjectName}
 Marks: ${marksObtained}/${maxMarks}
-Answer script links: ${scriptLinks.length ? scriptLinks.join(", ") : "No script files uploaded."}
+Answer scripts: ${scriptNote}${skippedNote}
 `;
 
-    const result = await model.generateContent(prompt);
-    const text =
-      result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || "Unable to generate summary.";
-
-    return res.json({
-      response: text,
-      meta: {
-        rollNo: String(rollNo).trim(),
-        examName: folder.examName,
-        subjectName: subject.subjectName,
-        marksObtained,
-        maxMarks,
-        scriptCount: scripts.length,
-      },
-    });
+  return {
+    contents: [{ text: prompt }, ...attached.parts],
+    cleanup: attached.cleanup,
+    meta: {
+      rollNo: student.rollNo,
+      examName: folder.examName,
+      subjectName: subject.subjectName,
+      marksObtained,
+      maxMarks,
+      scriptCount: scripts.length,
+      scriptsAnalysed: attached.analysed,
+      scriptsSkipped: attached.skipped,
+    },
+  };
+}
+
+router.post("/exam-summary", async (req, res) => {
+  let prepared;
+  try {
+    prepared = await prepareExamSummary(req, res);
+    if (!prepared) return;
+
+    const { text } = await llm().generate(prepared.contents);
+    return res.json({ response: text || "Unable to generate summary.", meta: prepared.meta });
+  } catch (err) {
+    return handleModelError(res, err);
+  } finally {
+    prepared?.cleanup();
+  }
+});
+
+// Same as /exam-summary, streamed; done carries { response, meta }
+router.post("/exam-summary/stream", async (req, res) => {
+  let prepared;
+  try {
+    prepared = await prepareExamSummary(req, res);
+    if (!prepared) return;
+
+    openEventStream(res);
+    const result = await llm().generateStream(prepared.contents);
+    const text = await relayStream(result, res);
+    if (text === null) return;
+
+    sendEvent(res, "done", { response: text || "Unable to generate summary.", meta: prepared.meta });
+    return res.end();
   } catch (err) {
-    return handleGeminiError(res, err);
+    return streamError(res, err);
+  } finally {
+    prepared?.cleanup();
   }
 });
 
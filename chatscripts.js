@@ -0,0 +1,113 @@
+// chatscripts.js - Answer scripts as model input for /api/chatbot/exam-summary
+//
+// Stored script files are read back from storage and attached to the model
+// request: small files inline, large PDFs through the provider's file API
+// (llm.js). Each request is capped by file count, total size and total pages;
+// anything over a cap, missing from storage or unreadable is skipped and
+// reported, never fatal.
+
+const { llm } = require("./llm");
+const { storage, streamToBuffer } = require("./storage");
+const { detectType, countPdfPages } = require("./media");
+const { scriptKey } = require("./files");
+
+const MB = 1024 * 1024;
+const MAX_SCRIPTS = Number(process.env.EXAM_SUMMARY_MAX_SCRIPTS) || 5;
+const MAX_TOTAL_BYTES = (Number(process.env.EXAM_SUMMARY_MAX_MB) || 40) * MB;
+const MAX_PAGES = Number(process.env.EXAM_SUMMARY_MAX_PAGES) || 60;
+// Gemini caps a whole request at 20MB, so bigger files (or overflow) go through the file API
+const INLINE_FILE_BYTES = 4 * MB;
+const INLINE_TOTAL_BYTES = 15 * MB;
+
+/**
+ * Model input for a subject's scripts. Pass the subject from the ExamFolder document
+ * itself: storage keys are read from it as-is.
+ * Returns {
+ *   parts,      // content parts (see llm.js), one per analysed script
+ *   analysed,   // [{ scriptId, name, pages, via: "inline" | "file-api" }]
+ *   skipped,    // [{ scriptId, name, reason }]
+ *   cleanup(),  // deletes files uploaded to the file API; call once the model has answered
+ * }
+ */
+async function scriptParts(scripts) {
+  const parts = [];
+  const analysed = [];
+  const skipped = [];
+  const uploaded = [];
+  let totalBytes = 0;
+  let inlineBytes = 0;
+  let totalPages = 0;
+
+  for (const [i, script] of scripts.entries()) {
+    const ref = { scriptId: script._id, name: script.originalName || script.fileName || `script ${i + 1}` };
+    const skip = (reason) => skipped.push({ ...ref, reason });
+
+    if (analysed.length >= MAX_SCRIPTS) {
+      skip(`over the limit of ${MAX_SCRIPTS} scripts per request`);
+      continue;
+    }
+    if (script.size && totalBytes + script.size > MAX_TOTAL_BYTES) {
+      skip(`over the ${MAX_TOTAL_BYTES / MB}MB per-request limit`);
+      continue;
+    }
+
+    try {
+      const key = scriptKey(script);
+      if (!key || !(await storage.exists(key))) {
+        skip("file missing from storage");
+        continue;
+      }
+
+      const buffer = await streamToBuffer(await storage.get(key));
+      const type = detectType(buffer);
+      if (!type) {
+        skip("not a PDF or image");
+        continue;
+      }
+      if (totalBytes + buffer.length > MAX_TOTAL_BYTES) {
+        skip(`over the ${MAX_TOTAL_BYTES / MB}MB per-request limit`);
+        continue;
+      }
+
+      const pages = script.pageCount || (type.kind === "pdf" ? await countPdfPages(buffer) : 1);
+      if (totalPages + pages > MAX_PAGES) {
+        skip(`over the ${MAX_PAGES}-page per-request limit`);
+        continue;
+      }
+
+      let via = "inline";
+      if (buffer.length > INLINE_FILE_BYTES || inlineBytes + buffer.length > INLINE_TOTAL_BYTES) {
+        const file = await llm().uploadFile(buffer, { mimeType: type.mime, displayName: ref.name });
+        uploaded.push(file.name);
+        parts.push({ fileData: { mimeType: file.mimeType, fileUri: file.uri } });
+        via = "file-api";
+      } else {
+        parts.push({ inlineData: { mimeType: type.mime, data: buffer.toString("base64") } });
+        inlineBytes += buffer.length;
+      }
+
+      totalBytes += buffer.length;
+      totalPages += pages;
+      analysed.push({ ...ref, pages, via });
+    } catch (err) {
+      console.error(`exam-summary script ${ref.name} error:`, err?.message);
+      skip("could not be read");
+    }
+  }
+
+  return {
+    parts,
+    analysed,
+    skipped,
+    cleanup: () =>
+      Promise.all(
+        uploaded.map((name) =>
+          llm()
+            .deleteFile(name)
+            .catch((err) => console.error("model file cleanup error:", err?.message))
+        )
+      ),
+  };
+}
+
+module.exports = { scriptParts };
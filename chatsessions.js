@@ -0,0 +1,162 @@
+// chatsessions.js - Stored chatbot conversations
+//
+// Every message is kept so a conversation can be reopened in full. What goes
+// back to the model is bounded: once the history passes CHAT_HISTORY_TOKEN_BUDGET,
+// the oldest turns are folded into a running summary (or just dropped when
+// summarizing fails) and only the recent turns are replayed.
+
+const express = require("express");
+const mongoose = require("mongoose");
+
+const router = express.Router();
+
+const HISTORY_TOKEN_BUDGET = Number(process.env.CHAT_HISTORY_TOKEN_BUDGET) || 6000;
+const KEEP_RECENT_MESSAGES = 6; // always replayed verbatim
+const TITLE_MAX = 80;
+
+/* ---------------------------
+1) Chat session schema/model
+---------------------------- */
+const chatMessageSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: ["user", "model"], required: true },
+    text: { type: String, required: true },
+    toolsUsed: { type: [String], default: undefined }, // model turns answered from portal data (chattools.js)
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const chatSessionSchema = new mongoose.Schema(
+  {
+    ownerEmail: { type: String, required: true, index: true },
+    title: { type: String, required: true },
+    messages: [chatMessageSchema],
+    summary: { type: String, default: "" }, // covers messages[0 .. summarizedCount)
+    summarizedCount: { type: Number, default: 0 },
+    lastMessageAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+chatSessionSchema.index({ ownerEmail: 1, lastMessageAt: -1 });
+
+const ChatSession = mongoose.models.ChatSession || mongoose.model("ChatSession", chatSessionSchema);
+
+/* ---------------------------
+Helpers
+---------------------------- */
+const normalize = (s) => String(s || "").trim();
+
+// Rough count (about 4 characters per token) - enough to keep requests bounded
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4);
+
+const titleFrom = (message) => {
+  const text = normalize(message).replace(/\s+/g, " ");
+  return text.length > TITLE_MAX ? `${text.slice(0, TITLE_MAX - 1)}…` : text;
+};
+
+// The caller's own session, or null
+function findOwnSession(req, sessionId, projection) {
+  if (!mongoose.isValidObjectId(sessionId)) return Promise.resolve(null);
+  return ChatSession.findOne({ _id: sessionId, ownerEmail: req.user.email }, projection);
+}
+
+/**
+ * Fold old turns into session.summary until the replayed history fits the budget.
+ * `summarize(previousSummary, messages)` returns the new summary text; if it
+ * throws, the old turns are dropped from the replay without a summary update.
+ * Only changes the in-memory document.
+ */
+async function compactHistory(session, summarize) {
+  const pending = session.messages.slice(session.summarizedCount);
+  const tokens = (list) => list.reduce((n, m) => n + estimateTokens(m.text), estimateTokens(session.summary));
+  if (tokens(pending) <= HISTORY_TOKEN_BUDGET) return;
+
+  // Cut down to half the budget so this does not run again on the next message,
+  // always at a user turn (Gemini histories must start with one)
+  let cut = 0;
+  while (
+    pending.length - cut > KEEP_RECENT_MESSAGES &&
+    (tokens(pending.slice(cut)) > HISTORY_TOKEN_BUDGET / 2 || pending[cut].role !== "user")
+  ) {
+    cut++;
+  }
+  while (cut < pending.length && pending[cut].role !== "user") cut++;
+  if (!cut) return;
+
+  try {
+    session.summary = normalize(await summarize(session.summary, pending.slice(0, cut)));
+  } catch (err) {
+    console.error("chat history summary error:", err?.message);
+  }
+  session.summarizedCount += cut;
+}
+
+// Replayed history in the Gemini chat format: [{ role, parts: [{ text }] }]
+const historyForModel = (session) =>
+  session.messages.slice(session.summarizedCount).map((m) => ({ role: m.role, parts: [{ text: m.text }] }));
+
+/* ---------------------------
+2) Session APIs (own conversations only)
+---------------------------- */
+
+// GET /api/chatbot/sessions -> newest first, without messages
+router.get("/", async (req, res) => {
+  try {
+    const sessions = await ChatSession.find(
+      { ownerEmail: req.user.email },
+      { title: 1, lastMessageAt: 1, createdAt: 1, messageCount: { $size: "$messages" } }
+    ).sort({ lastMessageAt: -1 });
+    return res.json({ sessions });
+  } catch (err) {
+    console.error("chat sessions list error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Reopen one conversation with all its messages
+router.get("/:sessionId", async (req, res) => {
+  try {
+    const session = await findOwnSession(req, req.params.sessionId, "-summary -summarizedCount");
+    if (!session) return res.status(404).json({ message: "Conversation not found" });
+    return res.json({ session });
+  } catch (err) {
+    console.error("chat session error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Rename - PATCH /api/chatbot/sessions/:sessionId { title }
+router.patch("/:sessionId", async (req, res) => {
+  try {
+    const title = titleFrom(req.body.title);
+    if (!title) return res.status(400).json({ message: "title is required" });
+
+    const session = await findOwnSession(req, req.params.sessionId, "title");
+    if (!session) return res.status(404).json({ message: "Conversation not found" });
+
+    session.title = title;
+    await session.save();
+    return res.json({ message: "Conversation renamed", session });
+  } catch (err) {
+    console.error("chat session rename error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+router.delete("/:sessionId", async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return res.status(404).json({ message: "Conversation not found" });
+    }
+    const { deletedCount } = await ChatSession.deleteOne({ _id: req.params.sessionId, ownerEmail: req.user.email });
+    if (!deletedCount) return res.status(404).json({ message: "Conversation not found" });
+    return res.json({ message: "Conversation deleted" });
+  } catch (err) {
+    console.error("chat session delete error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, ChatSession, findOwnSession, titleFrom, compactHistory, historyForModel };
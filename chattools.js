@@ -0,0 +1,135 @@
+// chattools.js - Read-only portal data the chatbot can look up (Gemini function calling)
+//
+// Tools are bound to one student, resolved from the logged-in session, and
+// take no identity arguments, so the model can only ever read that student's
+// own records. Exam folders follow the same release rules as /api/exams/student.
+
+const { ExamFolder, releasedFolderFilter } = require("./models");
+const { studentSubjectAttendance } = require("./attendance");
+
+const normalize = (s) => String(s || "").trim();
+
+const DATE_RANGE = {
+  from: { type: "string", description: "Optional start date, YYYY-MM-DD" },
+  to: { type: "string", description: "Optional end date, YYYY-MM-DD" },
+};
+
+/* ---------------------------
+1) Declarations (what the model sees)
+Parameters are plain JSON schema; llm.js converts them for the provider.
+---------------------------- */
+const declarations = [
+  {
+    name: "get_attendance_summary",
+    description:
+      "The student's overall attendance: classes held, present, absent, excused, on-duty, percentage, " +
+      "whether it is below the required threshold and how many classes in a row they must attend to reach it.",
+    parameters: { type: "object", properties: DATE_RANGE },
+  },
+  {
+    name: "get_attendance_by_subject",
+    description: "The student's attendance per subject, optionally for one subject only.",
+    parameters: {
+      type: "object",
+      properties: {
+        subject: { type: "string", description: "Subject name or part of it, e.g. DBMS" },
+        ...DATE_RANGE,
+      },
+    },
+  },
+  {
+    name: "get_exam_results",
+    description:
+      "The student's released exam folders (newest first) with marks per subject, exam type (internal/external) and semester.",
+    parameters: {
+      type: "object",
+      properties: {
+        examName: { type: "string", description: "Exam name or part of it, e.g. IA-2" },
+      },
+    },
+  },
+  {
+    name: "get_profile",
+    description: "The student's profile: name, roll number, department, branch, year, section and contact details.",
+  },
+];
+
+/* ---------------------------
+2) Implementations
+Each takes (student, args) and returns a plain object for the model.
+---------------------------- */
+// Loose name match: "ia 2" finds "IA-2", "dbms" finds "DBMS Lab"
+const looseKey = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const matches = (value, query) => !looseKey(query) || looseKey(value).includes(looseKey(query));
+
+const implementations = {
+  async get_attendance_summary(student, { from, to }) {
+    const result = await studentSubjectAttendance(student.email, { from, to });
+    if (result.error) return { error: result.error };
+    const { subject, ...overall } = result.overall;
+    return { from: result.from, to: result.to, threshold: result.threshold, ...overall };
+  },
+
+  async get_attendance_by_subject(student, { subject, from, to }) {
+    const result = await studentSubjectAttendance(student.email, { from, to });
+    if (result.error) return { error: result.error };
+    const subjects = result.subjects.filter((s) => matches(s.subject, subject));
+    if (!subjects.length && normalize(subject)) {
+      return { error: `No attendance recorded for "${subject}"`, knownSubjects: result.subjects.map((s) => s.subject) };
+    }
+    return { from: result.from, to: result.to, threshold: result.threshold, subjects };
+  },
+
+  async get_exam_results(student, { examName }) {
+    const folders = await ExamFolder.find({ studentRollNo: normalize(student.rollNo), ...releasedFolderFilter() })
+      .select("examName examType semester subjects.subjectName subjects.marksObtained subjects.maxMarks createdAt")
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const exams = folders
+      .filter((f) => matches(f.examName, examName))
+      .map((f) => ({
+        examName: f.examName,
+        examType: f.examType,
+        semester: f.semester,
+        subjects: (f.subjects || []).map((s) => ({
+          subjectName: s.subjectName,
+          marksObtained: s.marksObtained,
+          maxMarks: s.maxMarks,
+        })),
+      }));
+    if (!exams.length && normalize(examName)) {
+      return { error: `No released exam matching "${examName}"`, knownExams: folders.map((f) => f.examName) };
+    }
+    return { exams };
+  },
+
+  async get_profile(student) {
+    const { profileImageKey, profileImageUrl, ...profile } = student.profile || {};
+    return { name: student.name, email: student.email, rollNo: student.rollNo, dept: student.dept, ...profile };
+  },
+};
+
+/**
+ * Tools for one student (a lean User document) -> { tools (for getGenerativeModel), run(call) }.
+ * run() never throws; failures go back to the model as { error }.
+ */
+function studentTools(student) {
+  return {
+    tools: [{ functionDeclarations: declarations }],
+    async run({ name, args }) {
+      // Names come from the model; "constructor" or "toString" must not reach Object.prototype
+      if (typeof name !== "string" || !Object.hasOwn(implementations, name)) {
+        return { error: `Unknown tool "${name}"` };
+      }
+      try {
+        return await implementations[name](student, args || {});
+      } catch (err) {
+        console.error(`chat tool ${name} error:`, err);
+        return { error: "Could not load this data right now" };
+      }
+    },
+  };
+}
+
+module.exports = { studentTools };
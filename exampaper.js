@@ -1,104 +1,211 @@
 // exampaper.js (NEW) - Exam Papers + Marks module for IRAH/CMRIT portal
 
 const express = require("express");
-const mongoose = require("mongoose");
 const multer = require("multer");
-const path = require("path");
-const fs = require("fs");
+const xlsx = require("xlsx");
+const { User, ExamFolder, releasedFolderFilter } = require("./models");
+const { subjectStandings } = require("./examstats");
+const { storage, newFileName, discardUploads } = require("./storage");
+const { detectType, processScript } = require("./media");
+const { presentFolder } = require("./files");
+const { moveToTrash } = require("./examtrash");
+const { MarksQuery } = require("./marksquery");
+const { sheetUpload } = require("./uploads");
+const {
+  forbid,
+  requireRole,
+  canActOnStudent,
+  canManageFolder,
+  canViewFolder,
+  authorizeStudent,
+  authorizeMentor,
+} = require("./policy");
 
 const router = express.Router();
 
 /* ---------------------------
-1) Upload folder (separate)
+1) Script uploads ("exam_uploads/" in the storage backend)
+Held in memory until their content has been checked (media.js)
 ---------------------------- */
-const EXAM_UPLOAD_DIR = path.join(__dirname, "exam_uploads");
-if (!fs.existsSync(EXAM_UPLOAD_DIR)) {
-  fs.mkdirSync(EXAM_UPLOAD_DIR, { recursive: true });
-}
-
-const examStorage = multer.diskStorage({
-  destination: (req, file, cb) => cb(null, EXAM_UPLOAD_DIR),
-  filename: (req, file, cb) => {
-    const safeExt = path.extname(file.originalname);
-    cb(null, `${Date.now()}-${Math.round(Math.random() * 1e9)}${safeExt}`);
-  },
-});
-
 const examUpload = multer({
-  storage: examStorage,
+  storage: multer.memoryStorage(),
   limits: { fileSize: 15 * 1024 * 1024 }, // 15MB per file
 });
 
-/* ---------------------------
-2) Exam schema/model
-One doc = one "exam folder"
----------------------------- */
-const examScriptSchema = new mongoose.Schema(
-  {
-    fileName: String, // stored filename on server
-    originalName: String,
-    mimeType: String,
-    size: Number,
-    url: String, // convenience for frontend
-    uploadedAt: { type: Date, default: Date.now },
-  },
-  { _id: true }
-);
+/**
+ * Write one processed script (see media.processScript) plus its page thumbnails to storage.
+ * Keys are appended to storedKeys as they are written, for cleanup on failure.
+ */
+async function storeScript(file, processed, storedKeys) {
+  const fileName = newFileName(processed.ext);
+
+  const stored = await storage.put(`exam_uploads/${fileName}`, processed.body, { contentType: processed.mime });
+  storedKeys.push(stored.key);
+
+  const thumbnails = [];
+  for (const [i, thumb] of processed.thumbnails.entries()) {
+    const key = `exam_uploads/thumbs/${fileName.replace(/\.[^.]+$/, "")}-p${i + 1}.webp`;
+    await storage.put(key, thumb, { contentType: "image/webp" });
+    storedKeys.push(key);
+    thumbnails.push({ page: i + 1, storageKey: key });
+  }
 
-const examSubjectSchema = new mongoose.Schema(
-  {
-    subjectName: { type: String, required: true },
-    marksObtained: { type: Number, required: true },
-    maxMarks: { type: Number, default: 100 },
-    scripts: [examScriptSchema],
-  },
-  { _id: true }
-);
+  return {
+    fileName,
+    storageKey: stored.key,
+    originalName: file.originalname,
+    mimeType: processed.mime,
+    size: stored.size,
+    pageCount: processed.pageCount,
+    thumbnails,
+  };
+}
 
-const examFolderSchema = new mongoose.Schema(
-  {
-    studentRollNo: { type: String, required: true, index: true },
-    studentEmail: { type: String }, // optional (for display)
-    studentName: { type: String }, // optional (for display)
-    mentorTeacherEmail: { type: String, required: true, index: true },
-    examName: { type: String, required: true, index: true },
-    subjects: [examSubjectSchema],
-    published: { type: Boolean, default: true }, // visible immediately
-  },
-  { timestamps: true }
-);
+/**
+ * Check and process uploaded scripts. Files are judged by content, and one bad
+ * file rejects the whole batch before anything is stored.
+ * Returns { processed } or { status, body } for the error response.
+ */
+async function prepareScripts(files) {
+  const types = files.map((f) => detectType(f.buffer));
+  const rejected = files.filter((f, i) => !types[i]).map((f) => f.originalname);
+  if (rejected.length) {
+    return { status: 415, body: { message: "Scripts must be PDF or image (JPEG, PNG, WebP, GIF) files", rejected } };
+  }
 
-// Avoid OverwriteModelError on hot reload / server restart
-const ExamFolder =
-  mongoose.models.ExamFolder || mongoose.model("ExamFolder", examFolderSchema);
+  const processed = [];
+  for (const [i, f] of files.entries()) {
+    try {
+      processed.push(await processScript(f.buffer, types[i]));
+    } catch (err) {
+      console.error("script processing error:", err?.message);
+      return { status: 400, body: { message: `${f.originalname} could not be read`, rejected: [f.originalname] } };
+    }
+  }
+  return { processed };
+}
 
 /* ---------------------------
-Helpers
+2) Helpers (ExamFolder itself lives in models.js so other modules can query it too)
 ---------------------------- */
 const normalize = (s) => String(s || "").trim();
 
-const filePublicUrl = (req, fileName) =>
-  `${req.protocol}://${req.get("host")}/exam_uploads/${fileName}`;
+// Optional releaseAt from the body: undefined -> now, invalid -> null
+function readReleaseAt(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// Optional examType / semester from the body -> { meta } or { error }
+function readExamMeta(body) {
+  const meta = {};
+  if (normalize(body.examType)) {
+    const examType = normalize(body.examType).toLowerCase();
+    if (!["internal", "external"].includes(examType)) return { error: "examType must be internal or external" };
+    meta.examType = examType;
+  }
+  if (normalize(body.semester)) {
+    const semester = Number(body.semester);
+    if (!Number.isInteger(semester) || semester < 1 || semester > 8) {
+      return { error: "semester must be a number between 1 and 8" };
+    }
+    meta.semester = semester;
+  }
+  return { meta };
+}
+
+// Publish / unpublish update for one or many folders
+function publishUpdate(action, releaseAt, actorEmail) {
+  return action === "publish"
+    ? { $set: { published: true, releaseAt: releaseAt || null, publishedBy: actorEmail } }
+    : { $set: { published: false, releaseAt: null } };
+}
+
+// Add or update a subject by name (case-insensitive) on a folder document
+function upsertSubject(folder, subjectName, marksObtained, maxMarks) {
+  const sName = normalize(subjectName);
+  const idx = folder.subjects.findIndex(
+    (s) => String(s.subjectName).toLowerCase() === sName.toLowerCase()
+  );
+
+  if (idx === -1) {
+    folder.subjects.push({ subjectName: sName, marksObtained, maxMarks, scripts: [] });
+  } else {
+    folder.subjects[idx].marksObtained = marksObtained;
+    folder.subjects[idx].maxMarks = maxMarks;
+  }
+}
+
+/**
+ * Parse a marks sheet laid out as:
+ *   row 1: rollNo | <subject> | <subject> ...
+ *   row 2: maxMarks | <max> | <max> ...
+ *   rows 3+: <rollNo> | <marks> | <marks> ...
+ * Returns { subjects: [{ name, maxMarks }], rows: [{ row, rollNo, cells }] } or { error }.
+ */
+function parseMarksSheet(buffer) {
+  const workbook = xlsx.read(buffer, { type: "buffer" });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  const grid = xlsx.utils.sheet_to_json(sheet, { header: 1, defval: "", blankrows: false });
+
+  const [header = [], maxRow = [], ...dataRows] = grid;
+  if (normalize(header[0]).toLowerCase() !== "rollno") {
+    return { error: 'First header cell must be "rollNo"' };
+  }
+  if (normalize(maxRow[0]).toLowerCase() !== "maxmarks") {
+    return { error: 'Second row must start with "maxMarks" and list max marks per subject' };
+  }
+
+  const subjects = [];
+  const seen = new Set();
+  for (let col = 1; col < header.length; col++) {
+    const name = normalize(header[col]);
+    if (!name) continue;
+    if (seen.has(name.toLowerCase())) return { error: `Subject "${name}" appears twice in the header` };
+    seen.add(name.toLowerCase());
+
+    const maxMarks = Number(maxRow[col]);
+    if (normalize(maxRow[col]) === "" || !Number.isFinite(maxMarks) || maxMarks <= 0) {
+      return { error: `maxMarks for "${name}" must be a positive number` };
+    }
+    subjects.push({ col, name, maxMarks });
+  }
+  if (!subjects.length) return { error: "No subject columns found in the header row" };
+
+  const rows = dataRows.map((cells, i) => ({ row: i + 3, rollNo: normalize(cells[0]), cells }));
+  return { subjects, rows };
+}
 
 /* ---------------------------
 3) Teacher APIs
 ---------------------------- */
 
 // Create/Get exam folder (teacher)
-router.post("/teacher/create-folder", async (req, res) => {
+router.post("/teacher/create-folder", requireRole("teacher", "admin"), async (req, res) => {
   try {
     const { studentRollNo, mentorTeacherEmail, examName, studentEmail, studentName } = req.body;
 
-    if (!normalize(studentRollNo) || !normalize(mentorTeacherEmail) || !normalize(examName)) {
-      return res
-        .status(400)
-        .json({ message: "studentRollNo, mentorTeacherEmail, examName are required" });
+    if (!normalize(studentRollNo) || !normalize(examName)) {
+      return res.status(400).json({ message: "studentRollNo, examName are required" });
     }
 
+    const { meta, error } = readExamMeta(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const teacherEmail = authorizeMentor(req, res, mentorTeacherEmail);
+    if (!teacherEmail) return;
+
     const rollNo = normalize(studentRollNo);
-    const teacherEmail = normalize(mentorTeacherEmail).toLowerCase();
     const exName = normalize(examName);
 
+    // Folders can only be opened for the mentor's own students
+    const student = await User.findOne({ rollNo, role: "student" }).select("email name mentorTeacherEmail");
+    if (!student) return res.status(404).json({ message: "Student not found" });
+    if (!canActOnStudent({ role: "teacher", email: teacherEmail }, student)) {
+      return forbid(res, "You can only create folders for your own mentees");
+    }
+
     let folder = await ExamFolder.findOne({
       studentRollNo: rollNo,
       mentorTeacherEmail: teacherEmail,
@@ -110,14 +217,18 @@ router.post("/teacher/create-folder", async (req, res) => {
         studentRollNo: rollNo,
         mentorTeacherEmail: teacherEmail,
         examName: exName,
-        studentEmail: normalize(studentEmail).toLowerCase() || undefined,
-        studentName: normalize(studentName) || undefined,
+        studentEmail: normalize(studentEmail).toLowerCase() || student.email,
+        studentName: normalize(studentName) || student.name,
         subjects: [],
-        published: true,
+        published: false,
+        ...meta,
       });
+    } else if (Object.keys(meta).length) {
+      folder.set(meta);
+      await folder.save();
     }
 
-    return res.json({ message: "Folder ready", folder });
+    return res.json({ message: "Folder ready", folder: presentFolder(req, folder) });
   } catch (err) {
     console.error("create-folder error:", err);
     return res.status(500).json({ message: err?.message || "Server error" });
@@ -125,7 +236,7 @@ router.post("/teacher/create-folder", async (req, res) => {
 });
 
 // Add/Update a subject (teacher)
-router.post("/teacher/:folderId/upsert-subject", async (req, res) => {
+router.post("/teacher/:folderId/upsert-subject", requireRole("teacher", "admin"), async (req, res) => {
   try {
     const { folderId } = req.params;
     const { subjectName, marksObtained, maxMarks } = req.body;
@@ -134,32 +245,28 @@ router.post("/teacher/:folderId/upsert-subject", async (req, res) => {
       return res.status(400).json({ message: "subjectName and marksObtained are required" });
     }
 
-    const folder = await ExamFolder.findById(folderId);
-    if (!folder) return res.status(404).json({ message: "Exam folder not found" });
-
-    const sName = normalize(subjectName);
-    const markNum = Number(marksObtained);
+    // Same rules as the bulk marks upload
+    const markNum = String(marksObtained).trim() === "" ? NaN : Number(marksObtained);
     const maxNum = maxMarks !== undefined && maxMarks !== null ? Number(maxMarks) : 100;
+    if (!Number.isFinite(maxNum) || maxNum <= 0) {
+      return res.status(400).json({ message: "maxMarks must be a positive number" });
+    }
+    if (!Number.isFinite(markNum)) return res.status(400).json({ message: "marksObtained must be a number" });
+    if (markNum < 0) return res.status(400).json({ message: "marksObtained cannot be negative" });
+    if (markNum > maxNum) {
+      return res.status(400).json({ message: `marksObtained ${markNum} is above maxMarks ${maxNum}` });
+    }
 
-    // find existing subject by name (case-insensitive)
-    const idx = folder.subjects.findIndex(
-      (s) => String(s.subjectName).toLowerCase() === sName.toLowerCase()
-    );
-
-    if (idx === -1) {
-      folder.subjects.push({
-        subjectName: sName,
-        marksObtained: markNum,
-        maxMarks: maxNum,
-        scripts: [],
-      });
-    } else {
-      folder.subjects[idx].marksObtained = markNum;
-      folder.subjects[idx].maxMarks = maxNum;
+    const folder = await ExamFolder.findById(folderId);
+    if (!folder) return res.status(404).json({ message: "Exam folder not found" });
+    if (!canManageFolder(req.user, folder)) {
+      return forbid(res, "You can only edit exam folders you created");
     }
 
+    upsertSubject(folder, subjectName, markNum, maxNum);
+
     await folder.save();
-    return res.json({ message: "Subject saved", folder });
+    return res.json({ message: "Subject saved", folder: presentFolder(req, folder) });
   } catch (err) {
     console.error("upsert-subject error:", err);
     return res.status(500).json({ message: err?.message || "Server error" });
@@ -169,8 +276,10 @@ router.post("/teacher/:folderId/upsert-subject", async (req, res) => {
 // Upload scripts for a subject (teacher)
 router.post(
   "/teacher/:folderId/:subjectId/upload-scripts",
+  requireRole("teacher", "admin"),
   examUpload.array("scripts", 10),
   async (req, res) => {
+    const storedKeys = [];
     try {
       const { folderId, subjectId } = req.params;
 
@@ -180,42 +289,405 @@ router.post(
 
       const folder = await ExamFolder.findById(folderId);
       if (!folder) return res.status(404).json({ message: "Exam folder not found" });
+      if (!canManageFolder(req.user, folder)) {
+        return forbid(res, "You can only upload scripts to exam folders you created");
+      }
 
       const subject = folder.subjects.id(subjectId);
       if (!subject) return res.status(404).json({ message: "Subject not found" });
 
-      req.files.forEach((f) => {
-        subject.scripts.push({
-          fileName: f.filename,
-          originalName: f.originalname,
-          mimeType: f.mimetype,
-          size: f.size,
-          url: filePublicUrl(req, f.filename),
-        });
-      });
+      const { processed, status, body } = await prepareScripts(req.files);
+      if (!processed) return res.status(status).json(body);
 
+      const scripts = [];
+      for (const [i, f] of req.files.entries()) {
+        scripts.push(await storeScript(f, processed[i], storedKeys));
+      }
+
+      subject.scripts.push(...scripts);
       await folder.save();
-      return res.json({ message: "Scripts uploaded", subject });
+      const saved = presentFolder(req, folder).subjects.find((s) => String(s._id) === String(subject._id));
+      return res.json({ message: "Scripts uploaded", subject: saved });
     } catch (err) {
+      discardUploads(storedKeys);
       console.error("upload-scripts error:", err);
       return res.status(500).json({ message: err?.message || "Server error" });
     }
   }
 );
 
-// GET all exam folders uploaded by this teacher (mentor uploads only)
-router.get("/teacher/folders", async (req, res) => {
+// Rename an exam / move a folder to the right student / set examType, semester (teacher)
+// PATCH /teacher/:folderId  { examName?, studentRollNo?, examType?, semester? }
+router.patch("/teacher/:folderId", requireRole("teacher", "admin"), async (req, res) => {
   try {
-    const { mentorTeacherEmail } = req.query;
-    if (!mentorTeacherEmail) {
-      return res.status(400).json({ message: "mentorTeacherEmail is required" });
+    const folder = await ExamFolder.findById(req.params.folderId);
+    if (!folder) return res.status(404).json({ message: "Exam folder not found" });
+    if (!canManageFolder(req.user, folder)) {
+      return forbid(res, "You can only edit exam folders you created");
     }
 
-    const folders = await ExamFolder.find({
-      mentorTeacherEmail: String(mentorTeacherEmail).toLowerCase().trim(),
-    }).sort({ createdAt: -1 });
+    const { meta, error } = readExamMeta(req.body);
+    if (error) return res.status(400).json({ message: error });
+
+    const update = { ...meta };
+    if (req.body.examName !== undefined) {
+      if (!normalize(req.body.examName)) return res.status(400).json({ message: "examName cannot be empty" });
+      update.examName = normalize(req.body.examName);
+    }
+
+    if (req.body.studentRollNo !== undefined && normalize(req.body.studentRollNo) !== folder.studentRollNo) {
+      const rollNo = normalize(req.body.studentRollNo);
+      const student = await User.findOne({ rollNo, role: "student" }).select("email name rollNo mentorTeacherEmail");
+      if (!student) return res.status(404).json({ message: "Student not found" });
+      // The folder stays with its mentor, so the new student must be one of their mentees
+      if (!canActOnStudent({ role: "teacher", email: folder.mentorTeacherEmail }, student)) {
+        return forbid(res, "Folders can only be moved to the mentor's own mentees");
+      }
+      Object.assign(update, { studentRollNo: student.rollNo, studentEmail: student.email, studentName: student.name });
+    }
+
+    if (!Object.keys(update).length) {
+      return res.status(400).json({ message: "Nothing to update (examName, studentRollNo, examType, semester)" });
+    }
+
+    const clash = await ExamFolder.exists({
+      _id: { $ne: folder._id },
+      studentRollNo: update.studentRollNo || folder.studentRollNo,
+      mentorTeacherEmail: folder.mentorTeacherEmail,
+      examName: update.examName || folder.examName,
+    });
+    if (clash) {
+      return res.status(409).json({ message: "That student already has a folder with this exam name" });
+    }
+
+    folder.set(update);
+    await folder.save();
+    // Marks queries follow the folder to its new student
+    if (update.studentRollNo) {
+      await MarksQuery.updateMany(
+        { folderId: folder._id },
+        { $set: { studentRollNo: update.studentRollNo, studentEmail: update.studentEmail } }
+      );
+    }
+    return res.json({ message: "Folder updated", folder: presentFolder(req, folder) });
+  } catch (err) {
+    console.error("update-folder error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Delete a folder with all its subjects and scripts (teacher) - restorable from the trash
+router.delete("/teacher/:folderId", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const folder = await ExamFolder.findById(req.params.folderId);
+    if (!folder) return res.status(404).json({ message: "Exam folder not found" });
+    if (!canManageFolder(req.user, folder)) {
+      return forbid(res, "You can only delete exam folders you created");
+    }
+
+    const trashed = await moveToTrash("folder", { folder, actor: req.user }, () => folder.deleteOne());
+    return res.json({ message: "Folder moved to trash", trashId: trashed._id, purgeAt: trashed.purgeAt });
+  } catch (err) {
+    console.error("delete-folder error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Delete a subject with its scripts (teacher) - restorable from the trash
+router.delete("/teacher/:folderId/subjects/:subjectId", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const { folderId, subjectId } = req.params;
+
+    const folder = await ExamFolder.findById(folderId);
+    if (!folder) return res.status(404).json({ message: "Exam folder not found" });
+    if (!canManageFolder(req.user, folder)) {
+      return forbid(res, "You can only edit exam folders you created");
+    }
+
+    const subject = folder.subjects.id(subjectId);
+    if (!subject) return res.status(404).json({ message: "Subject not found" });
 
-    return res.json({ folders });
+    const trashed = await moveToTrash("subject", { folder, subject, actor: req.user }, () => {
+      folder.subjects.pull(subject._id);
+      return folder.save();
+    });
+    return res.json({
+      message: "Subject moved to trash",
+      trashId: trashed._id,
+      purgeAt: trashed.purgeAt,
+      folder: presentFolder(req, folder),
+    });
+  } catch (err) {
+    console.error("delete-subject error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Delete one script (teacher) - restorable from the trash
+router.delete("/teacher/:folderId/:subjectId/scripts/:scriptId", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const { folderId, subjectId, scriptId } = req.params;
+
+    const folder = await ExamFolder.findById(folderId);
+    if (!folder) return res.status(404).json({ message: "Exam folder not found" });
+    if (!canManageFolder(req.user, folder)) {
+      return forbid(res, "You can only edit exam folders you created");
+    }
+
+    const subject = folder.subjects.id(subjectId);
+    const script = subject?.scripts.id(scriptId);
+    if (!script) return res.status(404).json({ message: "Script not found" });
+
+    const trashed = await moveToTrash("script", { folder, subject, script, actor: req.user }, () => {
+      subject.scripts.pull(script._id);
+      return folder.save();
+    });
+    const saved = presentFolder(req, folder).subjects.find((s) => String(s._id) === String(subject._id));
+    return res.json({ message: "Script moved to trash", trashId: trashed._id, purgeAt: trashed.purgeAt, subject: saved });
+  } catch (err) {
+    console.error("delete-script error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Replace one script with a new file (teacher); the old file goes to the trash
+// PUT /teacher/:folderId/:subjectId/scripts/:scriptId  (multipart field "script")
+router.put(
+  "/teacher/:folderId/:subjectId/scripts/:scriptId",
+  requireRole("teacher", "admin"),
+  examUpload.single("script"),
+  async (req, res) => {
+    const storedKeys = [];
+    try {
+      const { folderId, subjectId, scriptId } = req.params;
+
+      if (!req.file) return res.status(400).json({ message: "No script uploaded" });
+
+      const folder = await ExamFolder.findById(folderId);
+      if (!folder) return res.status(404).json({ message: "Exam folder not found" });
+      if (!canManageFolder(req.user, folder)) {
+        return forbid(res, "You can only upload scripts to exam folders you created");
+      }
+
+      const subject = folder.subjects.id(subjectId);
+      const script = subject?.scripts.id(scriptId);
+      if (!script) return res.status(404).json({ message: "Script not found" });
+
+      const { processed, status, body } = await prepareScripts([req.file]);
+      if (!processed) return res.status(status).json(body);
+
+      const replacement = await storeScript(req.file, processed[0], storedKeys);
+      await moveToTrash("script", { folder, subject, script, actor: req.user, reason: "replaced" }, () => {
+        // Same position in the list; a new id so a restored original can sit next to it
+        subject.scripts.splice(subject.scripts.indexOf(script), 1, replacement);
+        return folder.save();
+      });
+      const saved = presentFolder(req, folder).subjects.find((s) => String(s._id) === String(subject._id));
+      return res.json({ message: "Script replaced", subject: saved });
+    } catch (err) {
+      discardUploads(storedKeys);
+      console.error("replace-script error:", err);
+      return res.status(500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+// Publish / schedule / unpublish one folder (teacher)
+// POST /teacher/:folderId/publish  { releaseAt? }   |   POST /teacher/:folderId/unpublish
+router.post("/teacher/:folderId/:action(publish|unpublish)", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const { folderId, action } = req.params;
+
+    const releaseAt = readReleaseAt(req.body.releaseAt);
+    if (releaseAt === null) return res.status(400).json({ message: "releaseAt must be a valid date" });
+
+    const folder = await ExamFolder.findById(folderId);
+    if (!folder) return res.status(404).json({ message: "Exam folder not found" });
+    if (!canManageFolder(req.user, folder)) {
+      return forbid(res, "You can only publish exam folders you created");
+    }
+
+    folder.set(publishUpdate(action, releaseAt, req.user.email).$set);
+    await folder.save();
+
+    const message =
+      action === "unpublish"
+        ? "Folder moved back to draft"
+        : releaseAt && releaseAt > new Date()
+          ? `Folder scheduled for release at ${releaseAt.toISOString()}`
+          : "Folder published";
+    return res.json({ message, folder: presentFolder(req, folder) });
+  } catch (err) {
+    console.error("publish folder error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Publish / schedule / unpublish a whole exam across the teacher's folders
+// POST /teacher/publish-exam  { examName, action: "publish"|"unpublish", releaseAt?, mentorTeacherEmail? }
+router.post("/teacher/publish-exam", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const { examName, action = "publish" } = req.body;
+    if (!normalize(examName)) return res.status(400).json({ message: "examName is required" });
+    if (!["publish", "unpublish"].includes(action)) {
+      return res.status(400).json({ message: "action must be publish or unpublish" });
+    }
+
+    const releaseAt = readReleaseAt(req.body.releaseAt);
+    if (releaseAt === null) return res.status(400).json({ message: "releaseAt must be a valid date" });
+
+    const mentorTeacherEmail = authorizeMentor(req, res, req.body.mentorTeacherEmail);
+    if (!mentorTeacherEmail) return;
+
+    const result = await ExamFolder.updateMany(
+      { mentorTeacherEmail, examName: normalize(examName) },
+      publishUpdate(action, releaseAt, req.user.email)
+    );
+
+    return res.json({
+      message: `${result.modifiedCount} of ${result.matchedCount} "${normalize(examName)}" folders ${action}ed`,
+      matched: result.matchedCount,
+      modified: result.modifiedCount,
+      releaseAt: action === "publish" ? releaseAt || null : null,
+    });
+  } catch (err) {
+    console.error("publish-exam error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Bulk marks entry from a spreadsheet (teacher)
+// POST /teacher/upload-marks  multipart: file, examName, examType?, semester?, mentorTeacherEmail? (admin), dryRun?
+router.post(
+  "/teacher/upload-marks",
+  requireRole("teacher", "admin"),
+  sheetUpload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ message: "No file uploaded" });
+
+      const examName = normalize(req.body.examName);
+      if (!examName) return res.status(400).json({ message: "examName is required" });
+
+      const { meta, error } = readExamMeta(req.body);
+      if (error) return res.status(400).json({ message: error });
+
+      const teacherEmail = authorizeMentor(req, res, req.body.mentorTeacherEmail);
+      if (!teacherEmail) return;
+
+      const parsed = parseMarksSheet(req.file.buffer);
+      if (parsed.error) return res.status(400).json({ message: parsed.error });
+      const { subjects, rows } = parsed;
+
+      const rollNos = rows.map((r) => r.rollNo).filter(Boolean);
+      const students = await User.find({ role: "student", rollNo: { $in: rollNos } })
+        .select("email name rollNo mentorTeacherEmail")
+        .lean();
+      const studentByRoll = new Map(students.map((s) => [s.rollNo, s]));
+
+      const folders = await ExamFolder.find({
+        studentRollNo: { $in: rollNos },
+        mentorTeacherEmail: teacherEmail,
+        examName,
+      });
+      const folderByRoll = new Map(folders.map((f) => [f.studentRollNo, f]));
+
+      const dryRun = String(req.query.dryRun || req.body.dryRun) === "true";
+      const mentor = { role: "teacher", email: teacherEmail };
+      const seenRolls = new Map();
+      const toSave = [];
+
+      const report = rows.map(({ row, rollNo, cells }) => {
+        const result = { row, rollNo: rollNo || null, status: "saved", saved: [], issues: [] };
+
+        const student = studentByRoll.get(rollNo);
+        if (!rollNo) result.issues.push("Missing rollNo");
+        else if (seenRolls.has(rollNo)) result.issues.push(`Duplicate rollNo (also on row ${seenRolls.get(rollNo)})`);
+        else if (!student) result.issues.push("Unknown rollNo");
+        else if (!canActOnStudent(mentor, student)) result.issues.push("Student is not your mentee");
+        if (rollNo && !seenRolls.has(rollNo)) seenRolls.set(rollNo, row);
+        if (result.issues.length) {
+          result.status = "rejected";
+          return result;
+        }
+
+        const marks = [];
+        for (const subject of subjects) {
+          const raw = cells[subject.col];
+          if (normalize(raw) === "") continue;
+
+          const value = Number(raw);
+          if (!Number.isFinite(value)) result.issues.push(`${subject.name}: "${raw}" is not a number`);
+          else if (value < 0) result.issues.push(`${subject.name}: marks cannot be negative`);
+          else if (value > subject.maxMarks) {
+            result.issues.push(`${subject.name}: ${value} is above maxMarks ${subject.maxMarks}`);
+          } else marks.push({ subject, value });
+        }
+
+        if (!marks.length) {
+          result.status = result.issues.length ? "rejected" : "skipped";
+          return result;
+        }
+        if (result.issues.length) result.status = "partial";
+
+        let folder = folderByRoll.get(rollNo);
+        if (!folder) {
+          folder = new ExamFolder({
+            studentRollNo: rollNo,
+            mentorTeacherEmail: teacherEmail,
+            examName,
+            studentEmail: student.email,
+            studentName: student.name,
+            subjects: [],
+            published: false,
+          });
+          folderByRoll.set(rollNo, folder);
+          // A dry run stores nothing, so there is no folder id to hand out yet
+          if (dryRun) result.wouldCreate = true;
+          else result.folderCreated = true;
+        }
+        folder.set(meta);
+        marks.forEach(({ subject, value }) => {
+          upsertSubject(folder, subject.name, value, subject.maxMarks);
+          result.saved.push(subject.name);
+        });
+        result.folderId = result.wouldCreate ? null : folder._id;
+        toSave.push(folder);
+        return result;
+      });
+
+      if (!dryRun && toSave.length) await ExamFolder.bulkSave(toSave);
+
+      const summary = { rows: report.length, saved: 0, partial: 0, rejected: 0, skipped: 0 };
+      report.forEach((r) => summary[r.status]++);
+
+      return res.json({
+        message: dryRun
+          ? `Dry run: ${summary.saved + summary.partial} rows would be saved, ${summary.rejected} rejected`
+          : `Marks saved for ${summary.saved + summary.partial} students (${summary.rejected} rows rejected)`,
+        dryRun,
+        examName,
+        ...meta,
+        subjects: subjects.map(({ name, maxMarks }) => ({ subjectName: name, maxMarks })),
+        summary,
+        rows: report,
+      });
+    } catch (err) {
+      console.error("upload-marks error:", err);
+      return res.status(500).json({ message: err?.message || "Server error" });
+    }
+  }
+);
+
+// GET all exam folders uploaded by this teacher (mentor uploads only)
+router.get("/teacher/folders", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const mentorTeacherEmail = authorizeMentor(req, res, req.query.mentorTeacherEmail);
+    if (!mentorTeacherEmail) return;
+
+    const folders = await ExamFolder.find({ mentorTeacherEmail }).sort({ createdAt: -1 });
+
+    return res.json({ folders: folders.map((f) => presentFolder(req, f)) });
   } catch (err) {
     console.error("teacher/folders error:", err);
     return res.status(500).json({ message: err?.message || "Server error" });
@@ -229,14 +701,15 @@ router.get("/teacher/folders", async (req, res) => {
 // List exam folders by rollNo (student)
 router.get("/student/folders", async (req, res) => {
   try {
-    const { rollNo } = req.query;
-    if (!normalize(rollNo)) return res.status(400).json({ message: "rollNo is required" });
+    const student = await authorizeStudent(req, res, { rollNo: req.query.rollNo });
+    if (!student) return;
 
-    const folders = await ExamFolder.find({ studentRollNo: normalize(rollNo) }).sort({
-      createdAt: -1,
-    });
+    const folders = await ExamFolder.find({
+      studentRollNo: normalize(student.rollNo),
+      ...releasedFolderFilter(),
+    }).sort({ createdAt: -1 });
 
-    return res.json({ folders });
+    return res.json({ folders: folders.map((f) => presentFolder(req, f)) });
   } catch (err) {
     console.error("student/folders error:", err);
     return res.status(500).json({ message: err?.message || "Server error" });
@@ -247,18 +720,19 @@ router.get("/student/folders", async (req, res) => {
 router.get("/student/folders/:folderId", async (req, res) => {
   try {
     const { folderId } = req.params;
-    const { rollNo } = req.query;
-
-    if (!normalize(rollNo)) return res.status(400).json({ message: "rollNo is required" });
 
-    const folder = await ExamFolder.findById(folderId);
+    // Unreleased folders look missing from the student side
+    const folder = await ExamFolder.findOne({ _id: folderId, ...releasedFolderFilter() });
     if (!folder) return res.status(404).json({ message: "Folder not found" });
 
-    if (normalize(folder.studentRollNo) !== normalize(rollNo)) {
-      return res.status(403).json({ message: "Not allowed" });
+    if (!canViewFolder(req.user, folder)) {
+      return forbid(res, "Not allowed");
     }
 
-    return res.json({ folder });
+    // Rank/percentile per subject within the exam (counts only, no names)
+    const standings = await subjectStandings(folder);
+
+    return res.json({ folder: presentFolder(req, folder), standings });
   } catch (err) {
     console.error("student/folder detail error:", err);
     return res.status(500).json({ message: err?.message || "Server error" });
@@ -273,15 +747,18 @@ router.post("/student/subject-summary", async (req, res) => {
   try {
     const { rollNo, subjectName, examName } = req.body;
 
-    if (!normalize(rollNo) || !normalize(subjectName)) {
-      return res.status(400).json({ message: "rollNo and subjectName are required" });
+    if (!normalize(subjectName)) {
+      return res.status(400).json({ message: "subjectName is required" });
     }
 
-    const roll = normalize(rollNo);
+    const student = await authorizeStudent(req, res, { rollNo });
+    if (!student) return;
+
+    const roll = normalize(student.rollNo);
     const sub = normalize(subjectName).toLowerCase();
 
     // Latest folder (optionally filter by examName if provided)
-    const folderQuery = { studentRollNo: roll };
+    const folderQuery = { studentRollNo: roll, ...releasedFolderFilter() };
     if (normalize(examName)) folderQuery.examName = normalize(examName);
 
     const folder = await ExamFolder.findOne(folderQuery).sort({ createdAt: -1 });
@@ -302,7 +779,7 @@ router.post("/student/subject-summary", async (req, res) => {
       subjectName: subject.subjectName,
       marksObtained: subject.marksObtained,
       maxMarks: subject.maxMarks,
-      scripts: subject.scripts || [],
+      scripts: presentFolder(req, folder).subjects.find((s) => String(s._id) === String(subject._id)).scripts,
     });
   } catch (err) {
     console.error("subject-summary error:", err);
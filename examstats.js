@@ -0,0 +1,139 @@
+// examstats.js - Class-level exam statistics (mean, median, pass rate, histogram, rank)
+//
+// Scores are compared as percentages (marksObtained / maxMarks) so folders
+// entered with different maxMarks for the same subject still line up.
+
+const express = require("express");
+const { ExamFolder, releasedFolderFilter } = require("./models");
+const { requireRole, authorizeMentor } = require("./policy");
+
+const router = express.Router();
+
+const PASS_PERCENT = Number(process.env.EXAM_PASS_PERCENT) || 40;
+const BAND_WIDTH = 10; // histogram bands: 0-10, 10-20, ... 90-100
+
+/* ---------------------------
+Helpers
+---------------------------- */
+const normalize = (s) => String(s || "").trim();
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Aggregation stages: one { key, subjectName, score } per subject of the matched folders
+function subjectScoreStages(match, subjectName) {
+  const stages = [
+    { $match: match },
+    { $unwind: "$subjects" },
+    {
+      $project: {
+        _id: 0,
+        subjectName: "$subjects.subjectName",
+        key: { $toLower: { $trim: { input: "$subjects.subjectName" } } },
+        score: {
+          $cond: [
+            { $gt: ["$subjects.maxMarks", 0] },
+            { $multiply: [{ $divide: ["$subjects.marksObtained", "$subjects.maxMarks"] }, 100] },
+            0,
+          ],
+        },
+      },
+    },
+  ];
+  if (normalize(subjectName)) stages.push({ $match: { key: normalize(subjectName).toLowerCase() } });
+  return stages;
+}
+
+function describeScores(scores) {
+  const sorted = [...scores].sort((a, b) => a - b);
+  const n = sorted.length;
+  const mid = Math.floor(n / 2);
+  const bands = Array.from({ length: 100 / BAND_WIDTH }, (_, i) => ({
+    band: `${i * BAND_WIDTH}-${(i + 1) * BAND_WIDTH}`,
+    count: 0,
+  }));
+  // 100% (or anything out of range) is clamped into the first/last band
+  sorted.forEach((s) => {
+    const i = Math.min(Math.max(Math.floor(s / BAND_WIDTH), 0), bands.length - 1);
+    bands[i].count++;
+  });
+
+  return {
+    count: n,
+    mean: n ? round2(sorted.reduce((sum, s) => sum + s, 0) / n) : null,
+    median: n ? round2(n % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2) : null,
+    highest: n ? round2(sorted[n - 1]) : null,
+    lowest: n ? round2(sorted[0]) : null,
+    passPercent: PASS_PERCENT,
+    passRate: n ? round2((sorted.filter((s) => s >= PASS_PERCENT).length / n) * 100) : null,
+    histogram: bands,
+  };
+}
+
+/**
+ * Rank and percentile of each subject in a folder within the released folders
+ * of the same exam. Only counts are returned, never other students' details.
+ */
+async function subjectStandings(folder) {
+  const groups = await ExamFolder.aggregate([
+    ...subjectScoreStages({ examName: folder.examName, ...releasedFolderFilter() }),
+    { $group: { _id: "$key", scores: { $push: "$score" } } },
+  ]);
+  const scoresByKey = new Map(groups.map((g) => [g._id, g.scores]));
+
+  return folder.subjects.map((s) => {
+    const scores = scoresByKey.get(normalize(s.subjectName).toLowerCase()) || [];
+    const mine = s.maxMarks > 0 ? (s.marksObtained / s.maxMarks) * 100 : 0;
+    const above = scores.filter((x) => x > mine).length;
+    const below = scores.filter((x) => x < mine).length;
+    const equal = scores.length - above - below;
+
+    return {
+      subjectId: s._id,
+      subjectName: s.subjectName,
+      rank: scores.length ? above + 1 : null,
+      outOf: scores.length,
+      percentile: scores.length ? Math.round(((below + 0.5 * equal) / scores.length) * 100) : null,
+    };
+  });
+}
+
+/* ---------------------------
+1) Class statistics
+---------------------------- */
+
+// GET /api/exams/analytics/class?examName=&subjectName=&mentorTeacherEmail=
+// Teachers see their own folders (drafts included); admins see every folder, or one mentor's.
+router.get("/class", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const examName = normalize(req.query.examName);
+    if (!examName) return res.status(400).json({ message: "examName is required" });
+
+    const match = { examName };
+    if (req.user.role === "teacher" || normalize(req.query.mentorTeacherEmail)) {
+      const mentorTeacherEmail = authorizeMentor(req, res, req.query.mentorTeacherEmail);
+      if (!mentorTeacherEmail) return;
+      match.mentorTeacherEmail = mentorTeacherEmail;
+    }
+
+    const groups = await ExamFolder.aggregate([
+      ...subjectScoreStages(match, req.query.subjectName),
+      { $group: { _id: "$key", subjectName: { $first: "$subjectName" }, scores: { $push: "$score" } } },
+      { $sort: { _id: 1 } },
+    ]);
+
+    if (normalize(req.query.subjectName) && !groups.length) {
+      return res.status(404).json({ message: "No marks found for this exam and subject" });
+    }
+
+    return res.json({
+      examName,
+      mentorTeacherEmail: match.mentorTeacherEmail || null,
+      scoreUnit: "percent",
+      subjects: groups.map((g) => ({ subjectName: g.subjectName, ...describeScores(g.scores) })),
+    });
+  } catch (err) {
+    console.error("exam class stats error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, subjectStandings };
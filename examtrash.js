@@ -0,0 +1,200 @@
+// examtrash.js - Trash for deleted exam folders, subjects and scripts
+//
+// Deletes in exampaper.js move a snapshot of the removed item here instead of
+// dropping it. Its files stay in storage until the trash period ends, so a
+// mistaken delete can be restored; the purge job then removes the files too.
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { ExamFolder } = require("./models");
+const { storage } = require("./storage");
+const { scriptKey } = require("./files");
+const { forbid, requireRole, canManageFolder, authorizeMentor } = require("./policy");
+
+const router = express.Router();
+
+const TRASH_DAYS = Number(process.env.EXAM_TRASH_DAYS) || 14;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+/* ---------------------------
+1) Trash schema/model
+---------------------------- */
+const examTrashSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ["folder", "subject", "script"], required: true },
+    mentorTeacherEmail: { type: String, required: true, index: true },
+    folderId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    subjectId: mongoose.Schema.Types.ObjectId, // scripts only: the subject it belonged to
+    label: String, // e.g. "IA1 / 1CR21CS001 / DBMS", for listings
+    item: { type: mongoose.Schema.Types.Mixed, required: true }, // the removed folder/subject/script
+    storageKeys: [String], // files deleted when the item is purged
+    reason: { type: String, enum: ["deleted", "replaced"], default: "deleted" },
+    deletedBy: String,
+    purgeAt: { type: Date, required: true, index: true },
+  },
+  { timestamps: true }
+);
+
+const ExamTrash = mongoose.models.ExamTrash || mongoose.model("ExamTrash", examTrashSchema);
+
+/* ---------------------------
+Helpers
+---------------------------- */
+const plain = (doc) => (typeof doc?.toObject === "function" ? doc.toObject() : doc);
+
+// Every stored file behind a script (the file itself plus page thumbnails)
+const scriptStorageKeys = (script) =>
+  [scriptKey(script), ...(script.thumbnails || []).map((t) => t.storageKey)].filter(Boolean);
+
+const subjectStorageKeys = (subject) => (subject.scripts || []).flatMap(scriptStorageKeys);
+
+/**
+ * Put a folder / subject / script in the trash. `remove` takes it out of the
+ * live data (e.g. pull + save); if that fails the trash entry is dropped again,
+ * so the purge can never delete files that are still in use.
+ */
+async function moveToTrash(kind, { folder, subject, script, actor, reason = "deleted" }, remove) {
+  const storageKeys =
+    kind === "folder"
+      ? (folder.subjects || []).flatMap(subjectStorageKeys)
+      : kind === "subject"
+        ? subjectStorageKeys(subject)
+        : scriptStorageKeys(script);
+
+  const entry = await ExamTrash.create({
+    kind,
+    mentorTeacherEmail: folder.mentorTeacherEmail,
+    folderId: folder._id,
+    subjectId: kind === "script" ? subject._id : undefined,
+    label: [folder.examName, folder.studentRollNo, subject?.subjectName, script?.originalName].filter(Boolean).join(" / "),
+    item: plain({ folder, subject, script }[kind]),
+    storageKeys,
+    reason,
+    deletedBy: actor?.email,
+    purgeAt: new Date(Date.now() + TRASH_DAYS * 24 * 60 * 60 * 1000),
+  });
+
+  try {
+    await remove();
+  } catch (err) {
+    await entry.deleteOne().catch(() => {});
+    throw err;
+  }
+  return entry;
+}
+
+async function removeFiles(keys) {
+  for (const key of keys) {
+    await storage.remove(key).catch((err) => console.error(`trash purge: could not remove ${key}:`, err?.message));
+  }
+}
+
+// Delete trash entries whose period has ended, files first
+async function purgeExpiredTrash() {
+  const expired = await ExamTrash.find({ purgeAt: { $lte: new Date() } });
+  for (const entry of expired) {
+    await removeFiles(entry.storageKeys);
+    await entry.deleteOne();
+  }
+  return expired.length;
+}
+
+function startTrashPurge() {
+  const run = () =>
+    purgeExpiredTrash()
+      .then((n) => n && console.log(`🗑️  Purged ${n} expired exam trash entries`))
+      .catch((err) => console.error("exam trash purge error:", err?.message));
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+// Put a trashed item back. Returns { folder } or { status, message } when it can't be.
+async function restoreEntry(entry) {
+  if (entry.kind === "folder") {
+    const item = entry.item;
+    if (await ExamFolder.exists({ _id: item._id })) return { status: 409, message: "Folder already exists" };
+    const clash = await ExamFolder.exists({
+      studentRollNo: item.studentRollNo,
+      mentorTeacherEmail: item.mentorTeacherEmail,
+      examName: item.examName,
+    });
+    if (clash) return { status: 409, message: `The student already has a "${item.examName}" folder` };
+    return { folder: await ExamFolder.create(item) };
+  }
+
+  const folder = await ExamFolder.findById(entry.folderId);
+  if (!folder) return { status: 409, message: "Restore the folder first" };
+
+  if (entry.kind === "subject") {
+    const name = String(entry.item.subjectName).toLowerCase();
+    if (folder.subjects.some((s) => String(s.subjectName).toLowerCase() === name)) {
+      return { status: 409, message: `The folder already has a subject "${entry.item.subjectName}"` };
+    }
+    folder.subjects.push(entry.item);
+  } else {
+    const subject = folder.subjects.id(entry.subjectId);
+    if (!subject) return { status: 409, message: "Restore the subject first" };
+    if (subject.scripts.id(entry.item._id)) return { status: 409, message: "Script is already in the subject" };
+    subject.scripts.push(entry.item);
+  }
+  await folder.save();
+  return { folder };
+}
+
+/* ---------------------------
+2) Trash APIs (teacher: own folders; admin: all)
+---------------------------- */
+
+// GET /api/exams/trash[?mentorTeacherEmail=]
+router.get("/", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const query = {};
+    if (req.user.role === "teacher" || String(req.query.mentorTeacherEmail || "").trim()) {
+      const mentorTeacherEmail = authorizeMentor(req, res, req.query.mentorTeacherEmail);
+      if (!mentorTeacherEmail) return;
+      query.mentorTeacherEmail = mentorTeacherEmail;
+    }
+
+    const entries = await ExamTrash.find(query).select("-item").sort({ createdAt: -1 });
+    return res.json({ trashDays: TRASH_DAYS, entries });
+  } catch (err) {
+    console.error("exam trash list error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// POST /api/exams/trash/:trashId/restore
+router.post("/:trashId/restore", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const entry = await ExamTrash.findById(req.params.trashId);
+    if (!entry) return res.status(404).json({ message: "Trash entry not found" });
+    if (!canManageFolder(req.user, entry)) return forbid(res, "You can only restore items from your own folders");
+
+    const result = await restoreEntry(entry);
+    if (!result.folder) return res.status(result.status).json({ message: result.message });
+
+    await entry.deleteOne();
+    return res.json({ message: `${entry.kind} restored`, folderId: result.folder._id });
+  } catch (err) {
+    console.error("exam trash restore error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Delete for good now - DELETE /api/exams/trash/:trashId
+router.delete("/:trashId", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const entry = await ExamTrash.findById(req.params.trashId);
+    if (!entry) return res.status(404).json({ message: "Trash entry not found" });
+    if (!canManageFolder(req.user, entry)) return forbid(res, "You can only purge items from your own folders");
+
+    await removeFiles(entry.storageKeys);
+    await entry.deleteOne();
+    return res.json({ message: "Deleted permanently" });
+  } catch (err) {
+    console.error("exam trash purge error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, moveToTrash, purgeExpiredTrash, startTrashPurge };
@@ -0,0 +1,174 @@
+// files.js - Authorized, expiring download links for stored files
+//
+// Stored files (answer scripts, profile images, leave documents) are never
+// served statically. API responses carry short-lived signed links instead,
+// handed out only after the usual folder/student checks; the public
+// /api/files/download route just verifies the signature and streams the file.
+
+const express = require("express");
+const crypto = require("crypto");
+const path = require("path");
+const { ExamFolder, releasedFolderFilter } = require("./models");
+const { storage, keyFromUrl } = require("./storage");
+const { forbid, canViewFolder, authorizeStudent } = require("./policy");
+
+const router = express.Router();
+
+const LINK_TTL_SECONDS = Number(process.env.FILE_LINK_TTL_SECONDS) || 10 * 60;
+
+// Extensions media.js assigns after checking content; served inline
+const INLINE_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".pdf": "application/pdf",
+};
+
+/* ---------------------------
+Helpers
+---------------------------- */
+function linkSecret() {
+  // Fail closed like the JWT secrets in auth.js
+  const secret = process.env.FILE_LINK_SECRET || process.env.JWT_ACCESS_SECRET;
+  if (!secret) throw new Error("FILE_LINK_SECRET (or JWT_ACCESS_SECRET) missing in environment variables");
+  return secret;
+}
+
+const sign = (key, exp, name) =>
+  crypto.createHmac("sha256", linkSecret()).update(`${key}\n${exp}\n${name}`).digest("base64url");
+
+/**
+ * Absolute, expiring download URL for a storage key.
+ * Callers must have checked access already; the link itself is the permission.
+ */
+function signedFileUrl(req, key, { name = path.basename(key), ttlSeconds = LINK_TTL_SECONDS } = {}) {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const params = new URLSearchParams({ key, exp: String(exp), name, sig: sign(key, exp, name) });
+  return `${req.protocol}://${req.get("host")}/api/files/download?${params}`;
+}
+
+// Older records only have fileName / a static URL
+const scriptKey = (script) =>
+  script.storageKey || (script.fileName ? `exam_uploads/${script.fileName}` : keyFromUrl(script.url));
+const profileImageKey = (profile) => profile?.profileImageKey || keyFromUrl(profile?.profileImageUrl);
+
+// Folder as JSON with every script / thumbnail url replaced by a fresh signed link
+function presentFolder(req, folder) {
+  const json = typeof folder.toJSON === "function" ? folder.toJSON() : folder;
+  return {
+    ...json,
+    subjects: (json.subjects || []).map((subject) => ({
+      ...subject,
+      scripts: (subject.scripts || []).map((script) => {
+        const key = scriptKey(script);
+        return {
+          ...script,
+          url: key ? signedFileUrl(req, key, { name: script.originalName || undefined }) : null,
+          thumbnails: (script.thumbnails || []).map((t) => ({ page: t.page, url: signedFileUrl(req, t.storageKey) })),
+        };
+      }),
+    })),
+  };
+}
+
+// Profile with a signed profileImageUrl (or null)
+function presentProfile(req, profile) {
+  const json = typeof profile?.toJSON === "function" ? profile.toJSON() : { ...(profile || {}) };
+  const key = profileImageKey(json);
+  return { ...json, profileImageUrl: key ? signedFileUrl(req, key) : null };
+}
+
+/* ---------------------------
+1) Fresh links (authenticated)
+---------------------------- */
+
+// GET /api/files/scripts/:folderId/:subjectId/:scriptId -> { url, expiresIn }
+// Students: their own released folders; teachers: folders they created; admins: all.
+router.get("/scripts/:folderId/:subjectId/:scriptId", async (req, res) => {
+  try {
+    const { folderId, subjectId, scriptId } = req.params;
+    const query = { _id: folderId, ...(req.user.role === "student" ? releasedFolderFilter() : {}) };
+
+    const folder = await ExamFolder.findOne(query);
+    if (!folder) return res.status(404).json({ message: "Folder not found" });
+    if (!canViewFolder(req.user, folder)) return forbid(res, "Not allowed");
+
+    const script = folder.subjects.id(subjectId)?.scripts.id(scriptId);
+    const key = script && scriptKey(script);
+    if (!key) return res.status(404).json({ message: "Script not found" });
+
+    return res.json({
+      url: signedFileUrl(req, key, { name: script.originalName || undefined }),
+      expiresIn: LINK_TTL_SECONDS,
+    });
+  } catch (err) {
+    console.error("script link error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// GET /api/files/profile-image?email= -> { url, expiresIn }  (student, their mentor, admins)
+router.get("/profile-image", async (req, res) => {
+  try {
+    const student = await authorizeStudent(req, res, { email: req.query.email });
+    if (!student) return;
+
+    const key = profileImageKey(student.profile);
+    if (!key) return res.status(404).json({ message: "No profile image" });
+
+    return res.json({ url: signedFileUrl(req, key), expiresIn: LINK_TTL_SECONDS });
+  } catch (err) {
+    console.error("profile image link error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+2) Download (public; the signature is the credential)
+---------------------------- */
+
+// GET /api/files/download?key=&exp=&name=&sig=
+router.get("/download", async (req, res) => {
+  try {
+    const key = String(req.query.key || "");
+    const name = String(req.query.name || "");
+    const exp = Number(req.query.exp);
+    const given = Buffer.from(String(req.query.sig || ""));
+    const expected = Buffer.from(sign(key, exp, name));
+
+    if (!key || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      return forbid(res, "Invalid download link");
+    }
+    const secondsLeft = exp - Math.floor(Date.now() / 1000);
+    if (!(secondsLeft > 0)) {
+      return res.status(410).json({ message: "Download link has expired", type: "LINK_EXPIRED" });
+    }
+    if (!(await storage.exists(key))) return res.status(404).json({ message: "File not found" });
+
+    const stream = await storage.get(key);
+    // Only content-checked types (media.js) render in the browser; anything else downloads
+    const inlineType = INLINE_TYPES[path.extname(key).toLowerCase()];
+    res.type(inlineType || "application/octet-stream");
+    // Header values must stay plain ASCII
+    const fileName = (name || path.basename(key)).replace(/[^\x20-\x7e]|["\\]/g, "_");
+    res.setHeader("Content-Disposition", `${inlineType ? "inline" : "attachment"}; filename="${fileName}"`);
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("Content-Security-Policy", "sandbox");
+    res.setHeader("Cache-Control", `private, max-age=${secondsLeft}`);
+    // The frontend is on another origin; helmet defaults this header to same-origin
+    res.setHeader("Cross-Origin-Resource-Policy", "cross-origin");
+
+    stream.on("error", (err) => {
+      console.error("file download stream error:", err);
+      res.destroy(err);
+    });
+    return stream.pipe(res);
+  } catch (err) {
+    console.error("file download error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, signedFileUrl, presentFolder, presentProfile, scriptKey };
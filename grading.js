@@ -0,0 +1,365 @@
+// grading.js - Credit-based grading: subject catalogue, grade scale, SGPA / CGPA
+//
+// A subject's result combines the student's internal (CIE) folders for that
+// semester with each external (SEE) attempt. A failed external is a backlog
+// and counts 0 grade points until a later external attempt clears it; the
+// clearing attempt then replaces the failed one in SGPA and CGPA.
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { ExamFolder, releasedFolderFilter } = require("./models");
+const { requireRole, authorizeStudent } = require("./policy");
+
+const router = express.Router();
+
+// VTU 10-point scale (CIE 50 + SEE 50, min 35% in SEE)
+const DEFAULT_SCALE = {
+  bands: [
+    { grade: "O", minPercent: 90, points: 10 },
+    { grade: "A+", minPercent: 80, points: 9 },
+    { grade: "A", minPercent: 70, points: 8 },
+    { grade: "B+", minPercent: 60, points: 7 },
+    { grade: "B", minPercent: 55, points: 6 },
+    { grade: "C", minPercent: 50, points: 5 },
+    { grade: "P", minPercent: 40, points: 4 },
+    { grade: "F", minPercent: 0, points: 0 },
+  ],
+  internalWeight: 50,
+  externalWeight: 50,
+  externalMinPercent: 35,
+};
+
+/* ---------------------------
+1) Catalogue + grade scale schemas/models
+---------------------------- */
+const catalogSubjectSchema = new mongoose.Schema(
+  {
+    semester: { type: Number, required: true, min: 1, max: 8 },
+    code: String, // e.g. "21CS51"
+    name: { type: String, required: true },
+    nameKey: { type: String, required: true }, // lowercased name, matched against exam subjects
+    credits: { type: Number, required: true, min: 0 },
+    updatedBy: String,
+  },
+  { timestamps: true }
+);
+
+catalogSubjectSchema.index({ semester: 1, nameKey: 1 }, { unique: true });
+
+// Single doc (key "default") holding the active scale
+const gradeScaleSchema = new mongoose.Schema(
+  {
+    key: { type: String, default: "default", unique: true },
+    bands: [{ _id: false, grade: String, minPercent: Number, points: Number }],
+    internalWeight: Number,
+    externalWeight: Number,
+    externalMinPercent: Number,
+    updatedBy: String,
+  },
+  { timestamps: true }
+);
+
+const CatalogSubject =
+  mongoose.models.CatalogSubject || mongoose.model("CatalogSubject", catalogSubjectSchema);
+const GradeScale = mongoose.models.GradeScale || mongoose.model("GradeScale", gradeScaleSchema);
+
+/* ---------------------------
+Helpers
+---------------------------- */
+const normalize = (s) => String(s || "").trim();
+const subjectKey = (s) => normalize(s).replace(/\s+/g, " ").toLowerCase();
+const round2 = (n) => Math.round(n * 100) / 100;
+const percentOf = (s) => (s.maxMarks > 0 ? (s.marksObtained / s.maxMarks) * 100 : 0);
+
+async function loadScale() {
+  const saved = await GradeScale.findOne({ key: "default" }).lean();
+  return saved?.bands?.length ? saved : DEFAULT_SCALE;
+}
+
+/**
+ * Validate a grade scale from the request body.
+ * Returns { scale, errors } with bands sorted from the highest minPercent down.
+ */
+function validateScale(body) {
+  const errors = [];
+  const bands = (Array.isArray(body?.bands) ? body.bands : []).map((b) => ({
+    grade: normalize(b?.grade),
+    minPercent: Number(b?.minPercent),
+    points: Number(b?.points),
+  }));
+  bands.sort((a, b) => b.minPercent - a.minPercent);
+
+  if (!bands.length) errors.push("bands are required");
+  bands.forEach((b, i) => {
+    if (!b.grade) errors.push(`band ${i + 1}: grade is required`);
+    if (!Number.isFinite(b.minPercent) || b.minPercent < 0 || b.minPercent > 100) {
+      errors.push(`band ${b.grade || i + 1}: minPercent must be 0-100`);
+    }
+    if (!Number.isFinite(b.points) || b.points < 0 || b.points > 10) {
+      errors.push(`band ${b.grade || i + 1}: points must be 0-10`);
+    }
+    if (i > 0 && b.points > bands[i - 1].points) {
+      errors.push(`band ${b.grade}: points must not be higher than a band with a higher minPercent`);
+    }
+  });
+  if (new Set(bands.map((b) => b.minPercent)).size !== bands.length) {
+    errors.push("Two bands share the same minPercent");
+  }
+  if (bands.length && bands[bands.length - 1].minPercent !== 0) {
+    errors.push("The lowest band must start at minPercent 0");
+  }
+
+  const pick = (field) => (body?.[field] === undefined ? DEFAULT_SCALE[field] : Number(body[field]));
+  const scale = {
+    bands,
+    internalWeight: pick("internalWeight"),
+    externalWeight: pick("externalWeight"),
+    externalMinPercent: pick("externalMinPercent"),
+  };
+  ["internalWeight", "externalWeight", "externalMinPercent"].forEach((field) => {
+    if (!Number.isFinite(scale[field]) || scale[field] < 0 || scale[field] > 100) {
+      errors.push(`${field} must be 0-100`);
+    }
+  });
+  if (scale.internalWeight + scale.externalWeight <= 0) errors.push("Weights must not both be 0");
+
+  return { scale, errors };
+}
+
+// Band a percentage falls in (bands are sorted highest first; the last one is the fail grade)
+const bandFor = (scale, percent) =>
+  scale.bands.find((b) => percent >= b.minPercent) || scale.bands[scale.bands.length - 1];
+
+// Grade for one external attempt; internals missing -> the external decides alone
+function gradeAttempt(scale, internalPercent, externalPercent) {
+  const totalPercent =
+    internalPercent === null
+      ? externalPercent
+      : (internalPercent * scale.internalWeight + externalPercent * scale.externalWeight) /
+        (scale.internalWeight + scale.externalWeight);
+
+  const band =
+    externalPercent < scale.externalMinPercent
+      ? scale.bands[scale.bands.length - 1]
+      : bandFor(scale, totalPercent);
+
+  return { totalPercent: round2(totalPercent), grade: band.grade, gradePoints: band.points, passed: band.points > 0 };
+}
+
+// Σ(credits × points) / Σ credits over graded, catalogued subjects
+function gpaOf(subjects) {
+  const graded = subjects.filter((s) => s.credits !== null && s.status !== "pending");
+  const credits = graded.reduce((sum, s) => sum + s.credits, 0);
+  return credits ? round2(graded.reduce((sum, s) => sum + s.credits * s.gradePoints, 0) / credits) : null;
+}
+
+/**
+ * Semester-wise results for one student.
+ * Students see released folders only; includeDrafts is for staff previews.
+ */
+async function computeResults(rollNo, { includeDrafts = false } = {}) {
+  const query = { studentRollNo: rollNo, ...(includeDrafts ? {} : releasedFolderFilter()) };
+  const [folders, catalogue, scale] = await Promise.all([
+    ExamFolder.find(query).sort({ createdAt: 1 }).lean(),
+    CatalogSubject.find().lean(),
+    loadScale(),
+  ]);
+  const catalogByKey = new Map(catalogue.map((c) => [`${c.semester}#${c.nameKey}`, c]));
+
+  // semester -> subjectKey -> { subjectName, internals: [%], attempts: [{ examName, percent }] }
+  const bySemester = new Map();
+  const unassignedFolders = [];
+  for (const folder of folders) {
+    if (!folder.semester) {
+      unassignedFolders.push({ folderId: folder._id, examName: folder.examName });
+      continue;
+    }
+    if (!bySemester.has(folder.semester)) bySemester.set(folder.semester, new Map());
+    const subjects = bySemester.get(folder.semester);
+
+    for (const s of folder.subjects) {
+      const key = subjectKey(s.subjectName);
+      if (!subjects.has(key)) subjects.set(key, { subjectName: s.subjectName, internals: [], attempts: [] });
+      const entry = subjects.get(key);
+      if (folder.examType === "external") {
+        entry.attempts.push({ examName: folder.examName, externalPercent: round2(percentOf(s)) });
+      } else {
+        entry.internals.push(percentOf(s));
+      }
+    }
+  }
+
+  const semesters = [...bySemester.keys()].sort((a, b) => a - b).map((semester) => {
+    const subjects = [...bySemester.get(semester)].map(([key, entry]) => {
+      const catalog = catalogByKey.get(`${semester}#${key}`);
+      const internalPercent = entry.internals.length
+        ? round2(entry.internals.reduce((sum, p) => sum + p, 0) / entry.internals.length)
+        : null;
+      const attempts = entry.attempts.map((a) => ({
+        ...a,
+        ...gradeAttempt(scale, internalPercent, a.externalPercent),
+      }));
+      const latest = attempts[attempts.length - 1];
+
+      return {
+        subjectName: catalog?.name || entry.subjectName,
+        code: catalog?.code || null,
+        credits: catalog ? catalog.credits : null,
+        internalPercent,
+        externalPercent: latest ? latest.externalPercent : null,
+        totalPercent: latest ? latest.totalPercent : null,
+        grade: latest ? latest.grade : null,
+        gradePoints: latest ? latest.gradePoints : null,
+        status: !latest ? "pending" : latest.passed ? "passed" : "backlog",
+        attempts,
+        clearedArrear: Boolean(latest?.passed && attempts.length > 1),
+      };
+    });
+
+    const graded = subjects.filter((s) => s.credits !== null && s.status !== "pending");
+    return {
+      semester,
+      subjects,
+      sgpa: gpaOf(subjects),
+      registeredCredits: graded.reduce((sum, s) => sum + s.credits, 0),
+      earnedCredits: graded.filter((s) => s.status === "passed").reduce((sum, s) => sum + s.credits, 0),
+      backlogs: subjects.filter((s) => s.status === "backlog").map((s) => s.subjectName),
+    };
+  });
+
+  const allSubjects = semesters.flatMap((s) => s.subjects);
+  return {
+    rollNo,
+    scale: {
+      bands: scale.bands,
+      internalWeight: scale.internalWeight,
+      externalWeight: scale.externalWeight,
+      externalMinPercent: scale.externalMinPercent,
+    },
+    semesters,
+    cgpa: gpaOf(allSubjects),
+    earnedCredits: semesters.reduce((sum, s) => sum + s.earnedCredits, 0),
+    backlogCount: allSubjects.filter((s) => s.status === "backlog").length,
+    // Not counted in SGPA/CGPA until a credit value / semester is set
+    uncatalogued: semesters.flatMap((s) =>
+      s.subjects.filter((x) => x.credits === null).map((x) => ({ semester: s.semester, subjectName: x.subjectName }))
+    ),
+    unassignedFolders,
+  };
+}
+
+/* ---------------------------
+2) Grade scale
+---------------------------- */
+
+// GET /api/grading/scale
+router.get("/scale", async (req, res) => {
+  try {
+    const scale = await loadScale();
+    return res.json({ scale, isDefault: scale === DEFAULT_SCALE });
+  } catch (err) {
+    console.error("grade scale get error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// PUT /api/grading/scale  { bands: [{ grade, minPercent, points }], internalWeight?, externalWeight?, externalMinPercent? }
+router.put("/scale", requireRole("admin"), async (req, res) => {
+  try {
+    const { scale, errors } = validateScale(req.body);
+    if (errors.length) return res.status(400).json({ message: "Invalid grade scale", errors });
+
+    const saved = await GradeScale.findOneAndUpdate(
+      { key: "default" },
+      { $set: { ...scale, updatedBy: req.user.email } },
+      { upsert: true, new: true }
+    );
+    return res.json({ message: "Grade scale saved", scale: saved });
+  } catch (err) {
+    console.error("grade scale put error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+3) Subject catalogue
+---------------------------- */
+
+// GET /api/grading/subjects[?semester=N]
+router.get("/subjects", async (req, res) => {
+  try {
+    const query = {};
+    if (normalize(req.query.semester)) {
+      query.semester = Number(req.query.semester);
+      if (!Number.isInteger(query.semester) || query.semester < 1 || query.semester > 8) {
+        return res.status(400).json({ message: "semester must be 1-8" });
+      }
+    }
+    const subjects = await CatalogSubject.find(query).sort({ semester: 1, name: 1 });
+    return res.json({ subjects });
+  } catch (err) {
+    console.error("catalogue list error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Create/update by semester + name - PUT /api/grading/subjects  { semester, name, credits, code? }
+router.put("/subjects", requireRole("admin"), async (req, res) => {
+  try {
+    const semester = Number(req.body.semester);
+    const credits = Number(req.body.credits);
+    const name = normalize(req.body.name).replace(/\s+/g, " ");
+
+    if (!Number.isInteger(semester) || semester < 1 || semester > 8) {
+      return res.status(400).json({ message: "semester must be 1-8" });
+    }
+    if (!name) return res.status(400).json({ message: "name is required" });
+    if (!Number.isFinite(credits) || credits < 0) {
+      return res.status(400).json({ message: "credits must be a non-negative number" });
+    }
+
+    const subject = await CatalogSubject.findOneAndUpdate(
+      { semester, nameKey: subjectKey(name) },
+      { $set: { name, credits, code: normalize(req.body.code).toUpperCase() || null, updatedBy: req.user.email } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    return res.json({ message: "Subject saved", subject });
+  } catch (err) {
+    console.error("catalogue put error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// DELETE /api/grading/subjects/:subjectId
+router.delete("/subjects/:subjectId", requireRole("admin"), async (req, res) => {
+  try {
+    const result = await CatalogSubject.deleteOne({ _id: req.params.subjectId });
+    if (!result.deletedCount) return res.status(404).json({ message: "Subject not found" });
+    return res.json({ message: "Subject deleted" });
+  } catch (err) {
+    console.error("catalogue delete error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+4) Results
+---------------------------- */
+
+// GET /api/grading/results[?rollNo=&includeDrafts=true]
+// Students get their own released results; mentors/admins may preview drafts.
+router.get("/results", async (req, res) => {
+  try {
+    const student = await authorizeStudent(req, res, { rollNo: req.query.rollNo });
+    if (!student) return;
+
+    const includeDrafts = req.user.role !== "student" && String(req.query.includeDrafts) === "true";
+    const results = await computeResults(student.rollNo, { includeDrafts });
+    return res.json({ studentName: student.name, includeDrafts, ...results });
+  } catch (err) {
+    console.error("grading results error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, computeResults, loadScale, bandFor };
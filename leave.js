@@ -0,0 +1,292 @@
+// leave.js - Leave / attendance-condonation requests with mentor approval
+//
+// A student asks for a date range (optionally specific slots) to be excused.
+// Once the mentor approves, absent slots in that range become "excused"
+// (medical) or "on-duty", and later registers marked absent are converted too.
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { User, Attendance } = require("./models");
+const { documentUpload } = require("./uploads");
+const { storage, newFileName, discardUploads } = require("./storage");
+const { detectType } = require("./media");
+const { signedFileUrl } = require("./files");
+const { writeAttendanceSlot } = require("./attendance");
+const { forbid, requireRole, canActOnStudent, authorizeMentor } = require("./policy");
+
+const router = express.Router();
+
+// Leave type -> attendance status it grants
+const LEAVE_STATUS = { medical: "excused", "on-duty": "on-duty" };
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_LEAVE_DAYS = 60;
+const DOCUMENT_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+
+/* ---------------------------
+1) Leave request schema/model
+---------------------------- */
+const leaveRequestSchema = new mongoose.Schema(
+  {
+    studentEmail: { type: String, required: true, index: true },
+    studentName: String,
+    rollNo: String,
+    mentorTeacherEmail: { type: String, required: true, index: true },
+    type: { type: String, enum: Object.keys(LEAVE_STATUS), required: true },
+    fromDate: { type: String, required: true }, // YYYY-MM-DD
+    toDate: { type: String, required: true }, // YYYY-MM-DD
+    slots: [{ type: Number, min: 1, max: 8 }], // empty = whole day
+    reason: { type: String, required: true },
+    document: {
+      fileName: String,
+      key: String, // storage key (see storage.js)
+      originalName: String,
+      mimeType: String,
+      size: Number,
+      url: String, // legacy static path; responses carry a signed link
+    },
+    status: { type: String, enum: ["pending", "approved", "rejected"], default: "pending", index: true },
+    decidedBy: String,
+    decidedAt: Date,
+    decisionNote: String,
+    appliedCount: { type: Number, default: 0 }, // attendance records converted on approval
+  },
+  { timestamps: true }
+);
+
+const LeaveRequest =
+  mongoose.models.LeaveRequest || mongoose.model("LeaveRequest", leaveRequestSchema);
+
+/* ---------------------------
+Helpers
+---------------------------- */
+const normalize = (s) => String(s || "").trim();
+
+// "1,2" | "[1,2]" | [1, 2] -> [1, 2]
+function parseSlots(value) {
+  if (value === undefined || value === null || value === "") return [];
+  let list = value;
+  if (typeof value === "string") {
+    try {
+      list = JSON.parse(value);
+    } catch {
+      list = value.split(",");
+    }
+  }
+  const slots = (Array.isArray(list) ? list : [list]).map(Number);
+  return slots.every((n) => Number.isInteger(n) && n >= 1 && n <= 8) ? [...new Set(slots)].sort() : null;
+}
+
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / 86400000) + 1;
+
+// Leave as JSON with a signed link to its supporting document
+function presentLeave(req, leave) {
+  const json = typeof leave.toJSON === "function" ? leave.toJSON() : leave;
+  const key = json.document?.key || (json.document?.fileName && `uploads/${json.document.fileName}`);
+  if (!key) return json;
+
+  const url = signedFileUrl(req, key, { name: json.document.originalName || undefined });
+  return { ...json, document: { ...json.document, url } };
+}
+
+// Attendance filter for the slots an approved leave covers
+function leaveAttendanceMatch(leave) {
+  const match = {
+    studentEmail: leave.studentEmail,
+    date: { $gte: leave.fromDate, $lte: leave.toDate },
+  };
+  if (leave.slots?.length) match.slot = { $in: leave.slots };
+  return match;
+}
+
+/**
+ * Convert "absent" records covered by approved leave into the leave status.
+ * Used by mark-attendance so registers taken after approval stay consistent.
+ */
+async function applyApprovedLeave(records, date, slot) {
+  const absentees = records.filter((r) => r.status === "absent").map((r) => normalize(r.studentEmail).toLowerCase());
+  if (!absentees.length) return records;
+
+  const leaves = await LeaveRequest.find({
+    studentEmail: { $in: absentees },
+    status: "approved",
+    fromDate: { $lte: date },
+    toDate: { $gte: date },
+    $or: [{ slots: { $size: 0 } }, { slots: Number(slot) }],
+  }).lean();
+  const statusByEmail = new Map(leaves.map((l) => [l.studentEmail, LEAVE_STATUS[l.type]]));
+
+  return records.map((r) => {
+    const email = normalize(r.studentEmail).toLowerCase();
+    return r.status === "absent" && statusByEmail.has(email)
+      ? { ...r, status: statusByEmail.get(email) }
+      : r;
+  });
+}
+
+/* ---------------------------
+2) Student APIs
+---------------------------- */
+
+// Submit a request - POST /api/leave  (multipart; optional file field "document")
+router.post("/", requireRole("student"), documentUpload.single("document"), async (req, res) => {
+  let storedKey;
+  try {
+    const { type, fromDate, toDate, reason } = req.body;
+    const slots = parseSlots(req.body.slots);
+
+    if (typeof type !== "string" || !Object.hasOwn(LEAVE_STATUS, type)) {
+      return res.status(400).json({ message: "type must be medical or on-duty" });
+    }
+    if (!DATE_RE.test(fromDate || "") || !DATE_RE.test(toDate || "")) {
+      return res.status(400).json({ message: "fromDate and toDate (YYYY-MM-DD) are required" });
+    }
+    if (fromDate > toDate) {
+      return res.status(400).json({ message: "fromDate must not be after toDate" });
+    }
+    if (daysBetween(fromDate, toDate) > MAX_LEAVE_DAYS) {
+      return res.status(400).json({ message: `A request can cover at most ${MAX_LEAVE_DAYS} days` });
+    }
+    if (slots === null) {
+      return res.status(400).json({ message: "slots must be numbers between 1 and 8" });
+    }
+    if (!normalize(reason)) {
+      return res.status(400).json({ message: "reason is required" });
+    }
+
+    // Judged by content; the client's filename and Content-Type are ignored
+    const docType = req.file ? detectType(req.file.buffer) : null;
+    if (req.file && !DOCUMENT_TYPES.includes(docType?.mime)) {
+      return res.status(415).json({ message: "document must be a PDF, JPEG or PNG file" });
+    }
+
+    const student = await User.findOne({ email: req.user.email, role: "student" }).select(
+      "email name rollNo mentorTeacherEmail"
+    );
+    if (!student?.mentorTeacherEmail) {
+      return res.status(400).json({ message: "No mentor is assigned to your account" });
+    }
+
+    let document;
+    if (req.file) {
+      const fileName = newFileName(docType.ext);
+      const stored = await storage.put(`uploads/${fileName}`, req.file.buffer, { contentType: docType.mime });
+      storedKey = stored.key;
+      document = {
+        fileName,
+        key: stored.key,
+        originalName: req.file.originalname,
+        mimeType: docType.mime,
+        size: stored.size,
+      };
+    }
+
+    const leave = await LeaveRequest.create({
+      studentEmail: student.email,
+      studentName: student.name,
+      rollNo: student.rollNo,
+      mentorTeacherEmail: student.mentorTeacherEmail,
+      type,
+      fromDate,
+      toDate,
+      slots,
+      reason: normalize(reason),
+      document,
+    });
+
+    return res.status(201).json({ message: "Leave request submitted", leave: presentLeave(req, leave) });
+  } catch (err) {
+    discardUploads(storedKey);
+    console.error("leave submit error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Own requests - GET /api/leave/mine
+router.get("/mine", requireRole("student"), async (req, res) => {
+  try {
+    const leaves = await LeaveRequest.find({ studentEmail: req.user.email }).sort({ createdAt: -1 });
+    return res.json({ leaves: leaves.map((l) => presentLeave(req, l)) });
+  } catch (err) {
+    console.error("leave mine error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+3) Mentor APIs
+---------------------------- */
+
+// Mentees' requests - GET /api/leave?status=pending[&mentorTeacherEmail=]
+router.get("/", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const query = {};
+    if (req.user.role === "teacher" || normalize(req.query.mentorTeacherEmail)) {
+      const mentorTeacherEmail = authorizeMentor(req, res, req.query.mentorTeacherEmail);
+      if (!mentorTeacherEmail) return;
+      query.mentorTeacherEmail = mentorTeacherEmail;
+    }
+    if (normalize(req.query.status)) query.status = normalize(req.query.status);
+
+    const leaves = await LeaveRequest.find(query).sort({ createdAt: -1 });
+    return res.json({ leaves: leaves.map((l) => presentLeave(req, l)) });
+  } catch (err) {
+    console.error("leave list error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Approve / reject - POST /api/leave/:leaveId/decision  { decision: "approved"|"rejected", note? }
+router.post("/:leaveId/decision", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    if (!["approved", "rejected"].includes(decision)) {
+      return res.status(400).json({ message: "decision must be approved or rejected" });
+    }
+
+    const leave = await LeaveRequest.findById(req.params.leaveId);
+    if (!leave) return res.status(404).json({ message: "Leave request not found" });
+
+    const student = { email: leave.studentEmail, mentorTeacherEmail: leave.mentorTeacherEmail };
+    if (!canActOnStudent(req.user, student)) {
+      return forbid(res, "You can only decide leave requests of your own mentees");
+    }
+    if (leave.status !== "pending") {
+      return res.status(409).json({ message: `Leave request is already ${leave.status}` });
+    }
+
+    leave.status = decision;
+    leave.decidedBy = req.user.email;
+    leave.decidedAt = new Date();
+    leave.decisionNote = normalize(note) || undefined;
+
+    if (decision === "approved") {
+      // Convert already-marked absences slot by slot so each lands in the slot's history
+      const absences = await Attendance.find({ ...leaveAttendanceMatch(leave), status: "absent" })
+        .select("mentorTeacherEmail date slot")
+        .lean();
+      const status = LEAVE_STATUS[leave.type];
+
+      for (const a of absences) {
+        await writeAttendanceSlot({
+          mentorTeacherEmail: a.mentorTeacherEmail,
+          date: a.date,
+          slot: a.slot,
+          records: [{ studentEmail: leave.studentEmail, status }],
+          actor: req.user,
+          action: "leave",
+          replace: false,
+        });
+      }
+      leave.appliedCount = absences.length;
+    }
+
+    await leave.save();
+    return res.json({ message: `Leave request ${decision}`, leave: presentLeave(req, leave) });
+  } catch (err) {
+    console.error("leave decision error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, LeaveRequest, applyApprovedLeave, parseSlots };
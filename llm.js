@@ -0,0 +1,272 @@
+// llm.js - Language model providers for the chatbot (Gemini or an offline mock)
+//
+// Pick the backend with LLM_PROVIDER=gemini|mock. Model and generation limits
+// come from LLM_MODEL, LLM_TEMPERATURE and LLM_MAX_OUTPUT_TOKENS. Content, tool
+// declarations and history use the Gemini shapes ({ text }, { inlineData },
+// { fileData }, { functionResponse }; { role, parts }) for every provider;
+// tool parameters are plain JSON schema ({ type: "object", properties }).
+//
+// Each provider:
+//   configError                      message when it cannot run, else null
+//   generate(contents, opts)         -> { text, functionCalls: [{ name, args }] }
+//   generateStream(contents, opts)   -> { stream (async iterable of text), response (promise of the above) }
+//   startChat({ systemInstruction, tools, history }) -> { sendMessage(input), sendMessageStream(input) }
+//   uploadFile(buffer, { mimeType, displayName }) -> { name, uri, mimeType }   (ready to reference)
+//   deleteFile(name)
+// opts: { systemInstruction, tools }. Failures throw errors shaped like the
+// Gemini SDK's ({ status, errorDetails }), so callers handle one error format.
+
+const fs = require("fs");
+const { GoogleGenerativeAI, SchemaType } = require("@google/generative-ai");
+const { GoogleAIFileManager, FileState } = require("@google/generative-ai/server");
+
+const DEFAULT_MODEL = "gemini-2.5-flash";
+const FILE_READY_TIMEOUT_MS = 30 * 1000;
+
+// Optional number from the environment; undefined leaves the provider default
+function readNumber(name) {
+  const raw = process.env[name];
+  if (raw === undefined || raw === "") return undefined;
+  const n = Number(raw);
+  if (!Number.isFinite(n)) throw new Error(`${name} must be a number`);
+  return n;
+}
+
+function llmConfig() {
+  return {
+    provider: String(process.env.LLM_PROVIDER || "gemini").toLowerCase(),
+    model: process.env.LLM_MODEL || DEFAULT_MODEL,
+    temperature: readNumber("LLM_TEMPERATURE"),
+    maxOutputTokens: readNumber("LLM_MAX_OUTPUT_TOKENS"),
+  };
+}
+
+/* ---------------------------
+1) Gemini
+---------------------------- */
+const textOf = (response) =>
+  (response?.candidates?.[0]?.content?.parts || []).map((p) => p?.text || "").join("");
+
+const normalizeResponse = (response) => ({
+  text: textOf(response),
+  functionCalls: response?.functionCalls?.() || [],
+});
+
+// SDK streaming result -> { stream of text, response }
+function normalizeStream(result) {
+  const response = result.response.then(normalizeResponse);
+  response.catch(() => {}); // a failed stream is reported through the iterator
+  return {
+    stream: (async function* () {
+      for await (const chunk of result.stream) {
+        const text = textOf(chunk);
+        if (text) yield text;
+      }
+    })(),
+    response,
+  };
+}
+
+// JSON schema ({ type: "string" }) -> Gemini schema ({ type: SchemaType.STRING })
+function toGeminiSchema(schema) {
+  const type = SchemaType[String(schema.type).toUpperCase()];
+  if (!type) throw new Error(`Unsupported tool parameter type "${schema.type}"`);
+  const converted = { ...schema, type };
+  if (schema.properties) {
+    converted.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([name, prop]) => [name, toGeminiSchema(prop)])
+    );
+  }
+  if (schema.items) converted.items = toGeminiSchema(schema.items);
+  return converted;
+}
+
+const toGeminiTools = (tools) =>
+  tools.map((tool) =>
+    tool.functionDeclarations
+      ? {
+          functionDeclarations: tool.functionDeclarations.map((d) =>
+            d.parameters ? { ...d, parameters: toGeminiSchema(d.parameters) } : d
+          ),
+        }
+      : tool
+  );
+
+function geminiProvider({ apiKey = process.env.GEMINI_API_KEY, model, temperature, maxOutputTokens }) {
+  const genAI = new GoogleGenerativeAI(apiKey || "");
+  const fileManager = new GoogleAIFileManager(apiKey || "");
+
+  const generationConfig = Object.fromEntries(
+    Object.entries({ temperature, maxOutputTokens }).filter(([, v]) => v !== undefined)
+  );
+  const getModel = ({ systemInstruction, tools } = {}) =>
+    genAI.getGenerativeModel({
+      model,
+      generationConfig,
+      ...(systemInstruction ? { systemInstruction } : {}),
+      ...(tools ? { tools: toGeminiTools(tools) } : {}),
+    });
+
+  return {
+    name: "gemini",
+    model,
+    configError: apiKey ? null : "Server misconfigured: GEMINI_API_KEY missing",
+    async generate(contents, opts) {
+      return normalizeResponse((await getModel(opts).generateContent(contents)).response);
+    },
+    async generateStream(contents, opts) {
+      return normalizeStream(await getModel(opts).generateContentStream(contents));
+    },
+    startChat({ history = [], ...opts } = {}) {
+      const chat = getModel(opts).startChat({ history });
+      return {
+        async sendMessage(input) {
+          return normalizeResponse((await chat.sendMessage(input)).response);
+        },
+        async sendMessageStream(input) {
+          return normalizeStream(await chat.sendMessageStream(input));
+        },
+      };
+    },
+    // Uploaded files are usable once the file API has processed them
+    async uploadFile(buffer, { mimeType, displayName }) {
+      let { file } = await fileManager.uploadFile(buffer, { mimeType, displayName });
+      const deadline = Date.now() + FILE_READY_TIMEOUT_MS;
+      while (file.state === FileState.PROCESSING) {
+        if (Date.now() > deadline) throw new Error("file processing timed out");
+        await new Promise((resolve) => setTimeout(resolve, 1000));
+        file = await fileManager.getFile(file.name);
+      }
+      if (file.state !== FileState.ACTIVE) throw new Error(`file processing ${String(file.state).toLowerCase()}`);
+      return { name: file.name, uri: file.uri, mimeType: file.mimeType };
+    },
+    async deleteFile(name) {
+      await fileManager.deleteFile(name);
+    },
+  };
+}
+
+/* ---------------------------
+2) Mock (offline, deterministic)
+Replies are picked by the first rule whose `match` (case-insensitive regex)
+fits the latest user text. Rules come from the JSON file at LLM_MOCK_RULES:
+  [{ "match": "attendance", "reply": "..." },
+   { "match": "marks", "toolCall": { "name": "get_exam_results", "args": {} } },
+   { "match": "busy", "rateLimit": "7s" }]
+Built in, after those: "[429]" / "[429:12s]" simulates a rate limit,
+"[tool:<name>]" calls that tool, anything else is echoed back.
+A tool call is followed by a reply that quotes the tool result.
+---------------------------- */
+const BUILT_IN_RULES = [
+  { match: "\\[429(?::(\\d+(?:\\.\\d+)?s))?\\]", rateLimit: "$1" },
+  { match: "\\[tool:([a-z_]+)\\]", toolCall: { name: "$1", args: {} } },
+];
+
+function loadMockRules(file = process.env.LLM_MOCK_RULES) {
+  if (!file) return [];
+  const rules = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!Array.isArray(rules)) throw new Error("LLM_MOCK_RULES must contain a JSON array");
+  return rules;
+}
+
+// Same shape as a Gemini SDK 429 (see parseRetryDelayMs in chatbot.js)
+function mockRateLimitError(retryDelay = "2s") {
+  const err = new Error("[429 Too Many Requests] Resource has been exhausted (mock provider)");
+  err.status = 429;
+  err.statusText = "Too Many Requests";
+  err.errorDetails = [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay }];
+  return err;
+}
+
+const asParts = (input) => (Array.isArray(input) ? input : [input]).map((p) => (typeof p === "string" ? { text: p } : p));
+
+function mockProvider({ model, rules = loadMockRules() }) {
+  const allRules = [...rules, ...BUILT_IN_RULES];
+
+  function reply(parts) {
+    const toolResults = parts.filter((p) => p.functionResponse);
+    if (toolResults.length) {
+      const quoted = toolResults.map((p) => `${p.functionResponse.name}: ${JSON.stringify(p.functionResponse.response)}`);
+      return { text: `Mock answer from ${quoted.join("; ")}`, functionCalls: [] };
+    }
+
+    const text = parts.map((p) => p.text || "").join(" ").trim();
+    const attachments = parts.filter((p) => p.inlineData || p.fileData).length;
+    for (const rule of allRules) {
+      const m = new RegExp(rule.match, "i").exec(text);
+      if (!m) continue;
+      const fill = (s) => String(s).replace(/\$(\d)/g, (_, i) => m[i] || "");
+      if (rule.rateLimit !== undefined) throw mockRateLimitError(fill(rule.rateLimit) || undefined);
+      if (rule.toolCall) {
+        return { text: "", functionCalls: [{ name: fill(rule.toolCall.name), args: rule.toolCall.args || {} }] };
+      }
+      return { text: fill(rule.reply), functionCalls: [] };
+    }
+    const last = text.split("\n").filter(Boolean).pop() || "";
+    return {
+      text: `Mock reply (${model}${attachments ? `, ${attachments} attachment(s)` : ""}): ${last.slice(0, 200)}`,
+      functionCalls: [],
+    };
+  }
+
+  // Streams word by word, like small model chunks
+  function streamOf(response) {
+    return {
+      stream: (async function* () {
+        for (const word of response.text.match(/\S+\s*/g) || []) yield word;
+      })(),
+      response: Promise.resolve(response),
+    };
+  }
+
+  let fileCount = 0;
+  return {
+    name: "mock",
+    model,
+    configError: null,
+    async generate(contents) {
+      return reply(asParts(contents));
+    },
+    async generateStream(contents) {
+      return streamOf(reply(asParts(contents)));
+    },
+    startChat() {
+      return {
+        async sendMessage(input) {
+          return reply(asParts(input));
+        },
+        async sendMessageStream(input) {
+          return streamOf(reply(asParts(input)));
+        },
+      };
+    },
+    async uploadFile(buffer, { mimeType }) {
+      const name = `files/mock-${++fileCount}`;
+      return { name, uri: `mock://${name}`, mimeType };
+    },
+    async deleteFile() {},
+  };
+}
+
+/* ---------------------------
+3) Provider selection
+---------------------------- */
+const PROVIDERS = { gemini: geminiProvider, mock: mockProvider };
+
+function createProvider(name, options) {
+  const factory = PROVIDERS[String(name || "gemini").toLowerCase()];
+  if (!factory) throw new Error(`Unknown LLM provider "${name}" (use ${Object.keys(PROVIDERS).join(" or ")})`);
+  return factory(options);
+}
+
+// The app-wide provider, created on first use
+let provider;
+function llm() {
+  if (!provider) {
+    const { provider: name, ...options } = llmConfig();
+    provider = createProvider(name, options);
+  }
+  return provider;
+}
+
+module.exports = { llm, llmConfig, createProvider, toGeminiSchema };
@@ -0,0 +1,41 @@
+// mailer.js - Outgoing mail (password resets, invites)
+//
+// Configure SMTP_HOST / SMTP_PORT (+ SMTP_USER / SMTP_PASS) to send real mail.
+// For local testing point it at a stub such as MailHog: SMTP_HOST=localhost SMTP_PORT=1025.
+// Without SMTP_HOST, only the recipient and subject are logged. Bodies carry reset
+// links and temporary passwords, so they are printed only with MAIL_LOG_BODY=true
+// outside production.
+
+const nodemailer = require("nodemailer");
+
+let transporter = null;
+
+function getTransporter() {
+  if (transporter || !process.env.SMTP_HOST) return transporter;
+
+  const port = Number(process.env.SMTP_PORT) || 587;
+  transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: port === 465,
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+  return transporter;
+}
+
+async function sendMail({ to, subject, text }) {
+  const from = process.env.MAIL_FROM || "CMRIT Portal <no-reply@cmrit.ac.in>";
+  const transport = getTransporter();
+
+  if (!transport) {
+    const showBody = process.env.MAIL_LOG_BODY === "true" && process.env.NODE_ENV !== "production";
+    console.log(`📧 [mail not configured] To: ${to} | ${subject}${showBody ? `\n${text}` : ""}`);
+    return { logged: true };
+  }
+
+  return transport.sendMail({ from, to, subject, text });
+}
+
+module.exports = { sendMail };
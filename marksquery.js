@@ -0,0 +1,259 @@
+// marksquery.js - Re-evaluation queries on one subject of an exam folder
+//
+// Lifecycle: open -> under_review -> accepted | rejected.
+// Students raise and follow up on queries for their released folders; the
+// teacher who owns the folder replies and resolves. Accepting with new marks
+// updates the subject and records the change in subject.marksRevisions.
+
+const express = require("express");
+const mongoose = require("mongoose");
+const { ExamFolder, releasedFolderFilter } = require("./models");
+const { forbid, requireRole, canManageFolder, canViewFolder, authorizeMentor } = require("./policy");
+
+const router = express.Router();
+
+const ACTIVE_STATUSES = ["open", "under_review"];
+
+/* ---------------------------
+1) Marks query schema/model
+---------------------------- */
+const queryMessageSchema = new mongoose.Schema(
+  {
+    authorEmail: { type: String, required: true },
+    authorRole: { type: String, required: true },
+    message: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: true }
+);
+
+const marksQuerySchema = new mongoose.Schema(
+  {
+    folderId: { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+    subjectId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    subjectName: String,
+    examName: String,
+    studentRollNo: { type: String, required: true, index: true },
+    studentEmail: String,
+    mentorTeacherEmail: { type: String, required: true, index: true },
+    reference: {
+      page: Number,
+      question: String, // e.g. "Q3b"
+    },
+    status: {
+      type: String,
+      enum: ["open", "under_review", "accepted", "rejected"],
+      default: "open",
+      index: true,
+    },
+    messages: [queryMessageSchema],
+    resolvedBy: String,
+    resolvedAt: Date,
+    marksChange: { previousMarks: Number, newMarks: Number }, // set when acceptance changed marks
+  },
+  { timestamps: true }
+);
+
+const MarksQuery = mongoose.models.MarksQuery || mongoose.model("MarksQuery", marksQuerySchema);
+
+/* ---------------------------
+Helpers
+---------------------------- */
+const normalize = (s) => String(s || "").trim();
+
+const addMessage = (query, user, message) =>
+  query.messages.push({ authorEmail: user.email, authorRole: user.role, message });
+
+// Query owner (student) or a manager of the query's folder
+function canAccessQuery(user, query) {
+  const folder = { mentorTeacherEmail: query.mentorTeacherEmail, studentRollNo: query.studentRollNo };
+  return canViewFolder(user, folder);
+}
+
+/* ---------------------------
+2) Student APIs
+---------------------------- */
+
+// Raise a query - POST /api/exams/queries  { folderId, subjectId, message, page?, question? }
+router.post("/", requireRole("student"), async (req, res) => {
+  try {
+    const { folderId, subjectId, page, question } = req.body;
+    const message = normalize(req.body.message);
+    if (!folderId || !subjectId || !message) {
+      return res.status(400).json({ message: "folderId, subjectId and message are required" });
+    }
+    if (normalize(page) && (!Number.isInteger(Number(page)) || Number(page) < 1)) {
+      return res.status(400).json({ message: "page must be a positive number" });
+    }
+
+    // Same 404 for unreleased folders as the folder endpoints
+    const folder = await ExamFolder.findOne({ _id: folderId, ...releasedFolderFilter() });
+    if (!folder) return res.status(404).json({ message: "Folder not found" });
+    if (!canViewFolder(req.user, folder)) return forbid(res, "You can only query your own exam folders");
+
+    const subject = folder.subjects.id(subjectId);
+    if (!subject) return res.status(404).json({ message: "Subject not found" });
+
+    const active = await MarksQuery.findOne({ folderId: folder._id, subjectId: subject._id, status: { $in: ACTIVE_STATUSES } });
+    if (active) {
+      return res.status(409).json({ message: "A query on this subject is already in progress", queryId: active._id });
+    }
+
+    const query = new MarksQuery({
+      folderId: folder._id,
+      subjectId: subject._id,
+      subjectName: subject.subjectName,
+      examName: folder.examName,
+      studentRollNo: folder.studentRollNo,
+      studentEmail: req.user.email,
+      mentorTeacherEmail: folder.mentorTeacherEmail,
+      reference: {
+        page: normalize(page) ? Number(page) : undefined,
+        question: normalize(question) || undefined,
+      },
+    });
+    addMessage(query, req.user, message);
+    await query.save();
+
+    return res.status(201).json({ message: "Query raised", query });
+  } catch (err) {
+    console.error("marks query create error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Own queries - GET /api/exams/queries/mine
+router.get("/mine", requireRole("student"), async (req, res) => {
+  try {
+    const queries = await MarksQuery.find({ studentRollNo: normalize(req.user.rollNo) }).sort({ updatedAt: -1 });
+    return res.json({ queries });
+  } catch (err) {
+    console.error("marks query mine error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+3) Teacher APIs
+---------------------------- */
+
+// Queries on the mentor's folders - GET /api/exams/queries?status=open[&folderId=&mentorTeacherEmail=]
+router.get("/", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.user.role === "teacher" || normalize(req.query.mentorTeacherEmail)) {
+      const mentorTeacherEmail = authorizeMentor(req, res, req.query.mentorTeacherEmail);
+      if (!mentorTeacherEmail) return;
+      filter.mentorTeacherEmail = mentorTeacherEmail;
+    }
+    if (normalize(req.query.status)) filter.status = normalize(req.query.status);
+    if (normalize(req.query.folderId)) filter.folderId = normalize(req.query.folderId);
+
+    const queries = await MarksQuery.find(filter).sort({ updatedAt: -1 });
+    return res.json({ queries });
+  } catch (err) {
+    console.error("marks query list error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Resolve - POST /api/exams/queries/:queryId/resolve  { decision: "accepted"|"rejected", message, newMarks? }
+router.post("/:queryId/resolve", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const { decision } = req.body;
+    const message = normalize(req.body.message);
+    if (!["accepted", "rejected"].includes(decision)) {
+      return res.status(400).json({ message: "decision must be accepted or rejected" });
+    }
+    if (!message) return res.status(400).json({ message: "message is required" });
+    const changesMarks = normalize(req.body.newMarks) !== "";
+    if (changesMarks && decision !== "accepted") {
+      return res.status(400).json({ message: "Only an accepted query can change marks" });
+    }
+
+    const query = await MarksQuery.findById(req.params.queryId);
+    if (!query) return res.status(404).json({ message: "Query not found" });
+    if (!canManageFolder(req.user, query)) return forbid(res, "You can only resolve queries on your own folders");
+    if (!ACTIVE_STATUSES.includes(query.status)) {
+      return res.status(409).json({ message: `Query is already ${query.status}` });
+    }
+
+    if (changesMarks) {
+      const folder = await ExamFolder.findById(query.folderId);
+      const subject = folder?.subjects.id(query.subjectId);
+      if (!subject) return res.status(404).json({ message: "The queried subject no longer exists" });
+
+      const newMarks = Number(req.body.newMarks);
+      if (!Number.isFinite(newMarks) || newMarks < 0 || newMarks > subject.maxMarks) {
+        return res.status(400).json({ message: `newMarks must be between 0 and ${subject.maxMarks}` });
+      }
+
+      if (newMarks !== subject.marksObtained) {
+        subject.marksRevisions.push({
+          previousMarks: subject.marksObtained,
+          newMarks,
+          queryId: query._id,
+          changedBy: req.user.email,
+        });
+        query.marksChange = { previousMarks: subject.marksObtained, newMarks };
+        subject.marksObtained = newMarks;
+        await folder.save();
+      }
+    }
+
+    query.status = decision;
+    query.resolvedBy = req.user.email;
+    query.resolvedAt = new Date();
+    addMessage(query, req.user, message);
+    await query.save();
+
+    return res.json({ message: `Query ${decision}`, query });
+  } catch (err) {
+    console.error("marks query resolve error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+4) Thread APIs (student owner or folder's teacher)
+---------------------------- */
+
+// GET /api/exams/queries/:queryId
+router.get("/:queryId", async (req, res) => {
+  try {
+    const query = await MarksQuery.findById(req.params.queryId);
+    if (!query) return res.status(404).json({ message: "Query not found" });
+    if (!canAccessQuery(req.user, query)) return forbid(res, "Not allowed");
+    return res.json({ query });
+  } catch (err) {
+    console.error("marks query get error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Reply - POST /api/exams/queries/:queryId/messages  { message }
+// The teacher's first reply moves an open query to under_review.
+router.post("/:queryId/messages", async (req, res) => {
+  try {
+    const message = normalize(req.body.message);
+    if (!message) return res.status(400).json({ message: "message is required" });
+
+    const query = await MarksQuery.findById(req.params.queryId);
+    if (!query) return res.status(404).json({ message: "Query not found" });
+    if (!canAccessQuery(req.user, query)) return forbid(res, "Not allowed");
+    if (!ACTIVE_STATUSES.includes(query.status)) {
+      return res.status(409).json({ message: `Query is already ${query.status}` });
+    }
+
+    addMessage(query, req.user, message);
+    if (query.status === "open" && req.user.role !== "student") query.status = "under_review";
+    await query.save();
+
+    return res.json({ message: "Reply added", query });
+  } catch (err) {
+    console.error("marks query reply error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, MarksQuery };
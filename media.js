@@ -0,0 +1,120 @@
+// media.js - Upload content checks and processing
+//
+// File types are decided by magic bytes, never by the client's filename or
+// Content-Type. Images are re-encoded (EXIF orientation applied, metadata
+// dropped); PDFs are kept as-is, counted and rendered into page thumbnails.
+
+const path = require("path");
+const sharp = require("sharp");
+
+const PROFILE_IMAGE_SIZE = 512; // square, px
+const SCRIPT_IMAGE_MAX_EDGE = 2400; // keeps scans readable without storing camera-size originals
+const THUMBNAIL_WIDTH = 240;
+const MAX_THUMBNAIL_PAGES = 20;
+
+const PDFJS_FONTS = `${path.join(path.dirname(require.resolve("pdfjs-dist/package.json")), "standard_fonts")}/`;
+
+// pdfjs-dist only ships as ES modules
+let pdfjsPromise;
+const loadPdfjs = () => (pdfjsPromise ||= import("pdfjs-dist/legacy/build/pdf.mjs"));
+
+/* ---------------------------
+Type detection
+---------------------------- */
+const startsWith = (buffer, bytes) => bytes.every((b, i) => buffer[i] === b);
+
+const SIGNATURES = [
+  { kind: "image", mime: "image/jpeg", ext: ".jpg", test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { kind: "image", mime: "image/png", ext: ".png", test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { kind: "image", mime: "image/gif", ext: ".gif", test: (b) => /^GIF8[79]a$/.test(b.subarray(0, 6).toString("latin1")) },
+  {
+    kind: "image",
+    mime: "image/webp",
+    ext: ".webp",
+    test: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+  { kind: "pdf", mime: "application/pdf", ext: ".pdf", test: (b) => b.subarray(0, 5).toString("latin1") === "%PDF-" },
+];
+
+/**
+ * Real type of an uploaded buffer: { kind: "image"|"pdf", mime, ext }, or null.
+ */
+function detectType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const match = SIGNATURES.find((s) => s.test(buffer));
+  return match ? { kind: match.kind, mime: match.mime, ext: match.ext } : null;
+}
+
+/* ---------------------------
+Processing
+---------------------------- */
+
+// Square JPEG avatar; throws if the bytes are not a decodable image
+function normalizeProfileImage(buffer) {
+  return sharp(buffer, { failOn: "error" })
+    .rotate()
+    .resize(PROFILE_IMAGE_SIZE, PROFILE_IMAGE_SIZE, { fit: "cover" })
+    .jpeg({ quality: 85, mozjpeg: true })
+    .toBuffer();
+}
+
+const thumbnailOf = (input) =>
+  sharp(input).flatten({ background: "#ffffff" }).resize({ width: THUMBNAIL_WIDTH }).webp({ quality: 70 }).toBuffer();
+
+async function openPdf(buffer) {
+  const pdfjs = await loadPdfjs();
+  return pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: PDFJS_FONTS,
+    isEvalSupported: false,
+    verbosity: 0,
+  }).promise;
+}
+
+// Page count of a PDF buffer; throws on unreadable files
+async function countPdfPages(buffer) {
+  const doc = await openPdf(buffer);
+  const pages = doc.numPages;
+  await doc.destroy();
+  return pages;
+}
+
+async function renderPdfThumbnails(buffer) {
+  const doc = await openPdf(buffer);
+
+  try {
+    const thumbnails = [];
+    for (let pageNo = 1; pageNo <= Math.min(doc.numPages, MAX_THUMBNAIL_PAGES); pageNo++) {
+      const page = await doc.getPage(pageNo);
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: (THUMBNAIL_WIDTH * 2) / base.width });
+      const { canvas, context } = doc.canvasFactory.create(Math.ceil(viewport.width), Math.ceil(viewport.height));
+      await page.render({ canvasContext: context, viewport }).promise;
+      thumbnails.push(await thumbnailOf(canvas.toBuffer("image/png")));
+      page.cleanup();
+    }
+    return { pageCount: doc.numPages, thumbnails };
+  } finally {
+    await doc.destroy();
+  }
+}
+
+/**
+ * Prepare an answer script for storage.
+ * Returns { body, mime, ext, pageCount, thumbnails: [Buffer] }; throws on unreadable files.
+ */
+async function processScript(buffer, type) {
+  if (type.kind === "pdf") {
+    const { pageCount, thumbnails } = await renderPdfThumbnails(buffer);
+    return { body: buffer, mime: type.mime, ext: type.ext, pageCount, thumbnails };
+  }
+
+  const body = await sharp(buffer, { failOn: "error" })
+    .rotate()
+    .resize(SCRIPT_IMAGE_MAX_EDGE, SCRIPT_IMAGE_MAX_EDGE, { fit: "inside", withoutEnlargement: true })
+    .jpeg({ quality: 85, mozjpeg: true })
+    .toBuffer();
+  return { body, mime: "image/jpeg", ext: ".jpg", pageCount: 1, thumbnails: [await thumbnailOf(body)] };
+}
+
+module.exports = { detectType, normalizeProfileImage, processScript, countPdfPages };
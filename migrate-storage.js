@@ -0,0 +1,120 @@
+// migrate-storage.js - Copy uploaded files between storage backends and record their storage keys
+//
+// Usage: npm run migrate:storage -- --to s3 [--from local] [--dry-run] [--delete-source]
+//
+// Covers answer scripts and their page thumbnails (ExamFolder), profile images
+// (User) and leave documents. Files already present in the target are not
+// copied again, so the command can be re-run after a partial failure.
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { User, ExamFolder } = require('./models');
+const { LeaveRequest } = require('./leave');
+const { createDriver, keyFromUrl } = require('./storage');
+
+function parseArgs(argv) {
+  const args = { from: 'local', to: null, dryRun: false, deleteSource: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--from') args.from = argv[++i];
+    else if (argv[i] === '--to') args.to = argv[++i];
+    else if (argv[i] === '--dry-run') args.dryRun = true;
+    else if (argv[i] === '--delete-source') args.deleteSource = true;
+    else throw new Error(`Unknown argument "${argv[i]}"`);
+  }
+  if (!args.to) throw new Error('--to <local|s3> is required');
+  if (args.to === args.from) throw new Error('--from and --to must be different drivers');
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const from = createDriver(args.from);
+  const to = createDriver(args.to);
+  const stats = { copied: 0, alreadyThere: 0, missing: 0, failed: 0, updatedDocs: 0 };
+
+  // Copy one key; returns false when the source file is gone
+  async function moveFile(key, contentType) {
+    try {
+      if (await to.exists(key)) {
+        stats.alreadyThere++;
+      } else {
+        if (!(await from.exists(key))) {
+          stats.missing++;
+          console.warn(`missing in ${from.name}: ${key}`);
+          return false;
+        }
+        if (!args.dryRun) await to.put(key, await from.get(key), { contentType });
+        stats.copied++;
+      }
+      if (args.deleteSource && !args.dryRun) await from.remove(key);
+      return true;
+    } catch (err) {
+      stats.failed++;
+      console.error(`failed: ${key}: ${err.message}`);
+      return false;
+    }
+  }
+
+  if (!process.env.MONGODB_URI) throw new Error('MONGODB_URI is not set');
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Migrating files ${from.name} -> ${to.name}${args.dryRun ? ' (dry run)' : ''}`);
+
+  // 1) Answer scripts
+  for await (const folder of ExamFolder.find({ 'subjects.scripts.0': { $exists: true } }).cursor()) {
+    let changed = false;
+    for (const subject of folder.subjects) {
+      for (const script of subject.scripts) {
+        const key = script.storageKey || (script.fileName ? `exam_uploads/${script.fileName}` : keyFromUrl(script.url));
+        if (!key || !(await moveFile(key, script.mimeType))) continue;
+        if (script.storageKey !== key) changed = true;
+        script.storageKey = key;
+        // Page thumbnails always carry their key
+        for (const thumb of script.thumbnails || []) {
+          if (thumb.storageKey) await moveFile(thumb.storageKey, 'image/webp');
+        }
+      }
+    }
+    if (changed && !args.dryRun) {
+      await folder.save();
+      stats.updatedDocs++;
+    }
+  }
+
+  // 2) Profile images
+  const users = await User.find({
+    $or: [{ 'profile.profileImageKey': { $nin: [null, ''] } }, { 'profile.profileImageUrl': { $nin: [null, ''] } }]
+  }).select('profile');
+  for (const user of users) {
+    const key = user.profile.profileImageKey || keyFromUrl(user.profile.profileImageUrl);
+    if (!key || !(await moveFile(key))) continue;
+    if (!args.dryRun && !user.profile.profileImageKey) {
+      await User.updateOne({ _id: user._id }, { $set: { 'profile.profileImageKey': key } });
+      stats.updatedDocs++;
+    }
+  }
+
+  // 3) Leave documents
+  const leaves = await LeaveRequest.find({ 'document.fileName': { $nin: [null, ''] } }).select('document');
+  for (const leave of leaves) {
+    const key = leave.document.key || `uploads/${leave.document.fileName}`;
+    if (!(await moveFile(key, leave.document.mimeType))) continue;
+    if (!args.dryRun && !leave.document.key) {
+      await LeaveRequest.updateOne({ _id: leave._id }, { $set: { 'document.key': key } });
+      stats.updatedDocs++;
+    }
+  }
+
+  console.log('Done:', stats);
+  console.log(`Set STORAGE_DRIVER=${to.name} before restarting the server.`);
+  return stats.failed ? 1 : 0;
+}
+
+main()
+  .then((code) => {
+    process.exitCode = code;
+  })
+  .catch((err) => {
+    console.error('Storage migration failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
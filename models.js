@@ -0,0 +1,136 @@
+// models.js - Shared Mongoose models for the CMRIT portal
+
+const mongoose = require('mongoose');
+
+// ---------- SCHEMAS & MODELS ----------
+
+const userSchema = new mongoose.Schema({
+  email: { type: String, unique: true, required: true, lowercase: true },
+  password: { type: String, required: true, minlength: 6 },
+  name: { type: String, required: true },
+  rollNo: String,
+  mentorTeacherEmail: String,
+  dept: String,
+  role: { type: String, enum: ['student', 'teacher', 'admin'], default: 'student' },
+  // Set for default/admin-issued passwords; the next login must change it
+  mustChangePassword: { type: Boolean, default: false },
+  passwordChangedAt: Date,
+  passwordResetTokenHash: String, // sha256 of the mailed reset token
+  passwordResetExpires: Date,
+  disabled: { type: Boolean, default: false },
+  invitedBy: String, // admin who created this admin account
+  profile: {
+    phone: String,
+    branch: String,
+    year: String,
+    section: String,
+    address: String,
+    interests: String,
+    guardianName: String,
+    guardianPhone: String,
+    bloodGroup: String,
+    extraInfo: String,
+    profileImageKey: String, // storage key (see storage.js)
+    profileImageUrl: String // legacy static path, replaced by profileImageKey
+  }
+}, { timestamps: true });
+
+const attendanceSchema = new mongoose.Schema({
+  studentEmail: { type: String, required: true, index: true },
+  date: { type: String, required: true }, // YYYY-MM-DD
+  slot: { type: Number, required: true, min: 1, max: 8 },
+  // excused / on-duty come only from approved leave requests
+  status: { type: String, enum: ['present', 'absent', 'excused', 'on-duty'], required: true },
+  subject: { type: String, required: true }, // canonical name from the timetable
+  section: String, // timetable section the slot belongs to
+  mentorTeacherEmail: { type: String, required: true }
+}, { timestamps: true });
+
+// One doc = one version of a (mentor, date, slot) register. Attendance holds the
+// current state; revisions keep who changed what so a slot can be audited or rolled back.
+const attendanceRevisionSchema = new mongoose.Schema({
+  mentorTeacherEmail: { type: String, required: true },
+  date: { type: String, required: true },
+  slot: { type: Number, required: true },
+  version: { type: Number, required: true },
+  subject: String,
+  section: String,
+  action: { type: String, enum: ['baseline', 'mark', 'rollback', 'leave'], required: true },
+  rolledBackTo: Number, // version restored by a rollback
+  actorEmail: { type: String, required: true },
+  actorRole: String,
+  changes: [{
+    _id: false,
+    studentEmail: String,
+    previousStatus: String, // null = no record before
+    newStatus: String // null = record removed
+  }],
+  snapshot: [{ _id: false, studentEmail: String, status: String }] // full register after this version
+}, { timestamps: true });
+
+// One doc = one "exam folder" (a student's marks + answer scripts for one exam)
+const examScriptSchema = new mongoose.Schema({
+  fileName: String, // stored filename on server
+  storageKey: String, // "exam_uploads/<fileName>" in the storage backend
+  originalName: String,
+  mimeType: String,
+  size: Number,
+  url: String, // legacy static URL; API responses carry a signed link (files.js)
+  pageCount: Number, // 1 for images
+  thumbnails: [{ _id: false, page: Number, storageKey: String }], // small previews, first pages only
+  uploadedAt: { type: Date, default: Date.now }
+}, { _id: true });
+
+const examSubjectSchema = new mongoose.Schema({
+  subjectName: { type: String, required: true },
+  marksObtained: { type: Number, required: true },
+  maxMarks: { type: Number, default: 100 },
+  scripts: [examScriptSchema],
+  // Marks changed by an accepted re-evaluation query
+  marksRevisions: [{
+    _id: false,
+    previousMarks: Number,
+    newMarks: Number,
+    queryId: mongoose.Schema.Types.ObjectId,
+    changedBy: String,
+    changedAt: { type: Date, default: Date.now }
+  }]
+}, { _id: true });
+
+const examFolderSchema = new mongoose.Schema({
+  studentRollNo: { type: String, required: true, index: true },
+  studentEmail: { type: String }, // optional (for display)
+  studentName: { type: String }, // optional (for display)
+  mentorTeacherEmail: { type: String, required: true, index: true },
+  examName: { type: String, required: true, index: true },
+  // Grading: internals (IA tests) and the semester-end external exam are
+  // combined per subject; folders without a semester are left out of SGPA
+  examType: { type: String, enum: ['internal', 'external'], default: 'internal' },
+  semester: { type: Number, min: 1, max: 8, default: null },
+  subjects: [examSubjectSchema],
+  // Folders start as drafts; students only see them once released
+  // (published and releaseAt, if set, has passed)
+  published: { type: Boolean, default: false },
+  releaseAt: { type: Date, default: null },
+  publishedBy: String
+}, { timestamps: true });
+
+userSchema.index({ email: 1 });
+attendanceSchema.index({ studentEmail: 1, date: 1 });
+attendanceSchema.index({ mentorTeacherEmail: 1, date: 1, slot: 1 });
+attendanceRevisionSchema.index({ mentorTeacherEmail: 1, date: 1, slot: 1, version: 1 }, { unique: true });
+
+// Avoid OverwriteModelError on hot reload / server restart
+const User = mongoose.models.User || mongoose.model('User', userSchema);
+const Attendance = mongoose.models.Attendance || mongoose.model('Attendance', attendanceSchema);
+const AttendanceRevision = mongoose.models.AttendanceRevision ||
+  mongoose.model('AttendanceRevision', attendanceRevisionSchema);
+const ExamFolder = mongoose.models.ExamFolder || mongoose.model('ExamFolder', examFolderSchema);
+
+// Query fragment for exam folders students may see
+const releasedFolderFilter = () => ({
+  published: true,
+  $or: [{ releaseAt: null }, { releaseAt: { $lte: new Date() } }]
+});
+
+module.exports = { User, Attendance, AttendanceRevision, ExamFolder, releasedFolderFilter };
@@ -0,0 +1,135 @@
+// policy.js - Role + ownership rules for the CMRIT portal
+//
+// Students act only on their own records, teachers on their mentees and on
+// exam folders they created, admins on everything. Every rejection goes out
+// through forbid() so clients always see the same 403 shape.
+
+const { User } = require("./models");
+
+const normalizeEmail = (s) => String(s || "").trim().toLowerCase();
+const normalize = (s) => String(s || "").trim();
+
+function forbid(res, message = "You are not allowed to perform this action") {
+  return res.status(403).json({ message, type: "FORBIDDEN" });
+}
+
+// Route guard: only the listed roles may continue
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return forbid(res, `This action requires role: ${roles.join(" or ")}`);
+    }
+    return next();
+  };
+}
+
+/* ---------------------------
+Rules (pure checks, no I/O)
+---------------------------- */
+
+// student = { email, mentorTeacherEmail }
+function canActOnStudent(user, student) {
+  if (!user || !student) return false;
+  if (user.role === "admin") return true;
+  if (user.role === "student") return normalizeEmail(student.email) === normalizeEmail(user.email);
+  if (user.role === "teacher") {
+    return normalizeEmail(student.mentorTeacherEmail) === normalizeEmail(user.email);
+  }
+  return false;
+}
+
+// Teachers manage only folders they created; admins manage all
+function canManageFolder(user, folder) {
+  if (!user || !folder) return false;
+  if (user.role === "admin") return true;
+  return (
+    user.role === "teacher" &&
+    normalizeEmail(folder.mentorTeacherEmail) === normalizeEmail(user.email)
+  );
+}
+
+// Students may also read their own folders
+function canViewFolder(user, folder) {
+  if (canManageFolder(user, folder)) return true;
+  return (
+    user?.role === "student" &&
+    !!normalize(user.rollNo) &&
+    normalize(folder?.studentRollNo) === normalize(user.rollNo)
+  );
+}
+
+/* ---------------------------
+Request helpers
+Each returns the authorized value, or null after it has already responded.
+---------------------------- */
+
+/**
+ * Resolve the student a request targets (by email or rollNo) and check access.
+ * Students default to themselves when neither is supplied.
+ */
+async function authorizeStudent(req, res, { email, rollNo } = {}) {
+  const user = req.user;
+  const query = { role: "student" };
+
+  if (normalize(email)) query.email = normalizeEmail(email);
+  else if (normalize(rollNo)) query.rollNo = normalize(rollNo);
+  else if (user?.role === "student") query.email = normalizeEmail(user.email);
+  else {
+    res.status(400).json({ message: "Student email or rollNo is required" });
+    return null;
+  }
+
+  const student = await User.findOne(query).select("-password");
+
+  // Students asking about anyone else get the same 403 whether or not that account exists
+  if (user?.role === "student" && (!student || !canActOnStudent(user, student))) {
+    forbid(res, "Students can only access their own records");
+    return null;
+  }
+  if (!student) {
+    res.status(404).json({ message: "Student not found" });
+    return null;
+  }
+  if (!canActOnStudent(user, student)) {
+    forbid(res, "You can only access records of your own mentees");
+    return null;
+  }
+  return student;
+}
+
+/**
+ * Resolve the mentor a teacher route acts as. Teachers are always themselves
+ * (a different mentorTeacherEmail is rejected); admins must name one.
+ */
+function authorizeMentor(req, res, mentorTeacherEmail) {
+  const user = req.user;
+  const requested = normalizeEmail(mentorTeacherEmail);
+
+  if (user?.role === "teacher") {
+    if (requested && requested !== normalizeEmail(user.email)) {
+      forbid(res, "Teachers can only act as themselves");
+      return null;
+    }
+    return normalizeEmail(user.email);
+  }
+  if (user?.role === "admin") {
+    if (!requested) {
+      res.status(400).json({ message: "mentorTeacherEmail is required" });
+      return null;
+    }
+    return requested;
+  }
+
+  forbid(res, "This action requires role: teacher or admin");
+  return null;
+}
+
+module.exports = {
+  forbid,
+  requireRole,
+  canActOnStudent,
+  canManageFolder,
+  canViewFolder,
+  authorizeStudent,
+  authorizeMentor,
+};
@@ -0,0 +1,163 @@
+// roster.js - Non-destructive student/teacher roster import (upsert by email)
+//
+// Rows are validated up front and reported one by one. Existing accounts keep
+// their password, profile and any field the sheet leaves blank; invalid rows
+// are skipped instead of failing the whole batch.
+
+const bcrypt = require("bcryptjs");
+const { User } = require("./models");
+const { DEFAULT_PASSWORD } = require("./auth");
+
+const EMAIL_RE = /^[^\s@]+@cmrit\.ac\.in$/i;
+
+// Sheet columns each role may set on an account
+const ROSTER_FIELDS = {
+  student: ["name", "rollNo", "mentorTeacherEmail"],
+  teacher: ["name", "dept"],
+};
+
+const DEFAULT_NAMES = { student: "Student", teacher: "Teacher" };
+
+const cell = (v) => (v === undefined || v === null ? "" : String(v).trim());
+
+function readRow(row, role) {
+  const out = { email: cell(row.email).toLowerCase(), password: cell(row.password) };
+  for (const field of ROSTER_FIELDS[role]) {
+    const value = cell(row[field]);
+    if (value) out[field] = field === "mentorTeacherEmail" ? value.toLowerCase() : value;
+  }
+  return out;
+}
+
+/**
+ * Unordered bulk write: one failing row (e.g. an email or rollNo taken since
+ * validation) does not stop the others. Failed rows are marked in the report.
+ */
+async function applyOps(ops, opRows) {
+  try {
+    await User.bulkWrite(ops, { ordered: false });
+  } catch (err) {
+    if (!err.writeErrors) throw err;
+    for (const writeError of [].concat(err.writeErrors)) {
+      const p = opRows[writeError.index];
+      p.action = "failed";
+      p.errors.push(
+        writeError.code === 11000
+          ? "Email or rollNo already taken by another account"
+          : writeError.errmsg || "Could not be saved"
+      );
+    }
+  }
+}
+
+/**
+ * Validate and (unless dryRun) apply a roster sheet.
+ * rows: objects from xlsx.utils.sheet_to_json (header row = spreadsheet row 1).
+ * Returns { dryRun, summary, rows: [{ row, email, action, changes, errors }] };
+ * action is create | update | unchanged | invalid, or failed when the write itself failed.
+ */
+async function importRoster(rows, role, { dryRun = false } = {}) {
+  const parsed = rows.map((raw, i) => ({ row: i + 2, data: readRow(raw, role), errors: [] }));
+
+  const emails = parsed.map((p) => p.data.email).filter(Boolean);
+  const existing = await User.find({ email: { $in: emails } }).select("email role " + ROSTER_FIELDS[role].join(" "));
+  const existingByEmail = new Map(existing.map((u) => [u.email, u]));
+
+  // Lookups needed only for student sheets
+  let rollNoOwners = new Map();
+  let teacherEmails = new Set();
+  if (role === "student") {
+    const rollNos = parsed.map((p) => p.data.rollNo).filter(Boolean);
+    const holders = await User.find({ rollNo: { $in: rollNos }, role: "student" }).select("email rollNo");
+    rollNoOwners = new Map(holders.map((u) => [u.rollNo, u.email]));
+
+    const mentors = [...new Set(parsed.map((p) => p.data.mentorTeacherEmail).filter(Boolean))];
+    const teachers = await User.find({ email: { $in: mentors }, role: "teacher" }).select("email");
+    teacherEmails = new Set(teachers.map((t) => t.email));
+  }
+
+  const seenEmails = new Map();
+  const seenRollNos = new Map();
+
+  for (const p of parsed) {
+    const { data, errors } = p;
+
+    if (!data.email) errors.push("Missing email");
+    else if (!EMAIL_RE.test(data.email)) errors.push("Invalid or non-CMRIT email");
+    else if (seenEmails.has(data.email)) errors.push(`Duplicate email (also on row ${seenEmails.get(data.email)})`);
+    else seenEmails.set(data.email, p.row);
+
+    const current = existingByEmail.get(data.email);
+    if (current && current.role !== role) {
+      errors.push(`Email belongs to an existing ${current.role} account`);
+    }
+
+    if (role === "student") {
+      if (data.rollNo) {
+        if (seenRollNos.has(data.rollNo)) {
+          errors.push(`Duplicate rollNo (also on row ${seenRollNos.get(data.rollNo)})`);
+        } else {
+          seenRollNos.set(data.rollNo, p.row);
+        }
+        const owner = rollNoOwners.get(data.rollNo);
+        if (owner && owner !== data.email) errors.push(`rollNo already belongs to ${owner}`);
+      }
+      if (data.mentorTeacherEmail && !teacherEmails.has(data.mentorTeacherEmail)) {
+        errors.push(`mentorTeacherEmail ${data.mentorTeacherEmail} matches no teacher`);
+      }
+    }
+
+    if (errors.length) {
+      p.action = "invalid";
+    } else if (!current) {
+      p.action = "create";
+    } else {
+      p.changes = ROSTER_FIELDS[role].filter(
+        (f) => data[f] !== undefined && cell(current[f]) !== data[f]
+      );
+      p.action = p.changes.length ? "update" : "unchanged";
+    }
+  }
+
+  if (!dryRun) {
+    const ops = [];
+    const opRows = []; // parsed row behind each op, for write errors
+    for (const p of parsed) {
+      let op;
+      if (p.action === "create") {
+        const doc = { email: p.data.email, role, mustChangePassword: true };
+        for (const f of ROSTER_FIELDS[role]) if (p.data[f] !== undefined) doc[f] = p.data[f];
+        doc.name = doc.name || DEFAULT_NAMES[role];
+        doc.password = await bcrypt.hash(p.data.password || DEFAULT_PASSWORD, 10);
+        op = { insertOne: { document: doc } };
+      } else if (p.action === "update") {
+        const $set = {};
+        for (const f of p.changes) $set[f] = p.data[f];
+        op = { updateOne: { filter: { email: p.data.email, role }, update: { $set } } };
+      }
+      if (op) {
+        ops.push(op);
+        opRows.push(p);
+      }
+    }
+    if (ops.length) await applyOps(ops, opRows);
+  }
+
+  const summary = { total: parsed.length, create: 0, update: 0, unchanged: 0, invalid: 0, failed: 0 };
+  parsed.forEach((p) => summary[p.action]++);
+
+  return {
+    dryRun,
+    summary,
+    rows: parsed.map((p) => ({
+      row: p.row,
+      email: p.data.email || null,
+      rollNo: p.data.rollNo,
+      action: p.action,
+      changes: p.changes,
+      errors: p.errors,
+    })),
+  };
+}
+
+module.exports = { importRoster };
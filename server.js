@@ -8,14 +8,36 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
 const rateLimit = require('express-rate-limit');
-const multer = require('multer');
 const xlsx = require('xlsx');
 const bcrypt = require('bcryptjs');
-const path = require('path');
-const fs = require('fs');
-
+const crypto = require('crypto');
+
+const { User, Attendance } = require('./models');
+const {
+  router: authRoutes,
+  requireAuth,
+  issueSession,
+  revokeAllSessions,
+  DEFAULT_PASSWORD
+} = require('./auth');
+const { forbid, requireRole, authorizeStudent, authorizeMentor } = require('./policy');
+const { sendMail } = require('./mailer');
+const { importRoster } = require('./roster');
+const { photoUpload, sheetUpload } = require('./uploads');
+const { storage, newFileName, discardUploads } = require('./storage');
+const { detectType, normalizeProfileImage } = require('./media');
+const { router: fileRoutes, presentProfile } = require('./files');
 const chatbotRoutes = require('./chatbot');
+const { router: chatSessionRoutes } = require('./chatsessions');
 const examPaperRoutes = require("./exampaper");
+const { router: examStatsRoutes } = require('./examstats');
+const { router: marksQueryRoutes } = require('./marksquery');
+const { router: examTrashRoutes, startTrashPurge } = require('./examtrash');
+const { router: attendanceRoutes, writeAttendanceSlot } = require('./attendance');
+const { router: timetableRoutes, findScheduledClass, sameSubject } = require('./timetable');
+const { router: leaveRoutes, applyApprovedLeave } = require('./leave');
+const { router: gradingRoutes } = require('./grading');
+const { router: transcriptRoutes, verifyRouter } = require('./transcript');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -34,34 +56,66 @@ app.use(morgan('combined'));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
+// ---------- AUTHENTICATION ----------
+
+// Every API under these prefixes needs a Bearer access token, except the logins.
+const PROTECTED_API_PREFIXES = [
+  '/api/student',
+  '/api/teacher',
+  '/api/admin',
+  '/api/exams',
+  '/api/chatbot',
+  '/api/attendance',
+  '/api/timetable',
+  '/api/leave',
+  '/api/grading',
+  '/api/transcripts',
+  '/api/files'
+];
+const PUBLIC_API_PATHS = new Set([
+  '/api/student/login',
+  '/api/teacher/login',
+  '/api/admin/login',
+  '/api/files/download' // signed links carry their own credential
+]);
+
+app.use(PROTECTED_API_PREFIXES, (req, res, next) => {
+  if (PUBLIC_API_PATHS.has(req.baseUrl + req.path)) return next();
+  return requireAuth(req, res, next);
+});
+
+// Session refresh / logout
+app.use('/api/auth', authRoutes);
+
 // Mount chatbot routes
 app.use('/api/chatbot', chatbotRoutes);
+app.use('/api/chatbot/sessions', chatSessionRoutes);
 
 // Mount exam paper routes (ADDED RIGHT AFTER CHATBOT)
 console.log("Mounting exam paper routes at /api/exams");
 app.use("/api/exams", examPaperRoutes);
+app.use('/api/exams/analytics', examStatsRoutes);
+app.use('/api/exams/queries', marksQueryRoutes);
+app.use('/api/exams/trash', examTrashRoutes);
 
-// Create uploads folder if missing
-if (!fs.existsSync('./uploads')) {
-  fs.mkdirSync('./uploads', { recursive: true });
-}
+// Attendance registers / reports
+app.use('/api/attendance', attendanceRoutes);
 
-// Create dedicated exam uploads folder if missing (ADDED)
-const examUploadsDir = path.join(__dirname, "exam_uploads");
-if (!fs.existsSync(examUploadsDir)) {
-  fs.mkdirSync(examUploadsDir, { recursive: true });
-}
+// Section timetables (drive attendance subjects)
+app.use('/api/timetable', timetableRoutes);
 
-// Multer for file upload
-const storage = multer.diskStorage({
-  destination: './uploads/',
-  filename: (req, file, cb) =>
-    cb(
-      null,
-      Date.now() + '-' + Math.round(Math.random() * 1e9) + path.extname(file.originalname)
-    )
-});
-const upload = multer({ storage, limits: { fileSize: 10 * 1024 * 1024 } });
+// Leave / condonation requests
+app.use('/api/leave', leaveRoutes);
+
+// Subject credits, grade scale and SGPA/CGPA
+app.use('/api/grading', gradingRoutes);
+
+// Marks cards / transcripts, and the public check for their verification codes
+app.use('/api/transcripts', transcriptRoutes);
+app.use('/api/verify', verifyRouter);
+
+// Signed, expiring download links for scripts / profile images / leave documents
+app.use('/api/files', fileRoutes);
 
 // Rate limiter for login endpoints (heavy load protection)
 const loginLimiter = rateLimit({
@@ -99,6 +153,35 @@ const connectDB = async () => {
     console.error('❌ MongoDB Atlas connection failed:', err.message);
     process.exit(1);
   }
+
+  await bootstrapAdmin();
+  startTrashPurge();
+};
+
+// Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD when none exists yet.
+// After that, admins are managed through /api/admin/admins and the env pair is ignored.
+const bootstrapAdmin = async () => {
+  try {
+    if (await User.exists({ role: 'admin' })) return;
+
+    const email = String(process.env.ADMIN_EMAIL || '').toLowerCase().trim();
+    const password = process.env.ADMIN_PASSWORD;
+    if (!email || !password) {
+      console.error('❌ No admin account exists and ADMIN_EMAIL / ADMIN_PASSWORD are not set.');
+      return;
+    }
+
+    await User.create({
+      email,
+      password: await bcrypt.hash(password, 10),
+      name: 'Admin',
+      role: 'admin',
+      mustChangePassword: true
+    });
+    console.log(`✅ Bootstrap admin created: ${email}`);
+  } catch (err) {
+    console.error('❌ Bootstrap admin failed:', err.message);
+  }
 };
 
 connectDB();
@@ -109,138 +192,106 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
-// ---------- SCHEMAS & MODELS ----------
-
-const userSchema = new mongoose.Schema({
-  email: { type: String, unique: true, required: true, lowercase: true },
-  password: { type: String, required: true, minlength: 6 },
-  name: { type: String, required: true },
-  rollNo: String,
-  mentorTeacherEmail: String,
-  dept: String,
-  role: { type: String, enum: ['student', 'teacher', 'admin'], default: 'student' },
-  profile: {
-    phone: String,
-    branch: String,
-    year: String,
-    section: String,
-    address: String,
-    interests: String,
-    guardianName: String,
-    guardianPhone: String,
-    bloodGroup: String,
-    extraInfo: String,
-    profileImageUrl: String
-  }
-}, { timestamps: true });
-
-const attendanceSchema = new mongoose.Schema({
-  studentEmail: { type: String, required: true, index: true },
-  date: { type: String, required: true }, // YYYY-MM-DD
-  slot: { type: Number, required: true, min: 1, max: 8 },
-  status: { type: String, enum: ['present', 'absent'], required: true },
-  subject: { type: String, required: true },
-  mentorTeacherEmail: { type: String, required: true }
-}, { timestamps: true });
-
-userSchema.index({ email: 1 });
-attendanceSchema.index({ studentEmail: 1, date: 1 });
-attendanceSchema.index({ mentorTeacherEmail: 1, date: 1, slot: 1 });
-
-const User = mongoose.model('User', userSchema);
-const Attendance = mongoose.model('Attendance', attendanceSchema);
-
 // ---------- AUTH ROUTES ----------
 
-// Student Login - POST /api/student/login
-app.post('/api/student/login', loginLimiter, async (req, res) => {
-  try {
-    const { email, password } = req.body;
-
-    if (!email || !password)
-      return res.status(400).json({ message: 'Email and password are required' });
+// Accounts still on the seeded default password must change it, even if they
+// were created before the mustChangePassword flag existed.
+async function flagDefaultPassword(user, password) {
+  if (password === DEFAULT_PASSWORD && !user.mustChangePassword) {
+    user.mustChangePassword = true;
+    await User.updateOne({ _id: user._id }, { $set: { mustChangePassword: true } });
+  }
+}
 
-    if (!email.includes('cmrit.ac.in'))
-      return res.status(400).json({ message: 'Please use your CMRIT email (student@cmrit.ac.in)' });
+/**
+ * One login code path for every role. Looks the account up by email + role,
+ * checks the bcrypt hash and issues a session.
+ */
+function loginRoute(role, { failMessage, requireCmritEmail = false }) {
+  return async (req, res) => {
+    try {
+      const { email, password } = req.body;
 
-    const student = await User.findOne({ email, role: 'student' });
-    if (!student) return res.status(401).json({ message: 'Login failed' });
+      if (!email || !password)
+        return res.status(400).json({ message: 'Email and password are required' });
 
-    const match = await bcrypt.compare(password, student.password);
-    if (!match) return res.status(401).json({ message: 'Login failed' });
+      if (requireCmritEmail && !String(email).includes('cmrit.ac.in'))
+        return res.status(400).json({ message: 'Please use your CMRIT email (student@cmrit.ac.in)' });
 
-    res.json({
-      email: student.email,
-      name: student.name,
-      rollNo: student.rollNo,
-      mentorTeacherEmail: student.mentorTeacherEmail
-    });
-  } catch (err) {
-    console.error('Student login error:', err);
-    res.status(500).json({ message: 'Something went wrong. Please try again.' });
-  }
-});
+      const user = await User.findOne({ email: String(email).toLowerCase().trim(), role });
+      if (!user || !await bcrypt.compare(String(password), user.password)) {
+        return res.status(401).json({ message: failMessage });
+      }
 
-// Teacher Login - POST /api/teacher/login
-app.post('/api/teacher/login', loginLimiter, async (req, res) => {
-  try {
-    const { email, password } = req.body;
+      if (user.disabled) {
+        return res.status(403).json({ message: 'This account has been disabled', type: 'ACCOUNT_DISABLED' });
+      }
 
-    const teacher = await User.findOne({ email, role: 'teacher' });
-    if (!teacher || !await bcrypt.compare(password, teacher.password)) {
-      return res.status(401).json({ message: 'Teacher login failed' });
+      await flagDefaultPassword(user, password);
+      const session = await issueSession(user);
+
+      res.json({
+        email: user.email,
+        name: user.name,
+        role: user.role,
+        rollNo: user.rollNo,
+        mentorTeacherEmail: user.mentorTeacherEmail,
+        dept: user.dept,
+        mustChangePassword: user.mustChangePassword,
+        ...session
+      });
+    } catch (err) {
+      console.error(`${role} login error:`, err);
+      res.status(500).json({ message: 'Something went wrong. Please try again.' });
     }
+  };
+}
 
-    res.json({
-      email: teacher.email,
-      name: teacher.name,
-      dept: teacher.dept
-    });
-  } catch (err) {
-    console.error('Teacher login error:', err);
-    res.status(500).json({ message: 'Something went wrong. Please try again.' });
-  }
-});
-
-// Admin Login (from .env) - POST /api/admin/login
-app.post('/api/admin/login', loginLimiter, async (req, res) => {
-  try {
-    const { email, password } = req.body;
+// Student Login - POST /api/student/login
+app.post('/api/student/login', loginLimiter, loginRoute('student', {
+  failMessage: 'Login failed',
+  requireCmritEmail: true
+}));
 
-    const adminEmail = process.env.ADMIN_EMAIL;
-    const adminPassword = process.env.ADMIN_PASSWORD;
+// Teacher Login - POST /api/teacher/login
+app.post('/api/teacher/login', loginLimiter, loginRoute('teacher', { failMessage: 'Teacher login failed' }));
 
-    // Fail closed if not configured
-    if (!adminEmail || !adminPassword) {
-      console.error('❌ ADMIN_EMAIL / ADMIN_PASSWORD missing in environment variables.');
-      return res.status(500).json({ message: 'Admin credentials not configured on server' });
-    }
-
-    if (email === adminEmail && password === adminPassword) {
-      return res.json({ email, name: 'Admin', role: 'admin' });
-    }
-    return res.status(401).json({ message: 'Admin login failed' });
-  } catch (err) {
-    console.error('Admin login error:', err);
-    res.status(500).json({ message: 'Something went wrong. Please try again.' });
-  }
-});
+// Admin Login - POST /api/admin/login
+app.post('/api/admin/login', loginLimiter, loginRoute('admin', { failMessage: 'Admin login failed' }));
 
 // ---------- STUDENT DASHBOARD ROUTES ----------
 
-// Attendance Summary - GET /api/student/attendance-summary?email=...
+// Attendance Summary - GET /api/student/attendance-summary?email=...&excludeExcused=true
 app.get('/api/student/attendance-summary', async (req, res) => {
   try {
-    const { email } = req.query;
-    if (!email) return res.status(400).json({ message: 'Email is required' });
-
-    const records = await Attendance.find({ studentEmail: email });
-    const totalClasses = records.length;
-    const present = records.filter(r => r.status === 'present').length;
-    const absent = totalClasses - present;
-    const percentage = totalClasses ? Math.round((present / totalClasses) * 100) : 0;
+    const student = await authorizeStudent(req, res, { email: req.query.email });
+    if (!student) return;
 
-    res.json({ totalClasses, present, absent, percentage });
+    // Counted in MongoDB instead of loading every record
+    const [counts] = await Attendance.aggregate([
+      { $match: { studentEmail: student.email } },
+      {
+        $group: {
+          _id: null,
+          totalClasses: { $sum: 1 },
+          present: { $sum: { $cond: [{ $eq: ['$status', 'present'] }, 1, 0] } },
+          excused: { $sum: { $cond: [{ $eq: ['$status', 'excused'] }, 1, 0] } },
+          onDuty: { $sum: { $cond: [{ $eq: ['$status', 'on-duty'] }, 1, 0] } }
+        }
+      }
+    ]);
+    const totalClasses = counts?.totalClasses || 0;
+    const present = counts?.present || 0;
+    const excused = counts?.excused || 0;
+    const onDuty = counts?.onDuty || 0;
+    const absent = totalClasses - present - excused - onDuty;
+
+    // Approved leave can be left out of the percentage instead of counting as missed
+    const excludeExcused = req.query.excludeExcused === 'true';
+    const countedClasses = excludeExcused ? totalClasses - excused - onDuty : totalClasses;
+    const percentage = countedClasses ? Math.round((present / countedClasses) * 100) : 0;
+
+    res.json({ totalClasses, present, absent, excused, onDuty, excludeExcused, percentage });
   } catch (err) {
     console.error('Attendance summary error:', err);
     res.status(500).json({ message: err.message });
@@ -250,10 +301,10 @@ app.get('/api/student/attendance-summary', async (req, res) => {
 // Attendance Records - GET /api/student/attendance-records?email=...
 app.get('/api/student/attendance-records', async (req, res) => {
   try {
-    const { email } = req.query;
-    if (!email) return res.status(400).json({ message: 'Email is required' });
+    const student = await authorizeStudent(req, res, { email: req.query.email });
+    if (!student) return;
 
-    const records = await Attendance.find({ studentEmail: email })
+    const records = await Attendance.find({ studentEmail: student.email })
       .sort({ date: -1, slot: 1 })
       .limit(200);
 
@@ -267,13 +318,10 @@ app.get('/api/student/attendance-records', async (req, res) => {
 // Student Profile - GET /api/student/profile?email=...
 app.get('/api/student/profile', async (req, res) => {
   try {
-    const { email } = req.query;
-    if (!email) return res.status(400).json({ message: 'Email is required' });
-
-    const student = await User.findOne({ email, role: 'student' });
-    if (!student) return res.status(404).json({ message: 'Profile not found' });
+    const student = await authorizeStudent(req, res, { email: req.query.email });
+    if (!student) return;
 
-    res.json({ profile: student.profile || {} });
+    res.json({ profile: presentProfile(req, student.profile) });
   } catch (err) {
     console.error('Profile GET error:', err);
     res.status(500).json({ message: err.message });
@@ -288,10 +336,11 @@ app.post('/api/student/profile', async (req, res) => {
       interests, guardianName, guardianPhone, bloodGroup, extraInfo
     } = req.body;
 
-    if (!email) return res.status(400).json({ message: 'Email is required' });
+    const student = await authorizeStudent(req, res, { email });
+    if (!student) return;
 
     await User.updateOne(
-      { email, role: 'student' },
+      { email: student.email, role: 'student' },
       {
         $set: {
           'profile.phone': phone,
@@ -317,42 +366,53 @@ app.post('/api/student/profile', async (req, res) => {
 });
 
 // Student Profile Image - POST /api/student/profile-image
-app.post('/api/student/profile-image', upload.single('image'), async (req, res) => {
+// Only real images are accepted; they are re-encoded to a square JPEG before storing.
+app.post('/api/student/profile-image', photoUpload.single('image'), async (req, res) => {
+  let key = null;
   try {
     const { email } = req.body;
     if (!req.file) return res.status(400).json({ message: 'No image uploaded' });
+    if (detectType(req.file.buffer)?.kind !== 'image') {
+      return res.status(415).json({ message: 'Profile photo must be a JPEG, PNG, WebP or GIF image' });
+    }
+
+    const student = await authorizeStudent(req, res, { email });
+    if (!student) return;
 
-    const profileImageUrl = `/uploads/${req.file.filename}`;
+    let image;
+    try {
+      image = await normalizeProfileImage(req.file.buffer);
+    } catch (err) {
+      return res.status(400).json({ message: 'Image could not be read' });
+    }
 
-    if (email) {
-      await User.updateOne(
-        { email, role: 'student' },
-        { $set: { 'profile.profileImageUrl': profileImageUrl } }
-      );
+    key = (await storage.put(`uploads/${newFileName('.jpg')}`, image, { contentType: 'image/jpeg' })).key;
+    await User.updateOne(
+      { email: student.email, role: 'student' },
+      { $set: { 'profile.profileImageKey': key }, $unset: { 'profile.profileImageUrl': 1 } }
+    );
+
+    // The replaced image is no longer referenced anywhere
+    const previousKey = student.profile?.profileImageKey;
+    if (previousKey && previousKey !== key) {
+      storage.remove(previousKey).catch((err) => console.error('Old profile image cleanup error:', err.message));
     }
 
-    res.json({ profileImageUrl });
+    res.json({ profileImageUrl: presentProfile(req, { profileImageKey: key }).profileImageUrl });
   } catch (err) {
+    discardUploads(key);
     console.error('Profile image error:', err);
     res.status(500).json({ message: err.message });
   }
 });
 
-// Serve uploaded images
-app.use('/uploads', express.static('uploads'));
-
-// Serve dedicated exam uploads folder (ADDED)
-// Using absolute path is safer than relative when serving static files.
-app.use("/exam_uploads", express.static(path.join(__dirname, "exam_uploads")));
-
 // ---------- TEACHER DASHBOARD ROUTES ----------
 
 // Get students by mentor - POST /api/admin/students-by-mentor
-app.post('/api/admin/students-by-mentor', async (req, res) => {
+app.post('/api/admin/students-by-mentor', requireRole('teacher', 'admin'), async (req, res) => {
   try {
-    const { mentorTeacherEmail } = req.body;
-    if (!mentorTeacherEmail)
-      return res.status(400).json({ message: 'mentorTeacherEmail is required' });
+    const mentorTeacherEmail = authorizeMentor(req, res, req.body.mentorTeacherEmail);
+    if (!mentorTeacherEmail) return;
 
     const students = await User.find({
       mentorTeacherEmail,
@@ -374,29 +434,73 @@ app.post('/api/admin/students-by-mentor', async (req, res) => {
 });
 
 // Mark attendance - POST /api/teacher/mark-attendance
-app.post('/api/teacher/mark-attendance', async (req, res) => {
+app.post('/api/teacher/mark-attendance', requireRole('teacher', 'admin'), async (req, res) => {
   try {
-    const { mentorTeacherEmail, date, slot, subject, records } = req.body;
+    const { date, records } = req.body;
+    const slot = Number(req.body.slot);
 
-    if (!mentorTeacherEmail || !date || !slot || !subject || !records) {
-      return res.status(400).json({ message: 'All fields are required' });
+    if (!date || !slot || !Array.isArray(records)) {
+      return res.status(400).json({ message: 'date, slot and records are required' });
+    }
+    if (!Number.isInteger(slot) || slot < 1 || slot > 8) {
+      return res.status(400).json({ message: 'slot must be between 1 and 8' });
     }
 
-    await Attendance.deleteMany({ mentorTeacherEmail, date, slot: Number(slot) });
+    const mentorTeacherEmail = authorizeMentor(req, res, req.body.mentorTeacherEmail);
+    if (!mentorTeacherEmail) return;
+
+    // The subject comes from the timetable; a client-sent subject must agree with it.
+    // Admins may still record an unscheduled class by naming the subject.
+    const scheduled = await findScheduledClass(mentorTeacherEmail, date, slot);
+    const requestedSubject = String(req.body.subject || '').trim();
+    let subject;
+    if (scheduled) {
+      if (requestedSubject && !sameSubject(requestedSubject, scheduled.subject)) {
+        return res.status(400).json({
+          message: `Slot ${slot} on ${date} is ${scheduled.subject} (${scheduled.section}) in the timetable`,
+          scheduled
+        });
+      }
+      subject = scheduled.subject;
+    } else if (req.user.role === 'admin' && requestedSubject) {
+      subject = requestedSubject;
+    } else {
+      return forbid(res, `No class assigned to ${mentorTeacherEmail} on ${date}, slot ${slot} in the timetable`);
+    }
 
-    const docs = records.map(r => ({
-      studentEmail: r.studentEmail,
-      date,
-      slot: Number(slot),
-      status: r.status,
-      subject: subject.trim(),
+    // Every student in the register must be a mentee of this mentor
+    const studentEmails = [...new Set(records.map(r => String(r.studentEmail || '').toLowerCase().trim()))];
+    const mentees = await User.find({
+      email: { $in: studentEmails },
+      role: 'student',
       mentorTeacherEmail
-    }));
+    }).select('email');
+    const menteeEmails = new Set(mentees.map(m => m.email));
+    const notMentees = studentEmails.filter(e => !menteeEmails.has(e));
+    if (notMentees.length) {
+      return forbid(res, `Not your mentees: ${notMentees.join(', ')}`);
+    }
+
+    if (records.some(r => !['present', 'absent'].includes(r.status))) {
+      return res.status(400).json({ message: 'Each record status must be present or absent' });
+    }
 
-    await Attendance.insertMany(docs);
+    // Resubmissions update the slot in place and are kept as a new version.
+    // Absences covered by approved leave are stored as excused / on-duty.
+    const revision = await writeAttendanceSlot({
+      mentorTeacherEmail,
+      date,
+      slot,
+      subject,
+      section: scheduled?.section,
+      records: await applyApprovedLeave(records, date, slot),
+      actor: req.user
+    });
 
     res.json({
-      count: docs.length,
+      count: records.length,
+      version: revision?.version ?? null,
+      changed: revision ? revision.changes.length : 0,
       message: `Attendance saved for ${date}, Slot ${slot} - ${subject}`
     });
   } catch (err) {
@@ -407,110 +511,209 @@ app.post('/api/teacher/mark-attendance', async (req, res) => {
 
 // ---------- ADMIN EXCEL UPLOAD ROUTES ----------
 
-// Upload Students - POST /api/admin/upload-students
-app.post('/api/admin/upload-students', upload.single('file'), async (req, res) => {
-  try {
+// Roster uploads upsert by email and never touch passwords or profiles of
+// existing accounts. Send dryRun=true to get the per-row report without writing.
+function rosterUploadRoute(role) {
+  return async (req, res) => {
     if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
 
-    const workbook = xlsx.readFile(req.file.path);
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const rows = xlsx.utils.sheet_to_json(sheet);
-
-    const students = [];
-    const emails = [];
-
-    for (const row of rows) {
-      if (!row.email) continue;
-      const email = String(row.email).toLowerCase().trim();
-      const passwordHash = await bcrypt.hash(String(row.password || 'password123'), 10);
-
-      students.push({
-        email,
-        password: passwordHash,
-        name: row.name || 'Student',
-        rollNo: row.rollNo,
-        mentorTeacherEmail: row.mentorTeacherEmail,
-        role: 'student'
+    try {
+      const workbook = xlsx.read(req.file.buffer, { type: 'buffer' });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      const rows = xlsx.utils.sheet_to_json(sheet);
+
+      const dryRun = String(req.query.dryRun || req.body.dryRun) === 'true';
+      const report = await importRoster(rows, role, { dryRun });
+      const { create, update, unchanged, invalid, failed } = report.summary;
+
+      res.json({
+        message: dryRun
+          ? `Dry run: ${create} to create, ${update} to update, ${unchanged} unchanged, ${invalid} invalid`
+          : `${create + update + unchanged} ${role}s processed (${create} created, ${update} updated, ${invalid} skipped` +
+            (failed ? `, ${failed} failed)` : ')'),
+        insertedCount: dryRun ? 0 : create,
+        ...report
       });
-      emails.push(email);
+    } catch (err) {
+      console.error(`Upload ${role}s error:`, err);
+      res.status(500).json({ message: err.message });
     }
+  };
+}
 
-    await User.deleteMany({ email: { $in: emails } });
-    const result = await User.insertMany(students);
+// Upload Students - POST /api/admin/upload-students[?dryRun=true]
+app.post('/api/admin/upload-students', requireRole('admin'), sheetUpload.single('file'), rosterUploadRoute('student'));
 
-    fs.unlinkSync(req.file.path);
+// Upload Teachers - POST /api/admin/upload-teachers[?dryRun=true]
+app.post('/api/admin/upload-teachers', requireRole('admin'), sheetUpload.single('file'), rosterUploadRoute('teacher'));
+
+// Get all students and teachers
+app.get('/api/admin/list-users', requireRole('admin'), async (req, res) => {
+  try {
+    const students = await User.find({ role: 'student' }).select(
+      'email name rollNo mentorTeacherEmail'
+    );
+    const teachers = await User.find({ role: 'teacher' }).select(
+      'email name dept'
+    );
+    res.json({ students, teachers });
+  } catch (err) {
+    console.error('List users error:', err);
+    res.status(500).json({ message: 'Failed to load users' });
+  }
+});
+
+// Reset a user's password - POST /api/admin/reset-password
+// Returns a one-time temporary password; the user must change it on next login.
+app.post('/api/admin/reset-password', requireRole('admin'), async (req, res) => {
+  try {
+    const email = String(req.body.email || '').toLowerCase().trim();
+    if (!email) return res.status(400).json({ message: 'email is required' });
+
+    const user = await User.findOne({ email });
+    if (!user) return res.status(404).json({ message: 'User not found' });
+
+    const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+
+    user.password = await bcrypt.hash(temporaryPassword, 10);
+    user.mustChangePassword = true;
+    user.passwordChangedAt = new Date();
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    await revokeAllSessions(user.email);
 
     res.json({
-      message: `${result.length} students processed`,
-      insertedCount: result.length
+      message: `Password reset for ${user.email}. Share the temporary password securely; it is shown only once.`,
+      email: user.email,
+      temporaryPassword
     });
   } catch (err) {
-    console.error('Upload students error:', err);
+    console.error('Admin reset password error:', err);
     res.status(500).json({ message: err.message });
   }
 });
 
-// Upload Teachers - POST /api/admin/upload-teachers
-app.post('/api/admin/upload-teachers', upload.single('file'), async (req, res) => {
-  try {
-    if (!req.file) return res.status(400).json({ message: 'No file uploaded' });
+// ---------- ADMIN ACCOUNT ROUTES ----------
 
-    const workbook = xlsx.readFile(req.file.path);
-    const sheet = workbook.Sheets[workbook.SheetNames[0]];
-    const rows = xlsx.utils.sheet_to_json(sheet);
+// Refuse changes that would leave nobody able to administer the portal
+async function isLastActiveAdmin(email) {
+  const others = await User.countDocuments({
+    role: 'admin',
+    disabled: { $ne: true },
+    email: { $ne: email }
+  });
+  return others === 0;
+}
 
-    const teachers = [];
-    const emails = [];
+// List admins - GET /api/admin/admins
+app.get('/api/admin/admins', requireRole('admin'), async (req, res) => {
+  try {
+    const admins = await User.find({ role: 'admin' })
+      .select('email name disabled invitedBy mustChangePassword createdAt')
+      .sort({ createdAt: 1 });
+    res.json({ admins });
+  } catch (err) {
+    console.error('List admins error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
 
-    for (const row of rows) {
-      if (!row.email) continue;
-      const email = String(row.email).toLowerCase().trim();
-      const passwordHash = await bcrypt.hash(String(row.password || 'password123'), 10);
+// Invite an admin - POST /api/admin/admins/invite
+// Creates the account with a temporary password (mailed + returned once).
+app.post('/api/admin/admins/invite', requireRole('admin'), async (req, res) => {
+  try {
+    const email = String(req.body.email || '').toLowerCase().trim();
+    const name = String(req.body.name || '').trim() || 'Admin';
+    if (!email) return res.status(400).json({ message: 'email is required' });
 
-      teachers.push({
-        email,
-        password: passwordHash,
-        name: row.name || 'Teacher',
-        dept: row.dept,
-        role: 'teacher'
-      });
-      emails.push(email);
+    if (await User.exists({ email })) {
+      return res.status(409).json({ message: 'An account with this email already exists' });
     }
 
-    await User.deleteMany({ email: { $in: emails } });
-    const result = await User.insertMany(teachers);
-
-    fs.unlinkSync(req.file.path);
+    const temporaryPassword = crypto.randomBytes(9).toString('base64url');
+    await User.create({
+      email,
+      password: await bcrypt.hash(temporaryPassword, 10),
+      name,
+      role: 'admin',
+      invitedBy: req.user.email,
+      mustChangePassword: true
+    });
 
-    res.json({
-      message: `${result.length} teachers processed`,
-      insertedCount: result.length
+    await sendMail({
+      to: email,
+      subject: 'You have been invited as a CMRIT Portal admin',
+      text:
+        `Hi ${name},\n\n` +
+        `${req.user.email} added you as an administrator of the CMRIT Portal.\n` +
+        `Temporary password: ${temporaryPassword}\n\n` +
+        `You will be asked to choose a new password when you first log in.`
     });
+
+    res.status(201).json({ message: `Admin ${email} invited`, email, temporaryPassword });
   } catch (err) {
-    console.error('Upload teachers error:', err);
+    console.error('Invite admin error:', err);
     res.status(500).json({ message: err.message });
   }
 });
 
-// Get all students and teachers
-app.get('/api/admin/list-users', async (req, res) => {
+// Disable / re-enable an admin - PATCH /api/admin/admins/:email
+app.patch('/api/admin/admins/:email', requireRole('admin'), async (req, res) => {
   try {
-    const students = await User.find({ role: 'student' }).select(
-      'email name rollNo mentorTeacherEmail'
-    );
-    const teachers = await User.find({ role: 'teacher' }).select(
-      'email name dept'
-    );
-    res.json({ students, teachers });
+    const email = String(req.params.email).toLowerCase().trim();
+    const { disabled } = req.body;
+    if (typeof disabled !== 'boolean')
+      return res.status(400).json({ message: 'disabled (true/false) is required' });
+
+    const admin = await User.findOne({ email, role: 'admin' });
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+
+    if (disabled) {
+      if (email === req.user.email) return forbid(res, 'You cannot disable your own account');
+      if (await isLastActiveAdmin(email)) return forbid(res, 'Cannot disable the last active admin');
+    }
+
+    admin.disabled = disabled;
+    await admin.save();
+    if (disabled) await revokeAllSessions(email);
+
+    res.json({ message: `Admin ${email} ${disabled ? 'disabled' : 'enabled'}` });
   } catch (err) {
-    console.error('List users error:', err);
-    res.status(500).json({ message: 'Failed to load users' });
+    console.error('Update admin error:', err);
+    res.status(500).json({ message: err.message });
+  }
+});
+
+// Remove an admin - DELETE /api/admin/admins/:email
+app.delete('/api/admin/admins/:email', requireRole('admin'), async (req, res) => {
+  try {
+    const email = String(req.params.email).toLowerCase().trim();
+
+    const admin = await User.findOne({ email, role: 'admin' });
+    if (!admin) return res.status(404).json({ message: 'Admin not found' });
+
+    if (email === req.user.email) return forbid(res, 'You cannot remove your own account');
+    if (await isLastActiveAdmin(email)) return forbid(res, 'Cannot remove the last active admin');
+
+    await User.deleteOne({ _id: admin._id });
+    await revokeAllSessions(email);
+
+    res.json({ message: `Admin ${email} removed` });
+  } catch (err) {
+    console.error('Remove admin error:', err);
+    res.status(500).json({ message: err.message });
   }
 });
 
 // ---------- ONE-TIME TEST DATA ROUTE (OPTIONAL) ----------
 
-app.post('/api/setup-test-data', async (req, res) => {
+// Admin-only and never in production: it resets two accounts to DEFAULT_PASSWORD
+app.post('/api/setup-test-data', requireAuth, requireRole('admin'), async (req, res) => {
+  if (process.env.NODE_ENV === 'production') {
+    return res.status(404).json({ error: 'Route not found' });
+  }
   try {
     await User.deleteMany({
       email: { $in: ['student@cmrit.ac.in', 'teacher@cmrit.ac.in'] }
@@ -519,24 +722,26 @@ app.post('/api/setup-test-data', async (req, res) => {
     await User.insertMany([
       {
         email: 'student@cmrit.ac.in',
-        password: await bcrypt.hash('password123', 10),
+        password: await bcrypt.hash(DEFAULT_PASSWORD, 10),
         name: 'Test Student',
         rollNo: '21CS001',
         role: 'student',
-        mentorTeacherEmail: 'teacher@cmrit.ac.in'
+        mentorTeacherEmail: 'teacher@cmrit.ac.in',
+        mustChangePassword: true
       },
       {
         email: 'teacher@cmrit.ac.in',
-        password: await bcrypt.hash('password123', 10),
+        password: await bcrypt.hash(DEFAULT_PASSWORD, 10),
         name: 'Test Teacher',
         dept: 'CSE',
-        role: 'teacher'
+        role: 'teacher',
+        mustChangePassword: true
       }
     ]);
 
     res.json({
       message: 'Test data created',
-      studentLogin: "student@cmrit.ac.in / password123"
+      studentLogin: `student@cmrit.ac.in / ${DEFAULT_PASSWORD}`
     });
   } catch (err) {
     res.status(500).json({ message: err.message });
@@ -0,0 +1,162 @@
+// storage.js - Pluggable file storage for uploads (local disk or S3-compatible)
+//
+// Files are addressed by a key such as "uploads/<file>" or "exam_uploads/<file>".
+// The local driver keeps the key as a path under the app directory, so files
+// written before this module existed keep their keys. Pick the backend with
+// STORAGE_DRIVER=local|s3; the S3 driver also works against MinIO via S3_ENDPOINT.
+// Nothing is served straight from the backend: downloads go through the
+// signed links in files.js.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+const LOCAL_ROOT = __dirname;
+const KEY_FOLDERS = ["uploads", "exam_uploads"];
+
+// Keys name a file inside one of KEY_FOLDERS and never climb out of it
+function safeKey(key) {
+  const normalized = path.posix.normalize(String(key || "")).replace(/^\/+/, "");
+  const resolved = path.resolve(LOCAL_ROOT, normalized);
+  const inFolder = KEY_FOLDERS.some((folder) => resolved.startsWith(path.join(LOCAL_ROOT, folder) + path.sep));
+  if (!inFolder) throw new Error(`Invalid storage key "${key}"`);
+  return normalized;
+}
+
+// Read a whole stream (e.g. storage.get) into memory; only for size-capped files
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (c) => chunks.push(c));
+    stream.on("error", reject);
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+  });
+}
+
+/* ---------------------------
+1) Drivers
+Each driver: put(key, stream|buffer, { contentType }) -> { key, size },
+get(key) -> readable stream, remove(key), exists(key)
+---------------------------- */
+
+function localDriver({ root = LOCAL_ROOT } = {}) {
+  const fullPath = (key) => path.join(root, safeKey(key));
+
+  return {
+    name: "local",
+    async put(key, body) {
+      const target = fullPath(key);
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      if (Buffer.isBuffer(body)) {
+        await fs.promises.writeFile(target, body);
+      } else {
+        await new Promise((resolve, reject) => {
+          const out = fs.createWriteStream(target);
+          body.on("error", reject);
+          out.on("error", reject);
+          out.on("finish", resolve);
+          body.pipe(out);
+        });
+      }
+      const { size } = await fs.promises.stat(target);
+      return { key: safeKey(key), size, path: target };
+    },
+    async get(key) {
+      const target = fullPath(key);
+      await fs.promises.access(target);
+      return fs.createReadStream(target);
+    },
+    async remove(key) {
+      await fs.promises.rm(fullPath(key), { force: true });
+    },
+    async exists(key) {
+      return fs.promises.access(fullPath(key)).then(() => true, () => false);
+    },
+  };
+}
+
+function s3Driver({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || "us-east-1",
+  endpoint = process.env.S3_ENDPOINT, // e.g. http://localhost:9000 for MinIO
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+} = {}) {
+  if (!bucket) throw new Error("S3_BUCKET is required for the s3 storage driver");
+
+  const client = new S3Client({
+    region,
+    endpoint: endpoint || undefined,
+    forcePathStyle: Boolean(endpoint), // MinIO and most self-hosted S3 need path-style URLs
+    credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+  });
+
+  return {
+    name: "s3",
+    client,
+    bucket,
+    async put(key, body, { contentType } = {}) {
+      // Uploads are size-capped by multer, so buffering gives S3 the Content-Length it needs
+      const buffer = Buffer.isBuffer(body) ? body : await streamToBuffer(body);
+      await client.send(
+        new PutObjectCommand({ Bucket: bucket, Key: safeKey(key), Body: buffer, ContentType: contentType })
+      );
+      return { key: safeKey(key), size: buffer.length };
+    },
+    async get(key) {
+      const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: safeKey(key) }));
+      return result.Body;
+    },
+    async remove(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: safeKey(key) }));
+    },
+    async exists(key) {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: safeKey(key) }));
+        return true;
+      } catch (err) {
+        if (err?.$metadata?.httpStatusCode === 404) return false;
+        throw err;
+      }
+    },
+  };
+}
+
+const DRIVERS = { local: localDriver, s3: s3Driver };
+
+function createDriver(name, options) {
+  const factory = DRIVERS[String(name || "local").toLowerCase()];
+  if (!factory) throw new Error(`Unknown storage driver "${name}" (use ${Object.keys(DRIVERS).join(" or ")})`);
+  return factory(options);
+}
+
+// The app-wide backend
+const storage = createDriver(process.env.STORAGE_DRIVER || "local");
+
+// "<timestamp>-<random><ext>"; callers pass an extension they have verified
+const newFileName = (ext) => `${Date.now()}-${crypto.randomInt(1e9)}${ext}`;
+
+// Key of a file recorded before keys were stored, from its old static URL:
+// "/uploads/1.png" or "https://host/exam_uploads/1.pdf" -> "uploads/1.png" / "exam_uploads/1.pdf"
+function keyFromUrl(url) {
+  const match = String(url || "").match(/\/((?:exam_)?uploads\/[^/?#]+)/);
+  return match ? match[1] : null;
+}
+
+// Best-effort cleanup of uploaded files (multer files or plain keys) a request ended up rejecting
+function discardUploads(files) {
+  [files].flat().filter(Boolean).forEach((f) =>
+    storage
+      .remove(typeof f === "string" ? f : f.key)
+      .catch((err) => console.error("storage cleanup error:", err?.message))
+  );
+}
+
+module.exports = { storage, createDriver, newFileName, keyFromUrl, discardUploads, safeKey, streamToBuffer };
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { User, Attendance } = require("../models");
+const { router, studentSubjectAttendance } = require("../attendance");
+const { fakeQuery, startServer } = require("./helpers");
+
+const GROUPS = [
+  { _id: { studentEmail: "a@cmrit.ac.in", subject: "CN" }, total: 4, present: 4, excused: 0, onDuty: 0 },
+  { _id: { studentEmail: "a@cmrit.ac.in", subject: "DBMS" }, total: 10, present: 6, excused: 2, onDuty: 0 },
+];
+
+test("studentSubjectAttendance: per-subject and overall stats with classes needed", async (t) => {
+  const aggregate = t.mock.method(Attendance, "aggregate", async () => GROUPS);
+  const result = await studentSubjectAttendance("a@cmrit.ac.in", { from: "2025-01-01", threshold: 75 });
+
+  const [match] = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual(match, { $match: { date: { $gte: "2025-01-01" }, studentEmail: "a@cmrit.ac.in" } });
+
+  const dbms = result.subjects.find((s) => s.subject === "DBMS");
+  assert.deepEqual(dbms, {
+    subject: "DBMS",
+    total: 10,
+    present: 6,
+    absent: 2,
+    excused: 2,
+    onDuty: 0,
+    percentage: 60,
+    belowThreshold: true,
+    classesNeeded: 6, // (6 + 6) / (10 + 6) = 75%
+  });
+  assert.equal(result.overall.total, 14);
+  assert.equal(result.overall.percentage, 71.43);
+  assert.equal(result.overall.classesNeeded, 2);
+});
+
+test("excludeExcused takes excused classes out of the percentage", async (t) => {
+  t.mock.method(Attendance, "aggregate", async () => GROUPS);
+  const result = await studentSubjectAttendance("a@cmrit.ac.in", { threshold: 75, excludeExcused: true });
+
+  const dbms = result.subjects.find((s) => s.subject === "DBMS");
+  assert.equal(dbms.percentage, 75);
+  assert.equal(dbms.belowThreshold, false);
+  assert.equal(dbms.classesNeeded, 0);
+  assert.equal(result.overall.percentage, 83.33);
+});
+
+test("a 100% threshold cannot be reached after a missed class", async (t) => {
+  t.mock.method(Attendance, "aggregate", async () => GROUPS);
+  const result = await studentSubjectAttendance("a@cmrit.ac.in", { threshold: 100 });
+  assert.equal(result.subjects.find((s) => s.subject === "DBMS").classesNeeded, null);
+  assert.equal(result.subjects.find((s) => s.subject === "CN").classesNeeded, 0);
+});
+
+test("studentSubjectAttendance rejects malformed dates without querying", async (t) => {
+  const aggregate = t.mock.method(Attendance, "aggregate", async () => []);
+  const result = await studentSubjectAttendance("a@cmrit.ac.in", { to: "2025/03/01" });
+  assert.match(result.error, /YYYY-MM-DD/);
+  assert.equal(aggregate.mock.callCount(), 0);
+});
+
+test("shortages lists mentees below the threshold overall or in a subject, worst first", async (t) => {
+  t.mock.method(Attendance, "aggregate", async () => [
+    {
+      _id: "fine@cmrit.ac.in",
+      total: 10,
+      present: 10,
+      excused: 0,
+      onDuty: 0,
+      subjects: [{ subject: "DBMS", total: 10, present: 10, excused: 0, onDuty: 0 }],
+    },
+    {
+      _id: "one-subject@cmrit.ac.in",
+      total: 20,
+      present: 17,
+      excused: 0,
+      onDuty: 0,
+      subjects: [
+        { subject: "CN", total: 10, present: 10, excused: 0, onDuty: 0 },
+        { subject: "DBMS", total: 10, present: 7, excused: 0, onDuty: 0 },
+      ],
+    },
+    {
+      _id: "low@cmrit.ac.in",
+      total: 10,
+      present: 5,
+      excused: 0,
+      onDuty: 0,
+      subjects: [{ subject: "DBMS", total: 10, present: 5, excused: 0, onDuty: 0 }],
+    },
+  ]);
+  t.mock.method(User, "find", () =>
+    fakeQuery([{ email: "low@cmrit.ac.in", name: "Low", rollNo: "1CR21CS009" }])
+  );
+  const base = await startServer(t, (app) => app.use("/api/attendance", router), {
+    user: { role: "teacher", email: "mentor@cmrit.ac.in" },
+  });
+
+  const res = await fetch(`${base}/api/attendance/shortages?threshold=75`);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+
+  assert.equal(body.count, 2);
+  assert.deepEqual(
+    body.students.map((s) => [s.studentEmail, s.overall.percentage, s.subjectsBelowThreshold.map((x) => x.subject)]),
+    [
+      ["low@cmrit.ac.in", 50, ["DBMS"]],
+      ["one-subject@cmrit.ac.in", 85, ["DBMS"]],
+    ]
+  );
+  assert.equal(body.students[0].rollNo, "1CR21CS009");
+
+  assert.equal((await fetch(`${base}/api/attendance/shortages?threshold=0`)).status, 400);
+});
@@ -0,0 +1,187 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Attendance, AttendanceRevision } = require("../models");
+const { router, writeAttendanceSlot } = require("../attendance");
+const { fakeQuery, startServer } = require("./helpers");
+
+const KEY = { mentorTeacherEmail: "mentor@cmrit.ac.in", date: "2025-03-10", slot: 2 };
+const teacher = { role: "teacher", email: "mentor@cmrit.ac.in" };
+
+// Every store call yields once, so concurrent writes really interleave
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+const sameSlot = (doc, key) =>
+  doc.mentorTeacherEmail === key.mentorTeacherEmail && doc.date === key.date && doc.slot === key.slot;
+
+/**
+ * In-memory Attendance + AttendanceRevision, including the unique
+ * { mentorTeacherEmail, date, slot, version } index.
+ */
+function fakeDb(t, { records = [] } = {}) {
+  const attendance = records.map((r) => ({ ...KEY, ...r }));
+  const revisions = [];
+
+  t.mock.method(Attendance, "find", (key) =>
+    fakeQuery(tick().then(() => attendance.filter((r) => sameSlot(r, key)).map((r) => ({ ...r }))))
+  );
+  t.mock.method(Attendance, "bulkWrite", async (ops) => {
+    await tick();
+    for (const op of ops) {
+      if (op.updateOne) {
+        const { filter, update } = op.updateOne;
+        let doc = attendance.find((r) => sameSlot(r, filter) && r.studentEmail === filter.studentEmail);
+        if (!doc) attendance.push((doc = { ...filter }));
+        Object.assign(doc, update.$set);
+      } else {
+        const { filter } = op.deleteMany;
+        const keep = attendance.filter((r) => !sameSlot(r, filter) || filter.studentEmail.$nin.includes(r.studentEmail));
+        attendance.splice(0, attendance.length, ...keep);
+      }
+    }
+  });
+
+  t.mock.method(AttendanceRevision, "findOne", (query) =>
+    fakeQuery(
+      tick().then(() => {
+        const matching = revisions.filter(
+          (r) => sameSlot(r, query) && (query.version === undefined || r.version === query.version)
+        );
+        return matching.sort((a, b) => b.version - a.version)[0] || null;
+      })
+    )
+  );
+  t.mock.method(AttendanceRevision, "create", async (doc) => {
+    await tick();
+    if (revisions.some((r) => sameSlot(r, doc) && r.version === doc.version)) {
+      throw Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+    }
+    const saved = { _id: `rev${revisions.length + 1}`, ...doc };
+    revisions.push(saved);
+    return saved;
+  });
+  t.mock.method(AttendanceRevision, "deleteOne", async ({ _id }) => {
+    revisions.splice(revisions.findIndex((r) => r._id === _id), 1);
+  });
+
+  const statuses = () =>
+    Object.fromEntries(
+      attendance
+        .filter((r) => sameSlot(r, KEY))
+        .sort((a, b) => a.studentEmail.localeCompare(b.studentEmail))
+        .map((r) => [r.studentEmail, r.status])
+    );
+  return { attendance, revisions, statuses };
+}
+
+const mark = (records, extra = {}) =>
+  writeAttendanceSlot({ ...KEY, subject: "DBMS", section: "CSE-5A", records, actor: teacher, ...extra });
+
+test("each write is a new version holding the changes and the full register", async (t) => {
+  const { revisions, statuses } = fakeDb(t);
+
+  const first = await mark([
+    { studentEmail: "A@cmrit.ac.in", status: "present" },
+    { studentEmail: "b@cmrit.ac.in", status: "absent" },
+  ]);
+  assert.equal(first.version, 1);
+  assert.equal(first.changes.length, 2);
+
+  const second = await mark([{ studentEmail: "a@cmrit.ac.in", status: "absent" }]);
+  assert.equal(second.version, 2);
+  assert.deepEqual(second.changes, [
+    { studentEmail: "a@cmrit.ac.in", previousStatus: "present", newStatus: "absent" },
+    { studentEmail: "b@cmrit.ac.in", previousStatus: "absent", newStatus: null },
+  ]);
+  assert.deepEqual(statuses(), { "a@cmrit.ac.in": "absent" });
+
+  // Same register again: nothing to record
+  assert.equal(await mark([{ studentEmail: "a@cmrit.ac.in", status: "absent" }]), null);
+  assert.equal(revisions.length, 2);
+});
+
+test("partial writes keep the students they do not list", async (t) => {
+  const { statuses } = fakeDb(t);
+  await mark([
+    { studentEmail: "a@cmrit.ac.in", status: "absent" },
+    { studentEmail: "b@cmrit.ac.in", status: "absent" },
+  ]);
+
+  const revision = await mark([{ studentEmail: "b@cmrit.ac.in", status: "excused" }], { action: "leave", replace: false });
+  assert.equal(revision.action, "leave");
+  assert.deepEqual(statuses(), { "a@cmrit.ac.in": "absent", "b@cmrit.ac.in": "excused" });
+});
+
+test("slots marked before history existed get a baseline version first", async (t) => {
+  const { revisions } = fakeDb(t, {
+    records: [{ studentEmail: "a@cmrit.ac.in", status: "present", subject: "DBMS", section: "CSE-5A" }],
+  });
+
+  const revision = await mark([{ studentEmail: "a@cmrit.ac.in", status: "absent" }]);
+  assert.equal(revision.version, 2);
+  assert.deepEqual(
+    revisions.map((r) => [r.version, r.action, r.actorEmail]),
+    [
+      [1, "baseline", "system"],
+      [2, "mark", "mentor@cmrit.ac.in"],
+    ]
+  );
+});
+
+test("concurrent writes to one slot both land in the history, in order", async (t) => {
+  const { revisions, statuses } = fakeDb(t);
+
+  const [one, two] = await Promise.all([
+    mark([{ studentEmail: "a@cmrit.ac.in", status: "present" }]),
+    mark([{ studentEmail: "a@cmrit.ac.in", status: "absent" }]),
+  ]);
+
+  assert.deepEqual([one.version, two.version].sort(), [1, 2]);
+  assert.equal(revisions.length, 2);
+  const [older, newer] = [one, two].sort((a, b) => a.version - b.version);
+  // The later version is computed on top of the earlier one
+  assert.deepEqual(newer.changes, [
+    { studentEmail: "a@cmrit.ac.in", previousStatus: older.snapshot[0].status, newStatus: newer.snapshot[0].status },
+  ]);
+  assert.deepEqual(statuses(), { "a@cmrit.ac.in": newer.snapshot[0].status });
+});
+
+test("a failed record write leaves no revision behind", async (t) => {
+  const { revisions } = fakeDb(t);
+  t.mock.method(Attendance, "bulkWrite", async () => {
+    throw new Error("write failed");
+  });
+
+  await assert.rejects(mark([{ studentEmail: "a@cmrit.ac.in", status: "present" }]), /write failed/);
+  assert.equal(revisions.length, 0);
+});
+
+test("rollback restores an earlier register as a new version", async (t) => {
+  const { statuses } = fakeDb(t);
+  await mark([
+    { studentEmail: "a@cmrit.ac.in", status: "present" },
+    { studentEmail: "b@cmrit.ac.in", status: "present" },
+  ]);
+  await mark([{ studentEmail: "a@cmrit.ac.in", status: "absent" }], { subject: "CN" });
+
+  const base = await startServer(t, (app) => app.use("/api/attendance", router), {
+    user: { role: "admin", email: "admin@cmrit.ac.in" },
+  });
+  const rollback = (version) =>
+    fetch(`${base}/api/attendance/history/rollback`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ ...KEY, version }),
+    });
+
+  let res = await rollback(1);
+  assert.equal(res.status, 200);
+  const { revision } = await res.json();
+  assert.equal(revision.version, 3);
+  assert.equal(revision.action, "rollback");
+  assert.equal(revision.rolledBackTo, 1);
+  assert.equal(revision.subject, "DBMS");
+  assert.deepEqual(statuses(), { "a@cmrit.ac.in": "present", "b@cmrit.ac.in": "present" });
+
+  res = await rollback(1);
+  assert.equal((await res.json()).revision, null);
+  assert.equal((await rollback(9)).status, 404);
+});
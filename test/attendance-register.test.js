@@ -0,0 +1,101 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const xlsx = require("xlsx");
+const { User, Attendance } = require("../models");
+const { router } = require("../attendance");
+const { fakeQuery, startServer } = require("./helpers");
+
+const teacher = { role: "teacher", email: "mentor@cmrit.ac.in" };
+const admin = { role: "admin", email: "admin@cmrit.ac.in" };
+
+const RECORDS = [
+  { studentEmail: "b@cmrit.ac.in", date: "2025-03-11", slot: 1, status: "absent", subject: "DBMS" },
+  { studentEmail: "a@cmrit.ac.in", date: "2025-03-11", slot: 1, status: "present", subject: "DBMS" },
+  { studentEmail: "a@cmrit.ac.in", date: "2025-03-10", slot: 2, status: "excused", subject: "DBMS" },
+  { studentEmail: "a@cmrit.ac.in", date: "2025-03-10", slot: 10, status: "present", subject: "DBMS" },
+];
+const MENTEES = [
+  { email: "a@cmrit.ac.in", name: "Asha", rollNo: "1CR21CS001" },
+  { email: "b@cmrit.ac.in", name: "Bala", rollNo: "1CR21CS002" },
+  { email: "c@cmrit.ac.in", name: "Chitra", rollNo: "1CR21CS003" },
+];
+
+function fakeDb(t) {
+  const queries = { attendance: [], users: [] };
+  t.mock.method(Attendance, "find", (query) => {
+    queries.attendance.push(query);
+    return fakeQuery(RECORDS);
+  });
+  t.mock.method(User, "find", (query) => {
+    queries.users.push(query);
+    return fakeQuery(MENTEES);
+  });
+  return queries;
+}
+
+const startApi = (t, user) => startServer(t, (app) => app.use("/api/attendance", router), { user });
+
+test("CSV register: one row per mentee, columns in date/slot order, totals", async (t) => {
+  const queries = fakeDb(t);
+  const base = await startApi(t, teacher);
+
+  const res = await fetch(`${base}/api/attendance/register?format=csv&subject=DBMS&from=2025-03-01`);
+  assert.equal(res.status, 200);
+  assert.match(res.headers.get("content-type"), /^text\/csv/);
+  assert.equal(
+    res.headers.get("content-disposition"),
+    'attachment; filename="attendance-register_mentor_DBMS_2025-03-01.csv"'
+  );
+
+  assert.deepEqual(queries.attendance, [
+    { mentorTeacherEmail: "mentor@cmrit.ac.in", subject: "DBMS", date: { $gte: "2025-03-01" } },
+  ]);
+  assert.deepEqual(
+    (await res.text()).split("\n"),
+    [
+      "Roll No,Name,Email,2025-03-10 S2,2025-03-10 S10,2025-03-11 S1,Present,Total,Percentage",
+      "1CR21CS001,Asha,a@cmrit.ac.in,E,P,P,2,3,66.67",
+      "1CR21CS002,Bala,b@cmrit.ac.in,,,A,0,1,0",
+      "1CR21CS003,Chitra,c@cmrit.ac.in,,,,0,0,0",
+    ]
+  );
+});
+
+test("xlsx register names the subject per column when exporting every subject", async (t) => {
+  fakeDb(t);
+  const base = await startApi(t, admin);
+
+  const res = await fetch(`${base}/api/attendance/register?mentorTeacherEmail=mentor@cmrit.ac.in`);
+  assert.equal(res.status, 200);
+  const workbook = xlsx.read(Buffer.from(await res.arrayBuffer()), { type: "buffer" });
+  const [header] = xlsx.utils.sheet_to_json(workbook.Sheets.Register, { header: 1 });
+  assert.deepEqual(header.slice(3, 6), ["2025-03-10 S2 (DBMS)", "2025-03-10 S10 (DBMS)", "2025-03-11 S1 (DBMS)"]);
+});
+
+test("register rejects bad input and other mentors' registers", async (t) => {
+  const queries = fakeDb(t);
+  const teacherBase = await startApi(t, teacher);
+  const adminBase = await startApi(t, admin);
+
+  const cases = [
+    [`${teacherBase}/api/attendance/register?format=pdf`, 400],
+    [`${teacherBase}/api/attendance/register?from=10-03-2025`, 400],
+    [`${teacherBase}/api/attendance/register?mentorTeacherEmail=other@cmrit.ac.in`, 403],
+    [`${adminBase}/api/attendance/register`, 400], // admins name a mentor or a subject
+  ];
+  for (const [url, status] of cases) {
+    assert.equal((await fetch(url)).status, status, url);
+  }
+  assert.equal(queries.attendance.length, 0);
+});
+
+test("an admin's subject-wide export lists the students found in the records", async (t) => {
+  const queries = fakeDb(t);
+  const base = await startApi(t, admin);
+
+  const res = await fetch(`${base}/api/attendance/register?subject=DBMS&format=csv`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(queries.attendance, [{ subject: "DBMS" }]);
+  assert.deepEqual(queries.users, [{ role: "student", email: { $in: ["b@cmrit.ac.in", "a@cmrit.ac.in"] } }]);
+  await res.text();
+});
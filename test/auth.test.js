@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const jwt = require("jsonwebtoken");
+
+process.env.JWT_ACCESS_SECRET = "test-access-secret";
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+
+const { User } = require("../models");
+const { router, requireAuth, issueSession } = require("../auth");
+const { fakeQuery, startServer } = require("./helpers");
+
+const RefreshToken = mongoose.models.RefreshToken;
+const student = { email: "student@cmrit.ac.in", role: "student", name: "Test Student", rollNo: "1CR21CS001" };
+
+/**
+ * In-memory stand-ins for the User and RefreshToken queries auth.js makes.
+ * Returns { tokens, users } to inspect and adjust.
+ */
+function fakeDb(t) {
+  const tokens = new Map();
+  const users = new Map([[student.email, { ...student }]]);
+  const findUser = ({ email }) => users.get(email) || null;
+
+  t.mock.method(User, "findOne", (query) => fakeQuery(findUser(query)));
+  t.mock.method(RefreshToken, "create", async (doc) => {
+    tokens.set(doc.jti, { ...doc, revokedAt: null, save: async () => {} });
+  });
+  t.mock.method(RefreshToken, "findOne", async ({ jti }) => tokens.get(jti) || null);
+  t.mock.method(RefreshToken, "updateMany", async ({ email }, update) => {
+    for (const doc of tokens.values()) {
+      if (doc.email === email && !doc.revokedAt) doc.revokedAt = update.$set.revokedAt;
+    }
+  });
+  return { tokens, users };
+}
+
+async function startApi(t) {
+  const base = await startServer(t, (app) => {
+    app.use("/api/auth", router);
+    app.get("/api/me", requireAuth, (req, res) => res.json(req.user));
+  });
+
+  return {
+    refresh: (refreshToken) =>
+      fetch(`${base}/api/auth/refresh`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ refreshToken }),
+      }),
+    me: (accessToken) => fetch(`${base}/api/me`, { headers: { Authorization: `Bearer ${accessToken}` } }),
+  };
+}
+
+test("refresh rotates the token pair and revokes the used refresh token", async (t) => {
+  const { tokens } = fakeDb(t);
+  const api = await startApi(t);
+
+  const first = await issueSession(student);
+  const res = await api.refresh(first.refreshToken);
+  assert.equal(res.status, 200);
+  const second = await res.json();
+
+  assert.notEqual(second.refreshToken, first.refreshToken);
+  assert.ok(tokens.get(jwt.decode(first.refreshToken).jti).revokedAt);
+  assert.equal(tokens.get(jwt.decode(second.refreshToken).jti).revokedAt, null);
+
+  const me = await api.me(second.accessToken);
+  assert.equal(me.status, 200);
+  assert.equal((await me.json()).rollNo, "1CR21CS001");
+});
+
+test("replaying a rotated refresh token ends every session of the user", async (t) => {
+  const { tokens } = fakeDb(t);
+  const api = await startApi(t);
+
+  const first = await issueSession(student);
+  const second = await (await api.refresh(first.refreshToken)).json();
+
+  const replay = await api.refresh(first.refreshToken);
+  assert.equal(replay.status, 401);
+  assert.equal((await replay.json()).message, "Refresh token already used");
+
+  assert.ok(tokens.get(jwt.decode(second.refreshToken).jti).revokedAt);
+  assert.equal((await api.refresh(second.refreshToken)).status, 401);
+});
+
+test("refresh rejects unknown, forged and disabled-account tokens", async (t) => {
+  const { users } = fakeDb(t);
+  const api = await startApi(t);
+
+  const unknown = jwt.sign({ sub: student.email, role: "student", jti: "nope" }, process.env.JWT_REFRESH_SECRET);
+  assert.equal((await api.refresh(unknown)).status, 401);
+
+  const forged = jwt.sign({ sub: student.email, role: "student", jti: "x" }, "wrong-secret");
+  assert.equal((await api.refresh(forged)).status, 401);
+
+  const session = await issueSession(student);
+  users.get(student.email).disabled = true;
+  const res = await api.refresh(session.refreshToken);
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).type, "ACCOUNT_DISABLED");
+});
+
+test("access tokens stop working once the account is disabled or its password changes", async (t) => {
+  const { users } = fakeDb(t);
+  const api = await startApi(t);
+  const { accessToken } = await issueSession(student);
+
+  assert.equal((await api.me(accessToken)).status, 200);
+
+  users.get(student.email).disabled = true;
+  assert.equal((await api.me(accessToken)).status, 403);
+
+  users.get(student.email).disabled = false;
+  users.get(student.email).passwordChangedAt = new Date(Date.now() + 2000);
+  assert.equal((await api.me(accessToken)).status, 401);
+
+  users.delete(student.email);
+  assert.equal((await api.me(accessToken)).status, 401);
+});
+
+test("tokens with a pending password change only open change-password", async (t) => {
+  fakeDb(t);
+  const api = await startApi(t);
+  const { accessToken } = await issueSession({ ...student, mustChangePassword: true });
+
+  const res = await api.me(accessToken);
+  assert.equal(res.status, 403);
+  assert.equal((await res.json()).type, "PASSWORD_CHANGE_REQUIRED");
+});
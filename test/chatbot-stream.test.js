@@ -0,0 +1,104 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LLM_PROVIDER = "mock";
+
+const { ChatSession } = require("../chatsessions");
+const router = require("../chatbot");
+const { startServer } = require("./helpers");
+
+const teacher = { role: "teacher", email: "mentor@cmrit.ac.in" };
+
+// "event: x\ndata: {...}\n\n" blocks -> [{ event, data }]
+const parseEvents = (body) =>
+  body
+    .split("\n\n")
+    .filter(Boolean)
+    .map((block) => {
+      const [, event] = block.match(/^event: (.+)$/m);
+      const [, data] = block.match(/^data: (.+)$/m);
+      return { event, data: JSON.parse(data) };
+    });
+
+async function chat(t, path, body) {
+  const base = await startServer(t, (app) => app.use("/api/chatbot", router), { user: teacher });
+  const res = await fetch(`${base}/api/chatbot${path}`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  return { res, text: await res.text() };
+}
+
+test("the reply streams as delta events and ends with done", async (t) => {
+  const save = t.mock.method(ChatSession.prototype, "save", async function () {
+    return this;
+  });
+  const { res, text } = await chat(t, "/chat/stream", { message: "How do I raise a marks query?" });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "text/event-stream; charset=utf-8");
+  assert.equal(res.headers.get("cache-control"), "no-cache, no-transform");
+
+  const events = parseEvents(text);
+  const deltas = events.filter((e) => e.event === "delta");
+  const done = events.at(-1);
+  assert.ok(deltas.length > 1);
+  assert.equal(done.event, "done");
+  assert.equal(deltas.map((e) => e.data.text).join(""), done.data.response);
+  assert.match(done.data.response, /^Mock reply \(.+\): How do I raise a marks query\?$/);
+  assert.equal(done.data.title, "How do I raise a marks query?");
+  assert.deepEqual(done.data.toolsUsed, []);
+
+  // The turn is stored once, after the answer finished
+  assert.equal(save.mock.callCount(), 1);
+  const session = save.mock.calls[0].this;
+  assert.deepEqual(
+    session.messages.map((m) => [m.role, m.text]),
+    [
+      ["user", "How do I raise a marks query?"],
+      ["model", done.data.response],
+    ]
+  );
+  assert.equal(String(session._id), done.data.sessionId);
+});
+
+test("a model failure after the stream opened arrives as an error event", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const save = t.mock.method(ChatSession.prototype, "save", async function () {
+    return this;
+  });
+  const { res, text } = await chat(t, "/chat/stream", { message: "Busy? [429:7s]" });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(parseEvents(text), [
+    {
+      event: "error",
+      data: { message: "Rate limit exceeded. Please try again in 7s.", retryAfterMs: 7000, type: "RATE_LIMIT" },
+    },
+  ]);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test("bad requests are refused before the stream opens", async (t) => {
+  const { res, text } = await chat(t, "/chat/stream", { message: "  " });
+  assert.equal(res.status, 400);
+  assert.match(res.headers.get("content-type"), /^application\/json/);
+  assert.deepEqual(JSON.parse(text), { message: "Message required" });
+
+  const other = await chat(t, "/chat/stream", { message: "hi", sessionId: "not-an-id" });
+  assert.equal(other.res.status, 404);
+});
+
+test("the JSON route answers with the same text in one response", async (t) => {
+  t.mock.method(ChatSession.prototype, "save", async function () {
+    return this;
+  });
+  const { res, text } = await chat(t, "/chat", { message: "Hello" });
+
+  assert.equal(res.status, 200);
+  const body = JSON.parse(text);
+  assert.match(body.response, /^Mock reply \(.+\): Hello$/);
+  assert.deepEqual(body.toolsUsed, []);
+  assert.ok(body.sessionId);
+});
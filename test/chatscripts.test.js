@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+
+process.env.LLM_PROVIDER = "mock";
+process.env.EXAM_SUMMARY_MAX_SCRIPTS = "3";
+process.env.EXAM_SUMMARY_MAX_MB = "8";
+process.env.EXAM_SUMMARY_MAX_PAGES = "10";
+
+const { llm } = require("../llm");
+const { storage, streamToBuffer } = require("../storage");
+const { scriptParts } = require("../chatscripts");
+
+const MB = 1024 * 1024;
+const pdf = (size = 64) => Buffer.concat([Buffer.from("%PDF-1.4\n"), Buffer.alloc(size)]);
+const jpeg = (size) => Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(size)]);
+const png = () => Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+
+// Storage holding `files` by key
+function fakeStorage(t, files) {
+  t.mock.method(storage, "exists", async (key) => key in files);
+  t.mock.method(storage, "get", async (key) => Readable.from([files[key]]));
+}
+
+test("streamToBuffer collects a whole stream", async () => {
+  const stream = Readable.from([Buffer.from("ab"), Buffer.from("cd")]);
+  assert.equal((await streamToBuffer(stream)).toString(), "abcd");
+});
+
+test("scripts are attached inline or via the file API, within every cap", async (t) => {
+  fakeStorage(t, {
+    "exam_uploads/a.pdf": pdf(),
+    "exam_uploads/big.jpg": jpeg(5 * MB),
+    "exam_uploads/page.html": Buffer.from("<html><body>not a script</body></html>"),
+    "exam_uploads/long.pdf": pdf(),
+    "exam_uploads/c.png": png(),
+    "exam_uploads/d.png": png(),
+  });
+  t.mock.method(console, "error", () => {});
+  const deleteFile = t.mock.method(llm(), "deleteFile", async () => {});
+
+  const script = (_id, storageKey, fields) => ({ _id, storageKey, originalName: storageKey.split("/")[1], ...fields });
+  const result = await scriptParts([
+    script("s1", "exam_uploads/a.pdf", { pageCount: 2 }),
+    script("s2", "exam_uploads/big.jpg", { pageCount: 1 }),
+    script("s3", "exam_uploads/gone.pdf"),
+    script("s4", "exam_uploads/page.html"),
+    script("s5", "exam_uploads/long.pdf", { pageCount: 9 }),
+    script("s6", "exam_uploads/huge.pdf", { size: 9 * MB }),
+    script("s7", "exam_uploads/c.png", { pageCount: 1 }),
+    script("s8", "exam_uploads/d.png", { pageCount: 1 }),
+  ]);
+
+  assert.deepEqual(result.analysed, [
+    { scriptId: "s1", name: "a.pdf", pages: 2, via: "inline" },
+    { scriptId: "s2", name: "big.jpg", pages: 1, via: "file-api" },
+    { scriptId: "s7", name: "c.png", pages: 1, via: "inline" },
+  ]);
+  assert.deepEqual(
+    result.skipped.map((s) => [s.scriptId, s.reason]),
+    [
+      ["s3", "file missing from storage"],
+      ["s4", "not a PDF or image"],
+      ["s5", "over the 10-page per-request limit"],
+      ["s6", "over the 8MB per-request limit"],
+      ["s8", "over the limit of 3 scripts per request"],
+    ]
+  );
+
+  assert.deepEqual(result.parts[0], { inlineData: { mimeType: "application/pdf", data: pdf().toString("base64") } });
+  assert.deepEqual(result.parts[1], { fileData: { mimeType: "image/jpeg", fileUri: "mock://files/mock-1" } });
+  assert.equal(result.parts[2].inlineData.mimeType, "image/png");
+
+  await result.cleanup();
+  assert.deepEqual(deleteFile.mock.calls.map((c) => c.arguments[0]), ["files/mock-1"]);
+});
+
+test("a storage failure skips that script only", async (t) => {
+  t.mock.method(console, "error", () => {});
+  t.mock.method(storage, "exists", async () => true);
+  t.mock.method(storage, "get", async (key) => {
+    if (key.endsWith("broken.pdf")) throw new Error("read failed");
+    return Readable.from([pdf()]);
+  });
+
+  const result = await scriptParts([
+    { _id: "s1", fileName: "broken.pdf", pageCount: 1 },
+    { _id: "s2", fileName: "ok.pdf", pageCount: 1 },
+  ]);
+  assert.deepEqual(result.skipped, [{ scriptId: "s1", name: "broken.pdf", reason: "could not be read" }]);
+  assert.deepEqual(result.analysed, [{ scriptId: "s2", name: "ok.pdf", pages: 1, via: "inline" }]);
+});
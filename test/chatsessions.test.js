@@ -0,0 +1,99 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { router, ChatSession, titleFrom, compactHistory, historyForModel } = require("../chatsessions");
+const { startServer } = require("./helpers");
+
+// `count` alternating user/model turns of about `tokens` tokens each
+const turns = (count, tokens = 1000) =>
+  Array.from({ length: count }, (_, i) => ({ role: i % 2 ? "model" : "user", text: `${i}`.padEnd(tokens * 4, ".") }));
+
+const session = (messages, fields = {}) => ({ messages, summary: "", summarizedCount: 0, ...fields });
+
+test("histories within the token budget are replayed untouched", async (t) => {
+  const summarize = t.mock.fn(async () => "summary");
+  const s = session(turns(5));
+
+  await compactHistory(s, summarize);
+  assert.equal(summarize.mock.callCount(), 0);
+  assert.equal(s.summarizedCount, 0);
+  assert.deepEqual(historyForModel(s)[0], { role: "user", parts: [{ text: s.messages[0].text }] });
+});
+
+test("old turns are folded into the summary down to half the budget", async (t) => {
+  const summarize = t.mock.fn(async (previous, messages) => `${previous} ${messages.length} turns`);
+  const s = session(turns(10), { summary: "Earlier:" });
+
+  await compactHistory(s, summarize);
+  // 10 x 1000 tokens over a 6000 budget: the oldest four go, six recent turns stay
+  const [previous, folded] = summarize.mock.calls[0].arguments;
+  assert.equal(previous, "Earlier:");
+  assert.deepEqual(folded, s.messages.slice(0, 4));
+  assert.equal(s.summary, "Earlier: 4 turns");
+  assert.equal(s.summarizedCount, 4);
+
+  const history = historyForModel(s);
+  assert.equal(history.length, 6);
+  assert.equal(history[0].role, "user");
+});
+
+test("the replayed history always starts with a user turn", async () => {
+  const s = session(turns(11));
+  await compactHistory(s, async () => "summary");
+
+  // Six recent turns would start on a model reply, so one more is folded
+  assert.equal(s.summarizedCount, 6);
+  assert.equal(historyForModel(s)[0].role, "user");
+  assert.equal(historyForModel(s).length, 5);
+});
+
+test("the recent turns are kept even when they alone pass the budget", async (t) => {
+  const summarize = t.mock.fn(async () => "summary");
+  const s = session(turns(6, 2000));
+
+  await compactHistory(s, summarize);
+  assert.equal(summarize.mock.callCount(), 0);
+  assert.equal(s.summarizedCount, 0);
+});
+
+test("a failed summary drops the old turns and keeps the previous summary", async (t) => {
+  t.mock.method(console, "error", () => {});
+  const s = session(turns(10), { summary: "Earlier" });
+
+  await compactHistory(s, async () => {
+    throw new Error("model unavailable");
+  });
+  assert.equal(s.summary, "Earlier");
+  assert.equal(s.summarizedCount, 4);
+});
+
+test("titleFrom squeezes whitespace and shortens long first messages", () => {
+  assert.equal(titleFrom("  What is my\n attendance? "), "What is my attendance?");
+  const title = titleFrom("x".repeat(200));
+  assert.equal(title.length, 80);
+  assert.ok(title.endsWith("…"));
+});
+
+test("sessions are only found for their owner", async (t) => {
+  const findOne = t.mock.method(ChatSession, "findOne", async () => null);
+  const deleteOne = t.mock.method(ChatSession, "deleteOne", async () => ({ deletedCount: 0 }));
+  const base = await startServer(t, (app) => app.use("/api/chatbot/sessions", router), {
+    user: { role: "student", email: "a@cmrit.ac.in" },
+  });
+  const id = "65f000000000000000000001";
+
+  assert.equal((await fetch(`${base}/api/chatbot/sessions/${id}`)).status, 404);
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], { _id: id, ownerEmail: "a@cmrit.ac.in" });
+
+  // Malformed ids never reach the database
+  assert.equal((await fetch(`${base}/api/chatbot/sessions/not-an-id`)).status, 404);
+  assert.equal((await fetch(`${base}/api/chatbot/sessions/not-an-id`, { method: "DELETE" })).status, 404);
+  assert.equal(findOne.mock.callCount(), 1);
+  assert.equal(deleteOne.mock.callCount(), 0);
+
+  const res = await fetch(`${base}/api/chatbot/sessions/${id}`, {
+    method: "PATCH",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ title: "   " }),
+  });
+  assert.equal(res.status, 400);
+});
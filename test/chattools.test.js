@@ -0,0 +1,139 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.LLM_PROVIDER = "mock";
+
+const { User, ExamFolder, Attendance } = require("../models");
+const { ChatSession } = require("../chatsessions");
+const { studentTools } = require("../chattools");
+const chatbot = require("../chatbot");
+const { fakeQuery, startServer } = require("./helpers");
+
+const STUDENT = {
+  email: "a@cmrit.ac.in",
+  name: "Asha",
+  rollNo: "1CR21CS001",
+  dept: "CSE",
+  profile: { section: "5A", profileImageKey: "uploads/1.jpg" },
+};
+
+test("declares every tool without identity parameters", () => {
+  const [{ functionDeclarations }] = studentTools(STUDENT).tools;
+  assert.deepEqual(
+    functionDeclarations.map((d) => d.name),
+    ["get_attendance_summary", "get_attendance_by_subject", "get_exam_results", "get_profile"]
+  );
+  for (const d of functionDeclarations) {
+    const params = Object.keys(d.parameters?.properties || {});
+    assert.ok(!params.some((p) => /email|roll/i.test(p)), d.name);
+  }
+});
+
+test("unknown and inherited names are refused without calling anything", async (t) => {
+  const find = t.mock.method(ExamFolder, "find", () => fakeQuery([]));
+  const { run } = studentTools(STUDENT);
+
+  for (const name of ["delete_everything", "constructor", "toString", "__proto__", "hasOwnProperty", undefined]) {
+    assert.deepEqual(await run({ name, args: {} }), { error: `Unknown tool "${name}"` });
+  }
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test("exam results only cover the student's released folders", async (t) => {
+  const find = t.mock.method(ExamFolder, "find", () =>
+    fakeQuery([
+      {
+        examName: "IA-2",
+        examType: "internal",
+        semester: 5,
+        subjects: [{ subjectName: "DBMS", marksObtained: 40, maxMarks: 50 }],
+      },
+      { examName: "IA-1", examType: "internal", semester: 5, subjects: [] },
+    ])
+  );
+  const { run } = studentTools(STUDENT);
+
+  const result = await run({ name: "get_exam_results", args: { examName: "ia 2" } });
+  assert.deepEqual(result, {
+    exams: [
+      {
+        examName: "IA-2",
+        examType: "internal",
+        semester: 5,
+        subjects: [{ subjectName: "DBMS", marksObtained: 40, maxMarks: 50 }],
+      },
+    ],
+  });
+  const [query] = find.mock.calls[0].arguments;
+  assert.equal(query.studentRollNo, "1CR21CS001");
+  assert.equal(query.published, true);
+
+  assert.deepEqual(await run({ name: "get_exam_results", args: { examName: "SEE" } }), {
+    error: 'No released exam matching "SEE"',
+    knownExams: ["IA-2", "IA-1"],
+  });
+});
+
+test("attendance tools read the session student's records", async (t) => {
+  const aggregate = t.mock.method(Attendance, "aggregate", async () => [
+    { _id: { studentEmail: "a@cmrit.ac.in", subject: "DBMS Lab" }, total: 4, present: 3, excused: 0, onDuty: 0 },
+  ]);
+  const { run } = studentTools(STUDENT);
+
+  const summary = await run({ name: "get_attendance_summary", args: {} });
+  assert.equal(summary.total, 4);
+  assert.equal(summary.percentage, 75);
+  assert.equal(aggregate.mock.calls[0].arguments[0][0].$match.studentEmail, "a@cmrit.ac.in");
+
+  const bySubject = await run({ name: "get_attendance_by_subject", args: { subject: "dbms" } });
+  assert.deepEqual(bySubject.subjects.map((s) => s.subject), ["DBMS Lab"]);
+
+  assert.deepEqual(await run({ name: "get_attendance_by_subject", args: { subject: "Maths" } }), {
+    error: 'No attendance recorded for "Maths"',
+    knownSubjects: ["DBMS Lab"],
+  });
+  assert.match((await run({ name: "get_attendance_summary", args: { from: "01-01-2025" } })).error, /YYYY-MM-DD/);
+});
+
+test("profile leaves out image keys and failures come back as errors", async (t) => {
+  const { run } = studentTools(STUDENT);
+  assert.deepEqual(await run({ name: "get_profile" }), {
+    name: "Asha",
+    email: "a@cmrit.ac.in",
+    rollNo: "1CR21CS001",
+    dept: "CSE",
+    section: "5A",
+  });
+
+  t.mock.method(console, "error", () => {});
+  t.mock.method(ExamFolder, "find", () => {
+    throw new Error("connection lost");
+  });
+  assert.deepEqual(await run({ name: "get_exam_results", args: {} }), { error: "Could not load this data right now" });
+});
+
+test("the chatbot answers students from the tools the model calls", async (t) => {
+  t.mock.method(User, "findOne", () => fakeQuery(STUDENT));
+  t.mock.method(ChatSession.prototype, "save", async function () {
+    return this;
+  });
+  const base = await startServer(t, (app) => app.use("/api/chatbot", chatbot), {
+    user: { role: "student", email: "a@cmrit.ac.in" },
+  });
+  const ask = async (message) => {
+    const res = await fetch(`${base}/api/chatbot/chat`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ message }),
+    });
+    return res.json();
+  };
+
+  let body = await ask("Who am I? [tool:get_profile]");
+  assert.deepEqual(body.toolsUsed, ["get_profile"]);
+  assert.match(body.response, /^Mock answer from get_profile: \{"name":"Asha",/);
+
+  body = await ask("[tool:constructor]");
+  assert.deepEqual(body.toolsUsed, ["constructor"]);
+  assert.equal(body.response, 'Mock answer from constructor: {"error":"Unknown tool \\"constructor\\""}');
+});
@@ -0,0 +1,131 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const xlsx = require("xlsx");
+const { User, ExamFolder } = require("../models");
+const router = require("../exampaper");
+const { fakeQuery, startServer } = require("./helpers");
+
+const MENTEES = [
+  { email: "a@cmrit.ac.in", name: "Asha", rollNo: "1CR21CS001", mentorTeacherEmail: "mentor@cmrit.ac.in" },
+  { email: "b@cmrit.ac.in", name: "Bala", rollNo: "1CR21CS002", mentorTeacherEmail: "mentor@cmrit.ac.in" },
+  { email: "c@cmrit.ac.in", name: "Chitra", rollNo: "1CR21CS003", mentorTeacherEmail: "mentor@cmrit.ac.in" },
+  { email: "x@cmrit.ac.in", name: "Xavier", rollNo: "1CR21CS099", mentorTeacherEmail: "other@cmrit.ac.in" },
+];
+
+const GRID = [
+  ["rollNo", "DBMS", "CN"],
+  ["maxMarks", 50, 50],
+  ["1CR21CS001", 42, 38],
+  ["1CR21CS002", 51, "ab"],
+  ["1CR21CS002", 10, 10],
+  ["1CR21CS099", 40, 40],
+  ["1CR21CS404", 40, 40],
+  ["", 40, 40],
+  ["1CR21CS003", "", ""],
+];
+
+function sheetFile(grid) {
+  const workbook = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(workbook, xlsx.utils.aoa_to_sheet(grid), "Marks");
+  return new Blob([xlsx.write(workbook, { type: "buffer", bookType: "xlsx" })]);
+}
+
+// Asha already has an IA1 folder; everyone else would get a new one
+function fakeDb(t) {
+  t.mock.method(User, "find", () => fakeQuery(MENTEES));
+  const existing = new ExamFolder({
+    studentRollNo: "1CR21CS001",
+    mentorTeacherEmail: "mentor@cmrit.ac.in",
+    examName: "IA1",
+    studentEmail: "a@cmrit.ac.in",
+    subjects: [{ subjectName: "dbms", marksObtained: 10, maxMarks: 50 }],
+  });
+  t.mock.method(ExamFolder, "find", async () => [existing]);
+  return { existing, bulkSave: t.mock.method(ExamFolder, "bulkSave", async () => {}) };
+}
+
+async function upload(t, grid, fields = {}) {
+  const base = await startServer(t, (app) => app.use("/api/exams", router), {
+    user: { role: "teacher", email: "mentor@cmrit.ac.in" },
+  });
+  const form = new FormData();
+  form.append("file", sheetFile(grid), "marks.xlsx");
+  for (const [name, value] of Object.entries({ examName: "IA1", ...fields })) form.append(name, value);
+  const res = await fetch(`${base}/api/exams/teacher/upload-marks`, { method: "POST", body: form });
+  return { status: res.status, body: await res.json() };
+}
+
+test("upload-marks saves valid cells and reports every other row", async (t) => {
+  const { existing, bulkSave } = fakeDb(t);
+  const { status, body } = await upload(t, GRID, { semester: "5" });
+
+  assert.equal(status, 200);
+  assert.deepEqual(body.summary, { rows: 7, saved: 1, partial: 0, rejected: 5, skipped: 1 });
+
+  const byRow = Object.fromEntries(body.rows.map((r) => [r.row, r]));
+  assert.deepEqual(byRow[3].saved, ["DBMS", "CN"]);
+  assert.equal(byRow[3].folderId, String(existing._id));
+  assert.deepEqual(byRow[4].issues, ['DBMS: 51 is above maxMarks 50', 'CN: "ab" is not a number']);
+  assert.deepEqual(byRow[5].issues, ["Duplicate rollNo (also on row 4)"]);
+  assert.deepEqual(byRow[6].issues, ["Student is not your mentee"]);
+  assert.deepEqual(byRow[7].issues, ["Unknown rollNo"]);
+  assert.deepEqual(byRow[8].issues, ["Missing rollNo"]);
+  assert.equal(byRow[9].status, "skipped");
+
+  // Subject names match case-insensitively, so "dbms" is updated rather than duplicated
+  const [[saved]] = bulkSave.mock.calls[0].arguments;
+  assert.equal(saved, existing);
+  assert.equal(existing.semester, 5);
+  assert.deepEqual(
+    existing.subjects.map((s) => [s.subjectName, s.marksObtained]),
+    [
+      ["dbms", 42],
+      ["CN", 38],
+    ]
+  );
+});
+
+test("new folders are created as drafts", async (t) => {
+  const { bulkSave } = fakeDb(t);
+  const { body } = await upload(t, [GRID[0], GRID[1], ["1CR21CS002", 20, ""]]);
+
+  const [row] = body.rows;
+  assert.equal(row.folderCreated, true);
+  const [[created]] = bulkSave.mock.calls[0].arguments;
+  assert.equal(row.folderId, String(created._id));
+  assert.equal(created.published, false);
+  assert.equal(created.studentEmail, "b@cmrit.ac.in");
+});
+
+test("a dry run writes nothing and hands out no ids for folders it would create", async (t) => {
+  const { existing, bulkSave } = fakeDb(t);
+  const { body } = await upload(t, [GRID[0], GRID[1], GRID[2], ["1CR21CS002", 20, ""]], { dryRun: "true" });
+
+  assert.equal(body.dryRun, true);
+  assert.match(body.message, /^Dry run: 2 rows would be saved/);
+  assert.equal(bulkSave.mock.callCount(), 0);
+
+  const [update, create] = body.rows;
+  assert.equal(update.folderId, String(existing._id));
+  assert.equal(update.wouldCreate, undefined);
+  assert.equal(create.folderId, null);
+  assert.equal(create.wouldCreate, true);
+  assert.equal(create.folderCreated, undefined);
+});
+
+test("badly laid out sheets are rejected before any lookup", async (t) => {
+  const find = t.mock.method(User, "find", () => fakeQuery([]));
+  const cases = [
+    [[["email", "DBMS"], ["maxMarks", 50]], 'First header cell must be "rollNo"'],
+    [[["rollNo", "DBMS"], ["max", 50]], 'Second row must start with "maxMarks" and list max marks per subject'],
+    [[["rollNo", "DBMS", "dbms"], ["maxMarks", 50, 50]], 'Subject "dbms" appears twice in the header'],
+    [[["rollNo", "DBMS"], ["maxMarks", 0]], 'maxMarks for "DBMS" must be a positive number'],
+    [[["rollNo"], ["maxMarks"]], "No subject columns found in the header row"],
+  ];
+  for (const [grid, message] of cases) {
+    const { status, body } = await upload(t, grid);
+    assert.equal(status, 400);
+    assert.equal(body.message, message);
+  }
+  assert.equal(find.mock.callCount(), 0);
+});
@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { User, ExamFolder, releasedFolderFilter } = require("../models");
+const router = require("../exampaper");
+const { fakeQuery, startServer } = require("./helpers");
+
+const teacher = { role: "teacher", email: "mentor@cmrit.ac.in" };
+
+const startApi = (t, user) => startServer(t, (app) => app.use("/api/exams", router), { user });
+const post = (url, body) =>
+  fetch(url, { method: "POST", headers: { "Content-Type": "application/json" }, body: JSON.stringify(body) });
+
+// Stand-in for a loaded ExamFolder document
+function fakeFolder(fields) {
+  const folder = {
+    _id: "f1",
+    studentRollNo: "1CR21CS001",
+    mentorTeacherEmail: "mentor@cmrit.ac.in",
+    examName: "IA1",
+    subjects: [],
+    published: false,
+    releaseAt: null,
+    ...fields,
+    set(update) {
+      Object.assign(folder, update);
+    },
+    save: async () => folder,
+  };
+  return folder;
+}
+
+test("releasedFolderFilter only matches published folders whose release time has passed", () => {
+  const filter = releasedFolderFilter();
+  assert.equal(filter.published, true);
+  assert.equal(filter.$or[0].releaseAt, null);
+  assert.ok(filter.$or[1].releaseAt.$lte <= new Date());
+});
+
+test("publishing one folder: now, scheduled, back to draft", async (t) => {
+  const folder = fakeFolder();
+  t.mock.method(ExamFolder, "findById", async () => folder);
+  const base = await startApi(t, teacher);
+
+  let res = await post(`${base}/api/exams/teacher/f1/publish`, {});
+  assert.equal((await res.json()).message, "Folder published");
+  assert.equal(folder.published, true);
+  assert.equal(folder.releaseAt, null);
+  assert.equal(folder.publishedBy, "mentor@cmrit.ac.in");
+
+  const releaseAt = new Date(Date.now() + 86400000).toISOString();
+  res = await post(`${base}/api/exams/teacher/f1/publish`, { releaseAt });
+  assert.equal((await res.json()).message, `Folder scheduled for release at ${releaseAt}`);
+  assert.equal(folder.releaseAt.toISOString(), releaseAt);
+
+  res = await post(`${base}/api/exams/teacher/f1/unpublish`, {});
+  assert.equal((await res.json()).message, "Folder moved back to draft");
+  assert.equal(folder.published, false);
+  assert.equal(folder.releaseAt, null);
+
+  assert.equal((await post(`${base}/api/exams/teacher/f1/publish`, { releaseAt: "someday" })).status, 400);
+});
+
+test("teachers cannot publish another mentor's folder", async (t) => {
+  const folder = fakeFolder({ mentorTeacherEmail: "other@cmrit.ac.in" });
+  t.mock.method(ExamFolder, "findById", async () => folder);
+  const base = await startApi(t, teacher);
+
+  assert.equal((await post(`${base}/api/exams/teacher/f1/publish`, {})).status, 403);
+  assert.equal(folder.published, false);
+});
+
+test("publish-exam updates every folder of the exam for the mentor", async (t) => {
+  const updateMany = t.mock.method(ExamFolder, "updateMany", async () => ({ matchedCount: 3, modifiedCount: 2 }));
+  const base = await startApi(t, teacher);
+
+  const res = await post(`${base}/api/exams/teacher/publish-exam`, { examName: " IA1 " });
+  assert.equal(res.status, 200);
+  assert.deepEqual(await res.json(), {
+    message: '2 of 3 "IA1" folders published',
+    matched: 3,
+    modified: 2,
+    releaseAt: null,
+  });
+  assert.deepEqual(updateMany.mock.calls[0].arguments, [
+    { mentorTeacherEmail: "mentor@cmrit.ac.in", examName: "IA1" },
+    { $set: { published: true, releaseAt: null, publishedBy: "mentor@cmrit.ac.in" } },
+  ]);
+
+  assert.equal((await post(`${base}/api/exams/teacher/publish-exam`, { examName: "IA1", action: "hide" })).status, 400);
+  assert.equal(
+    (await post(`${base}/api/exams/teacher/publish-exam`, { examName: "IA1", mentorTeacherEmail: "other@cmrit.ac.in" }))
+      .status,
+    403
+  );
+  assert.equal(updateMany.mock.callCount(), 1);
+});
+
+test("students only see released folders", async (t) => {
+  t.mock.method(User, "findOne", () =>
+    fakeQuery({ email: "a@cmrit.ac.in", rollNo: "1CR21CS001", role: "student" })
+  );
+  const find = t.mock.method(ExamFolder, "find", () => fakeQuery([]));
+  const findOne = t.mock.method(ExamFolder, "findOne", async () => null);
+  const base = await startApi(t, { role: "student", email: "a@cmrit.ac.in", rollNo: "1CR21CS001" });
+
+  assert.equal((await fetch(`${base}/api/exams/student/folders`)).status, 200);
+  const [query] = find.mock.calls[0].arguments;
+  assert.equal(query.studentRollNo, "1CR21CS001");
+  assert.equal(query.published, true);
+  assert.ok(query.$or);
+
+  // A draft looks the same as a missing folder
+  assert.equal((await fetch(`${base}/api/exams/student/folders/f1`)).status, 404);
+  assert.equal(findOne.mock.calls[0].arguments[0].published, true);
+});
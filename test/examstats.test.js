@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ExamFolder } = require("../models");
+const { router, subjectStandings } = require("../examstats");
+const { startServer } = require("./helpers");
+
+test("subjectStandings ranks each subject by percentage and splits ties in the percentile", async (t) => {
+  const aggregate = t.mock.method(ExamFolder, "aggregate", async () => [
+    { _id: "dbms", scores: [90, 80, 80, 40, 20] },
+    { _id: "cn", scores: [100] },
+  ]);
+  const folder = {
+    examName: "IA1",
+    subjects: [
+      { _id: "s1", subjectName: " DBMS", marksObtained: 40, maxMarks: 50 }, // 80%
+      { _id: "s2", subjectName: "CN", marksObtained: 25, maxMarks: 25 },
+      { _id: "s3", subjectName: "Maths", marksObtained: 10, maxMarks: 50 },
+    ],
+  };
+
+  assert.deepEqual(await subjectStandings(folder), [
+    { subjectId: "s1", subjectName: " DBMS", rank: 2, outOf: 5, percentile: 60 }, // (2 below + 0.5 * 2 equal) / 5
+    { subjectId: "s2", subjectName: "CN", rank: 1, outOf: 1, percentile: 50 },
+    { subjectId: "s3", subjectName: "Maths", rank: null, outOf: 0, percentile: null },
+  ]);
+
+  // Only released folders of the same exam are compared
+  const [{ $match: match }] = aggregate.mock.calls[0].arguments[0];
+  assert.equal(match.examName, "IA1");
+  assert.equal(match.published, true);
+});
+
+test("class statistics: mean, median, pass rate and histogram per subject", async (t) => {
+  const aggregate = t.mock.method(ExamFolder, "aggregate", async () => [
+    { _id: "dbms", subjectName: "DBMS", scores: [100, 35, 55, 62.5] },
+  ]);
+  const base = await startServer(t, (app) => app.use("/api/exams/analytics", router), {
+    user: { role: "teacher", email: "mentor@cmrit.ac.in" },
+  });
+
+  const res = await fetch(`${base}/api/exams/analytics/class?examName=IA1&subjectName=dbms`);
+  assert.equal(res.status, 200);
+  const { mentorTeacherEmail, subjects } = await res.json();
+  assert.equal(mentorTeacherEmail, "mentor@cmrit.ac.in");
+
+  const [{ histogram, ...stats }] = subjects;
+  assert.deepEqual(stats, {
+    subjectName: "DBMS",
+    count: 4,
+    mean: 63.13,
+    median: 58.75,
+    highest: 100,
+    lowest: 35,
+    passPercent: 40,
+    passRate: 75,
+  });
+  assert.deepEqual(
+    histogram.filter((b) => b.count).map((b) => [b.band, b.count]),
+    [
+      ["30-40", 1],
+      ["50-60", 1],
+      ["60-70", 1],
+      ["90-100", 1], // 100% falls into the last band
+    ]
+  );
+
+  // Teachers only ever see their own folders; the subject filter is applied last
+  const stages = aggregate.mock.calls[0].arguments[0];
+  assert.deepEqual(stages[0], { $match: { examName: "IA1", mentorTeacherEmail: "mentor@cmrit.ac.in" } });
+  assert.deepEqual(stages[3], { $match: { key: "dbms" } });
+});
+
+test("class statistics need an exam and report unknown subjects as missing", async (t) => {
+  t.mock.method(ExamFolder, "aggregate", async () => []);
+  const base = await startServer(t, (app) => app.use("/api/exams/analytics", router), {
+    user: { role: "teacher", email: "mentor@cmrit.ac.in" },
+  });
+
+  assert.equal((await fetch(`${base}/api/exams/analytics/class`)).status, 400);
+  assert.equal((await fetch(`${base}/api/exams/analytics/class?examName=IA1&subjectName=Art`)).status, 404);
+  assert.equal(
+    (await fetch(`${base}/api/exams/analytics/class?examName=IA1&mentorTeacherEmail=other@cmrit.ac.in`)).status,
+    403
+  );
+});
@@ -0,0 +1,179 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { ExamFolder } = require("../models");
+const { storage } = require("../storage");
+const { router, moveToTrash, purgeExpiredTrash } = require("../examtrash");
+const { startServer } = require("./helpers");
+
+const { ExamTrash } = mongoose.models;
+
+const teacher = { role: "teacher", email: "mentor@cmrit.ac.in" };
+
+const newFolder = () =>
+  new ExamFolder({
+    studentRollNo: "1CR21CS001",
+    mentorTeacherEmail: "mentor@cmrit.ac.in",
+    examName: "IA1",
+    subjects: [
+      {
+        subjectName: "DBMS",
+        marksObtained: 40,
+        maxMarks: 50,
+        scripts: [
+          {
+            storageKey: "exam_uploads/1.pdf",
+            originalName: "dbms.pdf",
+            thumbnails: [{ page: 1, storageKey: "exam_uploads/thumbs/1-p1.webp" }],
+          },
+          { fileName: "2.jpg", originalName: "old-upload.jpg" },
+        ],
+      },
+    ],
+  });
+
+// In-memory ExamTrash; ExamFolder saves are recorded, not written
+function fakeDb(t) {
+  const entries = new Map();
+  t.mock.method(ExamTrash, "create", async (doc) => {
+    const entry = new ExamTrash(doc);
+    entries.set(String(entry._id), entry);
+    return entry;
+  });
+  t.mock.method(ExamTrash, "findById", async (id) => entries.get(String(id)) || null);
+  t.mock.method(ExamTrash, "find", async ({ purgeAt }) =>
+    [...entries.values()].filter((e) => e.purgeAt <= purgeAt.$lte)
+  );
+  t.mock.method(ExamTrash.prototype, "deleteOne", async function () {
+    entries.delete(String(this._id));
+  });
+  const folderSave = t.mock.method(ExamFolder.prototype, "save", async function () {
+    return this;
+  });
+  return { entries, folderSave };
+}
+
+async function startApi(t, user = teacher) {
+  const base = await startServer(t, (app) => app.use("/api/exams/trash", router), { user });
+  return (method, path) => fetch(`${base}/api/exams/trash${path}`, { method });
+}
+
+test("moveToTrash snapshots the item with every file behind it", async (t) => {
+  const { entries } = fakeDb(t);
+  const folder = newFolder();
+  const [subject] = folder.subjects;
+
+  const entry = await moveToTrash("subject", { folder, subject, actor: teacher }, async () => {
+    folder.subjects.pull(subject._id);
+  });
+
+  assert.equal(entries.size, 1);
+  assert.equal(entry.label, "IA1 / 1CR21CS001 / DBMS");
+  assert.deepEqual(entry.storageKeys, ["exam_uploads/1.pdf", "exam_uploads/thumbs/1-p1.webp", "exam_uploads/2.jpg"]);
+  assert.equal(entry.item.subjectName, "DBMS");
+  assert.equal(entry.deletedBy, "mentor@cmrit.ac.in");
+  assert.ok(entry.purgeAt > new Date(Date.now() + 13 * 24 * 60 * 60 * 1000));
+  assert.equal(folder.subjects.length, 0);
+});
+
+test("a failed removal takes the trash entry back out", async (t) => {
+  const { entries } = fakeDb(t);
+  const folder = newFolder();
+
+  await assert.rejects(
+    moveToTrash("folder", { folder, actor: teacher }, async () => {
+      throw new Error("delete failed");
+    }),
+    /delete failed/
+  );
+  assert.equal(entries.size, 0);
+});
+
+test("restoring a subject puts it back unless the name is taken again", async (t) => {
+  const { entries, folderSave } = fakeDb(t);
+  const folder = newFolder();
+  const [subject] = folder.subjects;
+  const entry = await moveToTrash("subject", { folder, subject, actor: teacher }, async () => {
+    folder.subjects.pull(subject._id);
+  });
+  t.mock.method(ExamFolder, "findById", async () => folder);
+  const call = await startApi(t);
+
+  folder.subjects.push({ subjectName: "dbms", marksObtained: 0, maxMarks: 50 });
+  let res = await call("POST", `/${entry._id}/restore`);
+  assert.deepEqual([res.status, (await res.json()).message], [409, 'The folder already has a subject "DBMS"']);
+
+  folder.subjects.pop();
+  res = await call("POST", `/${entry._id}/restore`);
+  assert.deepEqual(await res.json(), { message: "subject restored", folderId: String(folder._id) });
+  assert.equal(folderSave.mock.callCount(), 1);
+  assert.equal(folder.subjects[0].scripts.length, 2);
+  assert.equal(entries.size, 0);
+});
+
+test("scripts and subjects need their folder, folders must not clash", async (t) => {
+  fakeDb(t);
+  const folder = newFolder();
+  const [subject] = folder.subjects;
+  const [script] = subject.scripts;
+  const scriptEntry = await moveToTrash("script", { folder, subject, script, actor: teacher }, async () => {});
+  const folderEntry = await moveToTrash("folder", { folder, actor: teacher }, async () => {});
+  const call = await startApi(t);
+
+  t.mock.method(ExamFolder, "findById", async () => null);
+  let res = await call("POST", `/${scriptEntry._id}/restore`);
+  assert.deepEqual([res.status, (await res.json()).message], [409, "Restore the folder first"]);
+
+  t.mock.method(ExamFolder, "findById", async () => folder);
+  res = await call("POST", `/${scriptEntry._id}/restore`);
+  assert.deepEqual([res.status, (await res.json()).message], [409, "Script is already in the subject"]);
+
+  // Same student, mentor and exam: a new IA1 folder was opened since
+  t.mock.method(ExamFolder, "exists", async (query) => (query._id ? null : { _id: "other" }));
+  res = await call("POST", `/${folderEntry._id}/restore`);
+  assert.deepEqual([res.status, (await res.json()).message], [409, 'The student already has a "IA1" folder']);
+
+  t.mock.method(ExamFolder, "exists", async () => null);
+  const create = t.mock.method(ExamFolder, "create", async (item) => item);
+  res = await call("POST", `/${folderEntry._id}/restore`);
+  assert.equal(res.status, 200);
+  assert.equal(create.mock.calls[0].arguments[0].examName, "IA1");
+});
+
+test("only the folder's mentor can restore or purge its trash", async (t) => {
+  const { entries } = fakeDb(t);
+  const folder = newFolder();
+  const entry = await moveToTrash("folder", { folder, actor: teacher }, async () => {});
+  const remove = t.mock.method(storage, "remove", async () => {});
+  const other = await startApi(t, { role: "teacher", email: "other@cmrit.ac.in" });
+
+  assert.equal((await other("POST", `/${entry._id}/restore`)).status, 403);
+  assert.equal((await other("DELETE", `/${entry._id}`)).status, 403);
+  assert.equal(remove.mock.callCount(), 0);
+
+  const mine = await startApi(t);
+  assert.equal((await mine("DELETE", `/${entry._id}`)).status, 200);
+  assert.equal(remove.mock.callCount(), 3);
+  assert.equal(entries.size, 0);
+});
+
+test("the purge job deletes expired entries and their files, even if one file is gone", async (t) => {
+  const { entries } = fakeDb(t);
+  const folder = newFolder();
+  const [subject] = folder.subjects;
+  const expired = await moveToTrash("subject", { folder, subject, actor: teacher }, async () => {});
+  const script = subject.scripts[1];
+  const recent = await moveToTrash("script", { folder, subject, script, actor: teacher }, async () => {});
+  expired.purgeAt = new Date(Date.now() - 1000);
+
+  const removed = [];
+  t.mock.method(console, "error", () => {});
+  t.mock.method(storage, "remove", async (key) => {
+    if (key.endsWith(".webp")) throw new Error("already gone");
+    removed.push(key);
+  });
+
+  assert.equal(await purgeExpiredTrash(), 1);
+  assert.deepEqual(removed, ["exam_uploads/1.pdf", "exam_uploads/2.jpg"]);
+  assert.deepEqual([...entries.keys()], [String(recent._id)]);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+
+process.env.FILE_LINK_SECRET = "test-link-secret";
+
+const { storage } = require("../storage");
+const { router, signedFileUrl } = require("../files");
+const { startServer } = require("./helpers");
+
+const fakeReq = { protocol: "http", get: () => "portal.test" };
+
+// The signed link, pointed at the test server
+const linkOn = (base, url) => `${base}${new URL(url).pathname}${new URL(url).search}`;
+
+test("signedFileUrl builds an absolute download link that expires", () => {
+  const before = Math.floor(Date.now() / 1000);
+  const url = new URL(signedFileUrl(fakeReq, "exam_uploads/a.pdf", { ttlSeconds: 60 }));
+
+  assert.equal(url.origin, "http://portal.test");
+  assert.equal(url.pathname, "/api/files/download");
+  assert.equal(url.searchParams.get("key"), "exam_uploads/a.pdf");
+  assert.equal(url.searchParams.get("name"), "a.pdf");
+  const exp = Number(url.searchParams.get("exp"));
+  assert.ok(exp >= before + 60 && exp <= before + 61);
+  assert.match(url.searchParams.get("sig"), /^[A-Za-z0-9_-]{43}$/);
+});
+
+test("download accepts a valid signature and rejects tampered or expired links", async (t) => {
+  t.mock.method(storage, "exists", async () => true);
+  t.mock.method(storage, "get", async () => Readable.from([Buffer.from("%PDF-1.4 test")]));
+  const base = await startServer(t, (app) => app.use("/api/files", router));
+
+  const valid = signedFileUrl(fakeReq, "exam_uploads/a.pdf", { name: "IA1 script.pdf" });
+  let res = await fetch(linkOn(base, valid));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/pdf");
+  assert.equal(res.headers.get("content-disposition"), 'inline; filename="IA1 script.pdf"');
+  assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+  assert.equal(res.headers.get("content-security-policy"), "sandbox");
+  assert.equal(await res.text(), "%PDF-1.4 test");
+
+  // Any signed field changed -> 403
+  for (const [field, value] of [
+    ["key", "exam_uploads/b.pdf"],
+    ["name", "other.pdf"],
+    ["exp", "9999999999"],
+    ["sig", "x"],
+  ]) {
+    const url = new URL(linkOn(base, valid));
+    url.searchParams.set(field, value);
+    res = await fetch(url);
+    assert.equal(res.status, 403, `tampered ${field}`);
+  }
+
+  const expired = signedFileUrl(fakeReq, "exam_uploads/a.pdf", { ttlSeconds: -1 });
+  res = await fetch(linkOn(base, expired));
+  assert.equal(res.status, 410);
+  assert.equal((await res.json()).type, "LINK_EXPIRED");
+});
+
+test("download serves unchecked types as attachments", async (t) => {
+  t.mock.method(storage, "exists", async () => true);
+  t.mock.method(storage, "get", async () => Readable.from([Buffer.from("<svg onload=alert(1)>")]));
+  const base = await startServer(t, (app) => app.use("/api/files", router));
+
+  const res = await fetch(linkOn(base, signedFileUrl(fakeReq, "uploads/x.svg")));
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("content-type"), "application/octet-stream");
+  assert.equal(res.headers.get("content-disposition"), 'attachment; filename="x.svg"');
+  await res.arrayBuffer();
+});
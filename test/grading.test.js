@@ -0,0 +1,151 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { ExamFolder } = require("../models");
+const { router, computeResults, bandFor, loadScale } = require("../grading");
+const { fakeQuery, startServer } = require("./helpers");
+
+const { CatalogSubject, GradeScale } = mongoose.models;
+
+const subject = (subjectName, marksObtained, maxMarks) => ({ subjectName, marksObtained, maxMarks });
+const folder = (examName, examType, semester, subjects) => ({ _id: examName, examName, examType, semester, subjects });
+
+const FOLDERS = [
+  folder("IA1", "internal", 5, [subject("DBMS", 40, 50), subject("CN", 30, 50)]),
+  folder("IA2", "internal", 5, [subject("dbms ", 45, 50)]),
+  folder("SEE", "external", 5, [subject("DBMS", 80, 100), subject("CN", 30, 100)]),
+  folder("SEE supplementary", "external", 5, [subject("CN", 60, 100)]),
+  folder("IA1 sem6", "internal", 6, [subject("ML", 50, 50), subject("AI", 40, 50)]),
+  folder("SEE sem6", "external", 6, [subject("ML", 20, 100), subject("OS", 90, 100)]),
+  folder("Unsorted", "internal", undefined, [subject("DBMS", 10, 50)]),
+];
+
+const CATALOGUE = [
+  { semester: 5, nameKey: "dbms", name: "Database Management Systems", code: "21CS53", credits: 4 },
+  { semester: 5, nameKey: "cn", name: "Computer Networks", code: "21CS52", credits: 3 },
+  { semester: 6, nameKey: "ml", name: "Machine Learning", code: "21CS61", credits: 4 },
+  { semester: 6, nameKey: "ai", name: "Artificial Intelligence", code: "21CS62", credits: 3 },
+];
+
+function fakeDb(t, { folders = FOLDERS, scale = null } = {}) {
+  const queries = [];
+  t.mock.method(ExamFolder, "find", (query) => {
+    queries.push(query);
+    return fakeQuery(folders);
+  });
+  t.mock.method(CatalogSubject, "find", () => fakeQuery(CATALOGUE));
+  t.mock.method(GradeScale, "findOne", () => fakeQuery(scale));
+  return queries;
+}
+
+test("bandFor picks the highest band the percentage reaches", async (t) => {
+  fakeDb(t);
+  const scale = await loadScale();
+  assert.equal(bandFor(scale, 100).grade, "O");
+  assert.equal(bandFor(scale, 90).grade, "O");
+  assert.equal(bandFor(scale, 89.99).grade, "A+");
+  assert.equal(bandFor(scale, 40).grade, "P");
+  assert.equal(bandFor(scale, 39.99).grade, "F");
+  assert.equal(bandFor(scale, 0).grade, "F");
+});
+
+test("computeResults combines internals with each external attempt", async (t) => {
+  fakeDb(t);
+  const results = await computeResults("1CR21CS001");
+  const [sem5, sem6] = results.semesters;
+
+  const dbms = sem5.subjects.find((s) => s.code === "21CS53");
+  assert.equal(dbms.subjectName, "Database Management Systems");
+  assert.equal(dbms.internalPercent, 85); // (80 + 90) / 2, "dbms " matched to "DBMS"
+  assert.equal(dbms.totalPercent, 82.5);
+  assert.equal(dbms.grade, "A+");
+  assert.equal(dbms.status, "passed");
+
+  // Failed SEE (below the 35% minimum) cleared by the supplementary attempt
+  const cn = sem5.subjects.find((s) => s.code === "21CS52");
+  assert.deepEqual(
+    cn.attempts.map((a) => [a.examName, a.grade, a.passed]),
+    [
+      ["SEE", "F", false],
+      ["SEE supplementary", "B+", true],
+    ]
+  );
+  assert.equal(cn.status, "passed");
+  assert.equal(cn.clearedArrear, true);
+
+  assert.equal(sem5.sgpa, 8.14); // (4 × 9 + 3 × 7) / 7
+  assert.equal(sem5.earnedCredits, 7);
+  assert.deepEqual(sem5.backlogs, []);
+});
+
+test("computeResults reports backlogs, pending and uncatalogued subjects", async (t) => {
+  fakeDb(t);
+  const results = await computeResults("1CR21CS001");
+  const sem6 = results.semesters[1];
+  const byName = Object.fromEntries(sem6.subjects.map((s) => [s.subjectName, s]));
+
+  // 100% internals cannot make up for an external below the minimum
+  assert.equal(byName["Machine Learning"].status, "backlog");
+  assert.equal(byName["Machine Learning"].gradePoints, 0);
+  assert.equal(byName["Artificial Intelligence"].status, "pending");
+  assert.equal(byName.OS.grade, "O"); // no internals: the external decides alone
+  assert.equal(byName.OS.credits, null);
+
+  assert.equal(sem6.sgpa, 0);
+  assert.equal(sem6.registeredCredits, 4);
+  assert.deepEqual(sem6.backlogs, ["Machine Learning"]);
+
+  assert.equal(results.cgpa, 5.18); // (36 + 21 + 0) / 11
+  assert.equal(results.earnedCredits, 7);
+  assert.equal(results.backlogCount, 1);
+  assert.deepEqual(results.uncatalogued, [{ semester: 6, subjectName: "OS" }]);
+  assert.deepEqual(results.unassignedFolders, [{ folderId: "Unsorted", examName: "Unsorted" }]);
+});
+
+test("computeResults uses the saved scale and only released folders by default", async (t) => {
+  const scale = {
+    bands: [
+      { grade: "S", minPercent: 50, points: 10 },
+      { grade: "F", minPercent: 0, points: 0 },
+    ],
+    internalWeight: 0,
+    externalWeight: 100,
+    externalMinPercent: 0,
+  };
+  const queries = fakeDb(t, { folders: FOLDERS.slice(0, 3), scale });
+
+  const results = await computeResults("1CR21CS001");
+  const cn = results.semesters[0].subjects.find((s) => s.code === "21CS52");
+  assert.equal(cn.totalPercent, 30); // internals weigh nothing
+  assert.equal(cn.grade, "F");
+  assert.equal(results.semesters[0].sgpa, 5.71); // (4 × 10 + 3 × 0) / 7
+
+  await computeResults("1CR21CS001", { includeDrafts: true });
+  assert.notDeepEqual(queries[0], { studentRollNo: "1CR21CS001" });
+  assert.deepEqual(queries[1], { studentRollNo: "1CR21CS001" });
+});
+
+test("saving a catalogue subject validates each field before writing", async (t) => {
+  const save = t.mock.method(CatalogSubject, "findOneAndUpdate", async (filter, update) => ({ ...filter, ...update.$set }));
+  const base = await startServer(t, (app) => app.use("/api/grading", router), {
+    user: { role: "admin", email: "admin@cmrit.ac.in" },
+  });
+  const put = async (body) => {
+    const res = await fetch(`${base}/api/grading/subjects`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ semester: 5, name: "DBMS", credits: 4, ...body }),
+    });
+    return [res.status, (await res.json()).message];
+  };
+
+  assert.deepEqual(await put({ semester: 9 }), [400, "semester must be 1-8"]);
+  assert.deepEqual(await put({ name: "  " }), [400, "name is required"]);
+  assert.deepEqual(await put({ credits: -1 }), [400, "credits must be a non-negative number"]);
+  assert.equal(save.mock.callCount(), 0);
+
+  assert.deepEqual(await put({ name: " Database  Systems ", code: "21cs53" }), [200, "Subject saved"]);
+  const [filter, update] = save.mock.calls[0].arguments;
+  assert.deepEqual(filter, { semester: 5, nameKey: "database systems" });
+  assert.deepEqual(update.$set, { name: "Database Systems", credits: 4, code: "21CS53", updatedBy: "admin@cmrit.ac.in" });
+});
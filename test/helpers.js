@@ -0,0 +1,53 @@
+// helpers.js - Shared fixtures for the node:test suites
+//
+// Tests never touch MongoDB: model statics are replaced with t.mock.method()
+// and answer through fakeQuery(), and routers run on a throwaway Express app.
+
+const express = require("express");
+
+// Minimal Express response for calling middleware and request helpers directly
+function fakeRes() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+}
+
+// Mongoose query stand-in: chains like find().select().sort().lean() and resolves to `result`
+function fakeQuery(result) {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  for (const method of ["select", "sort", "limit", "skip", "lean", "populate"]) query[method] = () => query;
+  return query;
+}
+
+/**
+ * Serve the routes added by mount(app) on a random port until the test ends.
+ * `user` stands in for requireAuth (req.user). Returns the base URL.
+ */
+async function startServer(t, mount, { user } = {}) {
+  const app = express();
+  app.use(express.json());
+  if (user) {
+    app.use((req, res, next) => {
+      req.user = user;
+      next();
+    });
+  }
+  mount(app);
+
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, () => resolve(s));
+  });
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+module.exports = { fakeRes, fakeQuery, startServer };
@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { User } = require("../models");
+const { router, LeaveRequest, applyApprovedLeave, parseSlots } = require("../leave");
+const { fakeQuery, startServer } = require("./helpers");
+
+test("parseSlots accepts lists, JSON and comma strings", () => {
+  assert.deepEqual(parseSlots(undefined), []);
+  assert.deepEqual(parseSlots(""), []);
+  assert.deepEqual(parseSlots([3, 1]), [1, 3]);
+  assert.deepEqual(parseSlots("[2,2,1]"), [1, 2]);
+  assert.deepEqual(parseSlots("4, 1"), [1, 4]);
+  assert.deepEqual(parseSlots(8), [8]);
+});
+
+test("parseSlots rejects anything outside periods 1-8", () => {
+  for (const value of ["0", "9", "1,x", "[1.5]", [-1], "{}"]) {
+    assert.equal(parseSlots(value), null, JSON.stringify(value));
+  }
+});
+
+test("applyApprovedLeave marks covered absentees excused / on-duty", async (t) => {
+  const queries = [];
+  t.mock.method(LeaveRequest, "find", (query) => {
+    queries.push(query);
+    return fakeQuery([
+      { studentEmail: "sick@cmrit.ac.in", type: "medical" },
+      { studentEmail: "fest@cmrit.ac.in", type: "on-duty" },
+    ]);
+  });
+
+  const records = [
+    { studentEmail: " Sick@cmrit.ac.in", status: "absent" },
+    { studentEmail: "fest@cmrit.ac.in", status: "absent" },
+    { studentEmail: "late@cmrit.ac.in", status: "absent" },
+    { studentEmail: "here@cmrit.ac.in", status: "present" },
+  ];
+  const result = await applyApprovedLeave(records, "2025-03-10", "2");
+
+  assert.deepEqual(
+    result.map((r) => r.status),
+    ["excused", "on-duty", "absent", "present"]
+  );
+  assert.equal(records[0].status, "absent"); // input left untouched
+
+  assert.deepEqual(queries, [
+    {
+      studentEmail: { $in: ["sick@cmrit.ac.in", "fest@cmrit.ac.in", "late@cmrit.ac.in"] },
+      status: "approved",
+      fromDate: { $lte: "2025-03-10" },
+      toDate: { $gte: "2025-03-10" },
+      $or: [{ slots: { $size: 0 } }, { slots: 2 }],
+    },
+  ]);
+});
+
+test("applyApprovedLeave skips the lookup when nobody is absent", async (t) => {
+  const find = t.mock.method(LeaveRequest, "find", () => fakeQuery([]));
+  const records = [{ studentEmail: "here@cmrit.ac.in", status: "present" }];
+
+  assert.equal(await applyApprovedLeave(records, "2025-03-10", 1), records);
+  assert.equal(find.mock.callCount(), 0);
+});
+
+test("a leave request is checked field by field before anything is stored", async (t) => {
+  const findOne = t.mock.method(User, "findOne", () => fakeQuery(null));
+  const base = await startServer(t, (app) => app.use("/api/leave", router), {
+    user: { role: "student", email: "a@cmrit.ac.in" },
+  });
+  const submit = async (body) => {
+    const res = await fetch(`${base}/api/leave`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ type: "medical", fromDate: "2025-03-10", toDate: "2025-03-11", reason: "Fever", ...body }),
+    });
+    return [res.status, (await res.json()).message];
+  };
+
+  assert.deepEqual(await submit({ type: "constructor" }), [400, "type must be medical or on-duty"]);
+  assert.deepEqual(await submit({ type: ["medical"] }), [400, "type must be medical or on-duty"]);
+  assert.deepEqual(await submit({ toDate: "11-03-2025" }), [400, "fromDate and toDate (YYYY-MM-DD) are required"]);
+  assert.deepEqual(await submit({ fromDate: "2025-03-12" }), [400, "fromDate must not be after toDate"]);
+  assert.deepEqual(await submit({ toDate: "2025-06-30" }), [400, "A request can cover at most 60 days"]);
+  assert.deepEqual(await submit({ slots: "9" }), [400, "slots must be numbers between 1 and 8"]);
+  assert.deepEqual(await submit({ reason: "  " }), [400, "reason is required"]);
+  assert.equal(findOne.mock.callCount(), 0);
+
+  assert.deepEqual(await submit({ type: "on-duty" }), [400, "No mentor is assigned to your account"]);
+});
@@ -0,0 +1,140 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { GoogleGenerativeAI, SchemaType } = require("@google/generative-ai");
+const { llmConfig, createProvider, toGeminiSchema } = require("../llm");
+
+const collect = async (stream) => {
+  let text = "";
+  for await (const part of stream) text += part;
+  return text;
+};
+
+test("toGeminiSchema converts nested JSON schema types", () => {
+  const schema = {
+    type: "object",
+    properties: {
+      subject: { type: "string", description: "Subject name" },
+      slots: { type: "array", items: { type: "integer" } },
+      range: { type: "object", properties: { from: { type: "string" } } },
+    },
+    required: ["subject"],
+  };
+  assert.deepEqual(toGeminiSchema(schema), {
+    type: SchemaType.OBJECT,
+    properties: {
+      subject: { type: SchemaType.STRING, description: "Subject name" },
+      slots: { type: SchemaType.ARRAY, items: { type: SchemaType.INTEGER } },
+      range: { type: SchemaType.OBJECT, properties: { from: { type: SchemaType.STRING } } },
+    },
+    required: ["subject"],
+  });
+  assert.equal(schema.properties.subject.type, "string"); // input left untouched
+
+  assert.throws(() => toGeminiSchema({ type: "date" }), /Unsupported tool parameter type "date"/);
+});
+
+test("the Gemini provider passes converted tools and normalizes replies", async (t) => {
+  const getModel = t.mock.method(GoogleGenerativeAI.prototype, "getGenerativeModel", () => ({
+    generateContent: async () => ({
+      response: {
+        candidates: [{ content: { parts: [{ text: "Hello " }, { text: "there" }] } }],
+        functionCalls: () => [{ name: "get_profile", args: {} }],
+      },
+    }),
+  }));
+  const provider = createProvider("gemini", { apiKey: "key", model: "gemini-test", temperature: 0.2 });
+  assert.equal(provider.configError, null);
+
+  const tools = [{ functionDeclarations: [{ name: "get_profile" }, { name: "find", parameters: { type: "object" } }] }];
+  const result = await provider.generate("hi", { systemInstruction: "Be brief", tools });
+  assert.deepEqual(result, { text: "Hello there", functionCalls: [{ name: "get_profile", args: {} }] });
+
+  assert.deepEqual(getModel.mock.calls[0].arguments[0], {
+    model: "gemini-test",
+    generationConfig: { temperature: 0.2 },
+    systemInstruction: "Be brief",
+    tools: [
+      { functionDeclarations: [{ name: "get_profile" }, { name: "find", parameters: { type: SchemaType.OBJECT } }] },
+    ],
+  });
+
+  assert.match(createProvider("gemini", { model: "gemini-test" }).configError, /GEMINI_API_KEY missing/);
+});
+
+test("the mock provider answers from rules, then the built-in ones, then echoes", async () => {
+  const provider = createProvider("mock", {
+    model: "mock-1",
+    rules: [
+      { match: "attendance of (\\w+)", reply: "$1 attended 80%" },
+      { match: "marks", toolCall: { name: "get_exam_results", args: { examName: "IA1" } } },
+      { match: "busy", rateLimit: "7s" },
+    ],
+  });
+
+  assert.deepEqual(await provider.generate("Attendance of Asha?"), { text: "Asha attended 80%", functionCalls: [] });
+  assert.deepEqual((await provider.generate("my marks")).functionCalls, [
+    { name: "get_exam_results", args: { examName: "IA1" } },
+  ]);
+  assert.deepEqual((await provider.generate("[tool:get_profile]")).functionCalls, [{ name: "get_profile", args: {} }]);
+
+  await assert.rejects(provider.generate("are you busy"), (err) => {
+    assert.equal(err.status, 429);
+    assert.deepEqual(err.errorDetails, [{ "@type": "type.googleapis.com/google.rpc.RetryInfo", retryDelay: "7s" }]);
+    return true;
+  });
+  await assert.rejects(provider.generate("[429]"), (err) => err.errorDetails[0].retryDelay === "2s");
+
+  const script = { inlineData: { mimeType: "application/pdf" } };
+  const echo = await provider.generate([{ text: "Summarize\nthis script" }, script]);
+  assert.equal(echo.text, "Mock reply (mock-1, 1 attachment(s)): this script");
+
+  const quoted = await provider.generate([{ functionResponse: { name: "get_profile", response: { name: "Asha" } } }]);
+  assert.equal(quoted.text, 'Mock answer from get_profile: {"name":"Asha"}');
+});
+
+test("mock chats and streams behave like Gemini ones", async () => {
+  const provider = createProvider("mock", { model: "mock-1", rules: [] });
+  const { stream, response } = await provider.startChat({ history: [] }).sendMessageStream("two words");
+
+  assert.equal(await collect(stream), "Mock reply (mock-1): two words");
+  assert.deepEqual(await response, { text: "Mock reply (mock-1): two words", functionCalls: [] });
+
+  const file = await provider.uploadFile(Buffer.from("x"), { mimeType: "application/pdf" });
+  assert.deepEqual(file, { name: "files/mock-1", uri: "mock://files/mock-1", mimeType: "application/pdf" });
+});
+
+test("mock rules load from LLM_MOCK_RULES", async (t) => {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "llm-test-"));
+  t.after(() => fs.promises.rm(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "rules.json");
+
+  await fs.promises.writeFile(file, JSON.stringify([{ match: "hello", reply: "Hi from the file" }]));
+  process.env.LLM_MOCK_RULES = file;
+  t.after(() => delete process.env.LLM_MOCK_RULES);
+  assert.equal((await createProvider("mock", { model: "m" }).generate("hello")).text, "Hi from the file");
+
+  await fs.promises.writeFile(file, JSON.stringify({ match: "hello" }));
+  assert.throws(() => createProvider("mock", { model: "m" }), /must contain a JSON array/);
+});
+
+test("configuration comes from the environment and is checked", (t) => {
+  t.after(() => {
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_TEMPERATURE;
+  });
+  process.env.LLM_PROVIDER = "Mock";
+  process.env.LLM_TEMPERATURE = "0.4";
+  assert.deepEqual(llmConfig(), {
+    provider: "mock",
+    model: "gemini-2.5-flash",
+    temperature: 0.4,
+    maxOutputTokens: undefined,
+  });
+
+  process.env.LLM_TEMPERATURE = "warm";
+  assert.throws(() => llmConfig(), /LLM_TEMPERATURE must be a number/);
+  assert.throws(() => createProvider("openai"), /Unknown LLM provider "openai"/);
+});
@@ -0,0 +1,145 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { ExamFolder } = require("../models");
+const { router, MarksQuery } = require("../marksquery");
+const { startServer } = require("./helpers");
+
+const student = { role: "student", email: "a@cmrit.ac.in", rollNo: "1CR21CS001" };
+const teacher = { role: "teacher", email: "mentor@cmrit.ac.in" };
+
+// One released folder and an in-memory MarksQuery collection
+function fakeDb(t) {
+  const folder = new ExamFolder({
+    studentRollNo: "1CR21CS001",
+    mentorTeacherEmail: "mentor@cmrit.ac.in",
+    examName: "IA1",
+    studentEmail: "a@cmrit.ac.in",
+    published: true,
+    subjects: [{ subjectName: "DBMS", marksObtained: 30, maxMarks: 50 }],
+  });
+  const queries = new Map();
+
+  t.mock.method(ExamFolder, "findOne", async ({ _id }) => (String(_id) === String(folder._id) ? folder : null));
+  t.mock.method(ExamFolder, "findById", async () => folder);
+  const folderSave = t.mock.method(ExamFolder.prototype, "save", async function () {
+    return this;
+  });
+  t.mock.method(MarksQuery, "findOne", async ({ subjectId, status }) => {
+    const active = [...queries.values()].filter((q) => status.$in.includes(q.status));
+    return active.find((q) => String(q.subjectId) === String(subjectId)) || null;
+  });
+  t.mock.method(MarksQuery, "findById", async (id) => queries.get(String(id)) || null);
+  t.mock.method(MarksQuery.prototype, "save", async function () {
+    queries.set(String(this._id), this);
+    return this;
+  });
+
+  return { folder, subject: folder.subjects[0], folderSave };
+}
+
+async function startApis(t) {
+  const mount = (app) => app.use("/api/exams/queries", router);
+  const bases = {
+    student: await startServer(t, mount, { user: student }),
+    teacher: await startServer(t, mount, { user: teacher }),
+  };
+  return (who, path, body) =>
+    fetch(`${bases[who]}/api/exams/queries${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    }).then(async (res) => ({ status: res.status, body: await res.json() }));
+}
+
+test("a query goes open -> under_review -> accepted and updates the marks", async (t) => {
+  const { folder, subject, folderSave } = fakeDb(t);
+  const post = await startApis(t);
+
+  let res = await post("student", "/", {
+    folderId: folder._id,
+    subjectId: subject._id,
+    message: "Q3b was not counted",
+    page: "2",
+    question: "Q3b",
+  });
+  assert.equal(res.status, 201);
+  const { query } = res.body;
+  assert.equal(query.status, "open");
+  assert.deepEqual(query.reference, { page: 2, question: "Q3b" });
+
+  // A second query on the same subject waits for the first
+  res = await post("student", "/", { folderId: folder._id, subjectId: subject._id, message: "again" });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.queryId, query._id);
+
+  // The student's follow-up keeps it open; the teacher's reply moves it on
+  res = await post("student", `/${query._id}/messages`, { message: "Page 2, bottom" });
+  assert.equal(res.body.query.status, "open");
+  res = await post("teacher", `/${query._id}/messages`, { message: "Checking" });
+  assert.equal(res.body.query.status, "under_review");
+
+  res = await post("teacher", `/${query._id}/resolve`, {
+    decision: "accepted",
+    message: "Added 4 marks",
+    newMarks: 34,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.query.status, "accepted");
+  assert.equal(res.body.query.resolvedBy, "mentor@cmrit.ac.in");
+  assert.deepEqual(res.body.query.marksChange, { previousMarks: 30, newMarks: 34 });
+  assert.deepEqual(
+    res.body.query.messages.map((m) => m.authorRole),
+    ["student", "student", "teacher", "teacher"]
+  );
+
+  assert.equal(folderSave.mock.callCount(), 1);
+  assert.equal(subject.marksObtained, 34);
+  assert.equal(subject.marksRevisions[0].previousMarks, 30);
+  assert.equal(String(subject.marksRevisions[0].queryId), query._id);
+
+  // Resolved queries are closed to replies and further decisions
+  assert.equal((await post("student", `/${query._id}/messages`, { message: "Thanks" })).status, 409);
+  assert.equal((await post("teacher", `/${query._id}/resolve`, { decision: "rejected", message: "No" })).status, 409);
+});
+
+test("rejecting cannot change marks and out-of-range marks are refused", async (t) => {
+  const { folder, subject, folderSave } = fakeDb(t);
+  const post = await startApis(t);
+  const raised = await post("student", "/", { folderId: folder._id, subjectId: subject._id, message: "Recheck" });
+  const { query } = raised.body;
+
+  let res = await post("teacher", `/${query._id}/resolve`, { decision: "rejected", message: "No", newMarks: 40 });
+  assert.deepEqual([res.status, res.body.message], [400, "Only an accepted query can change marks"]);
+  res = await post("teacher", `/${query._id}/resolve`, { decision: "accepted", message: "Yes", newMarks: 51 });
+  assert.deepEqual([res.status, res.body.message], [400, "newMarks must be between 0 and 50"]);
+  res = await post("teacher", `/${query._id}/resolve`, { decision: "maybe", message: "Hmm" });
+  assert.equal(res.status, 400);
+
+  res = await post("teacher", `/${query._id}/resolve`, { decision: "rejected", message: "Marked correctly" });
+  assert.equal(res.body.query.status, "rejected");
+  assert.equal(res.body.query.marksChange, undefined);
+  assert.equal(folderSave.mock.callCount(), 0);
+  assert.equal(subject.marksObtained, 30);
+});
+
+test("queries stay between the student and the folder's mentor", async (t) => {
+  const { folder, subject } = fakeDb(t);
+  const post = await startApis(t);
+  const mount = (app) => app.use("/api/exams/queries", router);
+  const raised = await post("student", "/", { folderId: folder._id, subjectId: subject._id, message: "Recheck" });
+  const { query } = raised.body;
+
+  const other = await startServer(t, mount, { user: { role: "teacher", email: "other@cmrit.ac.in" } });
+  const res = await fetch(`${other}/api/exams/queries/${query._id}/resolve`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ decision: "accepted", message: "Sure" }),
+  });
+  assert.equal(res.status, 403);
+  assert.equal((await fetch(`${other}/api/exams/queries/${query._id}`)).status, 403);
+
+  const classmate = await startServer(t, mount, {
+    user: { role: "student", email: "b@cmrit.ac.in", rollNo: "1CR21CS002" },
+  });
+  assert.equal((await fetch(`${classmate}/api/exams/queries/${query._id}`)).status, 403);
+});
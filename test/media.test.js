@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const sharp = require("sharp");
+const { detectType, normalizeProfileImage, processScript, countPdfPages } = require("../media");
+
+// Two blank pages, enough structure for pdf.js
+const PDF = Buffer.from(`%PDF-1.4
+1 0 obj << /Type /Catalog /Pages 2 0 R >> endobj
+2 0 obj << /Type /Pages /Kids [3 0 R 4 0 R] /Count 2 >> endobj
+3 0 obj << /Type /Page /Parent 2 0 R /MediaBox [0 0 200 300] >> endobj
+4 0 obj << /Type /Page /Parent 2 0 R /MediaBox [0 0 200 300] >> endobj
+trailer << /Root 1 0 R >>
+%%EOF
+`);
+
+const image = (format, width = 40, height = 30) =>
+  sharp({ create: { width, height, channels: 3, background: "#3366cc" } })[format]().toBuffer();
+
+test("detectType goes by magic bytes", async () => {
+  assert.deepEqual(detectType(await image("jpeg")), { kind: "image", mime: "image/jpeg", ext: ".jpg" });
+  assert.deepEqual(detectType(await image("png")), { kind: "image", mime: "image/png", ext: ".png" });
+  assert.deepEqual(detectType(await image("webp")), { kind: "image", mime: "image/webp", ext: ".webp" });
+  assert.deepEqual(detectType(await image("gif")), { kind: "image", mime: "image/gif", ext: ".gif" });
+  assert.deepEqual(detectType(PDF), { kind: "pdf", mime: "application/pdf", ext: ".pdf" });
+});
+
+test("detectType rejects other content, whatever it is called", () => {
+  const cases = [
+    Buffer.from("<html><script>alert(1)</script></html>"),
+    Buffer.from("MZ\x90\x00 not really an exe"),
+    Buffer.from("RIFF\x00\x00\x00\x00WAVEfmt "),
+    Buffer.from("%PDF"), // too short to tell
+    "%PDF-1.4 as a string",
+    undefined,
+  ];
+  for (const input of cases) assert.equal(detectType(input), null, String(input));
+});
+
+test("profile images become square JPEGs without metadata", async () => {
+  const photo = await sharp({ create: { width: 800, height: 600, channels: 3, background: "#ffffff" } })
+    .withMetadata({ exif: { IFD0: { Artist: "someone" } } })
+    .png()
+    .toBuffer();
+
+  const meta = await sharp(await normalizeProfileImage(photo)).metadata();
+  assert.equal(meta.format, "jpeg");
+  assert.deepEqual([meta.width, meta.height], [512, 512]);
+  assert.equal(meta.exif, undefined);
+
+  await assert.rejects(normalizeProfileImage(Buffer.from("\xff\xd8\xff not a jpeg at all")));
+});
+
+test("image scripts are shrunk to fit and get one thumbnail", async () => {
+  const scan = await image("png", 3000, 1000);
+  const processed = await processScript(scan, detectType(scan));
+
+  assert.equal(processed.mime, "image/jpeg");
+  assert.equal(processed.ext, ".jpg");
+  assert.equal(processed.pageCount, 1);
+  const meta = await sharp(processed.body).metadata();
+  assert.deepEqual([meta.width, meta.height], [2400, 800]);
+  assert.equal(processed.thumbnails.length, 1);
+  assert.equal((await sharp(processed.thumbnails[0]).metadata()).width, 240);
+});
+
+test("PDF scripts are kept as uploaded, with a thumbnail per page", async () => {
+  assert.equal(await countPdfPages(PDF), 2);
+
+  const processed = await processScript(PDF, detectType(PDF));
+  assert.equal(processed.body, PDF);
+  assert.equal(processed.pageCount, 2);
+  assert.equal(processed.thumbnails.length, 2);
+  const thumb = await sharp(processed.thumbnails[0]).metadata();
+  assert.deepEqual([thumb.format, thumb.width, thumb.height], ["webp", 240, 360]);
+
+  await assert.rejects(processScript(Buffer.from("%PDF-1.4 truncated garbage"), detectType(PDF)));
+});
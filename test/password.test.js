@@ -0,0 +1,110 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+process.env.JWT_ACCESS_SECRET = "test-access-secret";
+process.env.JWT_REFRESH_SECRET = "test-refresh-secret";
+process.env.PASSWORD_RESET_URL = "https://portal.test/reset-password";
+
+const { User } = require("../models");
+const { router, issueSession, DEFAULT_PASSWORD } = require("../auth");
+const { fakeQuery, startServer } = require("./helpers");
+
+const RefreshToken = mongoose.models.RefreshToken;
+
+/**
+ * One stored user behind User.findOne.
+ * Returns the user record so tests can inspect what the routes saved.
+ */
+async function fakeDb(t, fields = {}) {
+  const user = {
+    email: "student@cmrit.ac.in",
+    role: "student",
+    name: "Test Student",
+    password: await bcrypt.hash(DEFAULT_PASSWORD, 4),
+    ...fields,
+  };
+  user.save = async () => {};
+  const revoked = [];
+
+  const matches = (query) =>
+    Object.entries(query).every(([field, value]) =>
+      value?.$gt ? user[field] > value.$gt : user[field] === value
+    );
+  t.mock.method(User, "findOne", (query) => fakeQuery(matches(query) ? user : null));
+  t.mock.method(RefreshToken, "create", async () => {});
+  t.mock.method(RefreshToken, "updateMany", async ({ email }) => {
+    revoked.push(email);
+  });
+  return { user, revoked };
+}
+
+async function startApi(t) {
+  const base = await startServer(t, (app) => app.use("/api/auth", router));
+  return (path, body, accessToken) =>
+    fetch(`${base}/api/auth${path}`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+      },
+      body: JSON.stringify(body),
+    });
+}
+
+test("change-password works with a pending-change token and ends the old sessions", async (t) => {
+  const { user, revoked } = await fakeDb(t, { mustChangePassword: true });
+  const post = await startApi(t);
+  const { accessToken } = await issueSession(user);
+
+  let res = await post("/change-password", { currentPassword: "wrong", newPassword: "new-secret-1" }, accessToken);
+  assert.equal(res.status, 401);
+
+  for (const newPassword of ["short", DEFAULT_PASSWORD]) {
+    res = await post("/change-password", { currentPassword: DEFAULT_PASSWORD, newPassword }, accessToken);
+    assert.equal(res.status, 400, newPassword);
+  }
+
+  res = await post("/change-password", { currentPassword: DEFAULT_PASSWORD, newPassword: "new-secret-1" }, accessToken);
+  assert.equal(res.status, 200);
+  const body = await res.json();
+  assert.ok(body.accessToken && body.refreshToken);
+  assert.equal(user.mustChangePassword, false);
+  assert.ok(user.passwordChangedAt instanceof Date);
+  assert.ok(await bcrypt.compare("new-secret-1", user.password));
+  assert.deepEqual(revoked, [user.email]);
+});
+
+test("forgot-password mails a single-use link and answers the same for unknown accounts", async (t) => {
+  const { user } = await fakeDb(t);
+  const post = await startApi(t);
+  const logged = [];
+  t.mock.method(console, "log", (line) => logged.push(line));
+  process.env.MAIL_LOG_BODY = "true";
+  t.after(() => delete process.env.MAIL_LOG_BODY);
+
+  const unknown = await post("/forgot-password", { email: "nobody@cmrit.ac.in" });
+  const known = await post("/forgot-password", { email: " Student@cmrit.ac.in " });
+  assert.equal(unknown.status, 200);
+  assert.deepEqual(await unknown.json(), await known.json());
+  assert.equal(logged.length, 1);
+
+  const [header, ...body] = logged[0].split("\n");
+  assert.match(header, /To: student@cmrit\.ac\.in \| CMRIT Portal password reset/);
+  assert.equal(body[0], "Hi Test Student,");
+  assert.ok(body.every((line) => line === line.trimStart()), "no source indentation in the mail body");
+
+  const token = new URL(body.find((line) => line.startsWith("https://"))).searchParams.get("token");
+  assert.equal(user.passwordResetTokenHash, crypto.createHash("sha256").update(token).digest("hex"));
+  assert.ok(user.passwordResetExpires > new Date());
+
+  const res = await post("/reset-password", { token, newPassword: "new-secret-2" });
+  assert.equal(res.status, 200);
+  assert.ok(await bcrypt.compare("new-secret-2", user.password));
+  assert.equal(user.passwordResetTokenHash, undefined);
+
+  // The link works once
+  assert.equal((await post("/reset-password", { token, newPassword: "new-secret-3" })).status, 400);
+});
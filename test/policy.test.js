@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { User } = require("../models");
+const {
+  requireRole,
+  canActOnStudent,
+  canManageFolder,
+  canViewFolder,
+  authorizeStudent,
+  authorizeMentor,
+} = require("../policy");
+const { fakeRes, fakeQuery } = require("./helpers");
+
+const admin = { role: "admin", email: "admin@cmrit.ac.in" };
+const teacher = { role: "teacher", email: "Mentor@cmrit.ac.in" };
+const student = { role: "student", email: "student@cmrit.ac.in", rollNo: "1CR21CS001" };
+const mentee = { email: "student@cmrit.ac.in", rollNo: "1CR21CS001", mentorTeacherEmail: "mentor@cmrit.ac.in" };
+
+test("requireRole lets listed roles through and forbids the rest", () => {
+  let passed = 0;
+  const guard = requireRole("teacher", "admin");
+
+  guard({ user: teacher }, fakeRes(), () => passed++);
+  assert.equal(passed, 1);
+
+  for (const req of [{ user: student }, {}]) {
+    const res = fakeRes();
+    guard(req, res, () => passed++);
+    assert.equal(res.statusCode, 403);
+    assert.equal(res.body.type, "FORBIDDEN");
+  }
+  assert.equal(passed, 1);
+});
+
+test("canActOnStudent: self, mentor (case-insensitive) and admin only", () => {
+  assert.equal(canActOnStudent(admin, mentee), true);
+  assert.equal(canActOnStudent(teacher, mentee), true);
+  assert.equal(canActOnStudent(student, mentee), true);
+  assert.equal(canActOnStudent({ role: "teacher", email: "other@cmrit.ac.in" }, mentee), false);
+  assert.equal(canActOnStudent({ role: "student", email: "other@cmrit.ac.in" }, mentee), false);
+  assert.equal(canActOnStudent(undefined, mentee), false);
+});
+
+test("folders: teachers manage their own, students only view theirs", () => {
+  const folder = { mentorTeacherEmail: "mentor@cmrit.ac.in", studentRollNo: "1CR21CS001" };
+
+  assert.equal(canManageFolder(teacher, folder), true);
+  assert.equal(canManageFolder(admin, folder), true);
+  assert.equal(canManageFolder({ role: "teacher", email: "other@cmrit.ac.in" }, folder), false);
+  assert.equal(canManageFolder(student, folder), false);
+
+  assert.equal(canViewFolder(student, folder), true);
+  assert.equal(canViewFolder({ ...student, rollNo: "1CR21CS002" }, folder), false);
+  assert.equal(canViewFolder({ ...student, rollNo: "" }, { ...folder, studentRollNo: "" }), false);
+});
+
+test("authorizeMentor: teachers act as themselves, admins must name a mentor", () => {
+  let res = fakeRes();
+  assert.equal(authorizeMentor({ user: teacher }, res, undefined), "mentor@cmrit.ac.in");
+  assert.equal(authorizeMentor({ user: teacher }, res, " MENTOR@cmrit.ac.in "), "mentor@cmrit.ac.in");
+
+  res = fakeRes();
+  assert.equal(authorizeMentor({ user: teacher }, res, "other@cmrit.ac.in"), null);
+  assert.equal(res.statusCode, 403);
+
+  res = fakeRes();
+  assert.equal(authorizeMentor({ user: admin }, res, ""), null);
+  assert.equal(res.statusCode, 400);
+  assert.equal(authorizeMentor({ user: admin }, fakeRes(), "mentor@cmrit.ac.in"), "mentor@cmrit.ac.in");
+
+  res = fakeRes();
+  assert.equal(authorizeMentor({ user: student }, res, "mentor@cmrit.ac.in"), null);
+  assert.equal(res.statusCode, 403);
+});
+
+test("authorizeStudent resolves the target and hides other students' accounts", async (t) => {
+  const queries = [];
+  const accounts = [mentee];
+  t.mock.method(User, "findOne", (query) => {
+    queries.push(query);
+    const found = accounts.find((a) => (query.email ? a.email === query.email : a.rollNo === query.rollNo));
+    return fakeQuery(found || null);
+  });
+
+  // Students default to themselves
+  assert.equal(await authorizeStudent({ user: student }, fakeRes()), mentee);
+  assert.deepEqual(queries.pop(), { role: "student", email: "student@cmrit.ac.in" });
+
+  // Another student's record and a missing one look the same to a student
+  accounts.push({ email: "peer@cmrit.ac.in", rollNo: "1CR21CS002", mentorTeacherEmail: "mentor@cmrit.ac.in" });
+  for (const rollNo of ["1CR21CS002", "1CR21CS999"]) {
+    const res = fakeRes();
+    assert.equal(await authorizeStudent({ user: student }, res, { rollNo }), null);
+    assert.equal(res.statusCode, 403);
+  }
+
+  // Staff get 404 for missing students and 403 for other mentors' mentees
+  let res = fakeRes();
+  assert.equal(await authorizeStudent({ user: teacher }, res, { rollNo: "1CR21CS999" }), null);
+  assert.equal(res.statusCode, 404);
+
+  res = fakeRes();
+  const otherMentor = { role: "teacher", email: "other@cmrit.ac.in" };
+  assert.equal(await authorizeStudent({ user: otherMentor }, res, { rollNo: "1CR21CS001" }), null);
+  assert.equal(res.statusCode, 403);
+
+  res = fakeRes();
+  assert.equal(await authorizeStudent({ user: teacher }, res, {}), null);
+  assert.equal(res.statusCode, 400);
+
+  assert.equal(await authorizeStudent({ user: admin }, fakeRes(), { email: "STUDENT@cmrit.ac.in" }), mentee);
+});
@@ -0,0 +1,97 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { User } = require("../models");
+const { importRoster } = require("../roster");
+const { fakeQuery } = require("./helpers");
+
+const ACCOUNTS = [
+  { email: "old@cmrit.ac.in", role: "student", name: "Old Name", rollNo: "1CR21CS001", mentorTeacherEmail: "mentor@cmrit.ac.in" },
+  { email: "same@cmrit.ac.in", role: "student", name: "Same", rollNo: "1CR21CS002", mentorTeacherEmail: "mentor@cmrit.ac.in" },
+  { email: "mentor@cmrit.ac.in", role: "teacher", name: "Mentor" },
+];
+
+// User.find over ACCOUNTS for the lookups importRoster makes; returns the bulkWrite calls
+function fakeDb(t, bulkWrite = async () => {}) {
+  t.mock.method(User, "find", (query) =>
+    fakeQuery(
+      ACCOUNTS.filter(
+        (u) =>
+          (!query.role || u.role === query.role) &&
+          Object.entries(query)
+            .filter(([field]) => field !== "role")
+            .every(([field, { $in }]) => $in.includes(u[field]))
+      )
+    )
+  );
+  return t.mock.method(User, "bulkWrite", bulkWrite);
+}
+
+const SHEET = [
+  { email: "New@cmrit.ac.in", name: "New Student", rollNo: "1CR21CS010", mentorTeacherEmail: "MENTOR@cmrit.ac.in" },
+  { email: "old@cmrit.ac.in", name: "New Name", rollNo: "1CR21CS001" },
+  { email: "same@cmrit.ac.in", name: "Same" },
+  { email: "gmail@gmail.com", name: "Outsider" },
+  { email: "new@cmrit.ac.in", name: "Again" },
+  { email: "thief@cmrit.ac.in", rollNo: "1CR21CS002" },
+  { email: "orphan@cmrit.ac.in", mentorTeacherEmail: "nobody@cmrit.ac.in" },
+  { email: "mentor@cmrit.ac.in", name: "Teacher as student" },
+];
+
+test("dry run reports every row without writing", async (t) => {
+  const bulkWrite = fakeDb(t);
+  const report = await importRoster(SHEET, "student", { dryRun: true });
+
+  assert.equal(bulkWrite.mock.callCount(), 0);
+  assert.deepEqual(report.summary, { total: 8, create: 1, update: 1, unchanged: 1, invalid: 5, failed: 0 });
+
+  const byRow = Object.fromEntries(report.rows.map((r) => [r.row, r]));
+  assert.equal(byRow[2].action, "create");
+  assert.equal(byRow[2].email, "new@cmrit.ac.in");
+  assert.deepEqual(byRow[3].changes, ["name"]); // blank mentor column keeps the current mentor
+  assert.equal(byRow[4].action, "unchanged");
+  assert.deepEqual(byRow[5].errors, ["Invalid or non-CMRIT email"]);
+  assert.deepEqual(byRow[6].errors, ["Duplicate email (also on row 2)"]);
+  assert.deepEqual(byRow[7].errors, ["rollNo already belongs to same@cmrit.ac.in"]);
+  assert.deepEqual(byRow[8].errors, ["mentorTeacherEmail nobody@cmrit.ac.in matches no teacher"]);
+  assert.deepEqual(byRow[9].errors, ["Email belongs to an existing teacher account"]);
+});
+
+test("a real run inserts new accounts and only sets changed fields", async (t) => {
+  const bulkWrite = fakeDb(t);
+  const report = await importRoster(SHEET.slice(0, 3), "student");
+
+  assert.equal(report.dryRun, false);
+  const [ops, options] = bulkWrite.mock.calls[0].arguments;
+  assert.deepEqual(options, { ordered: false });
+  assert.equal(ops.length, 2);
+
+  const created = ops[0].insertOne.document;
+  assert.equal(created.email, "new@cmrit.ac.in");
+  assert.equal(created.mentorTeacherEmail, "mentor@cmrit.ac.in");
+  assert.equal(created.mustChangePassword, true);
+  assert.match(created.password, /^\$2[aby]\$/);
+
+  assert.deepEqual(ops[1], {
+    updateOne: { filter: { email: "old@cmrit.ac.in", role: "student" }, update: { $set: { name: "New Name" } } },
+  });
+});
+
+test("rows whose write fails are reported and the rest still count", async (t) => {
+  fakeDb(t, async () => {
+    const err = new Error("E11000 duplicate key error");
+    err.writeErrors = [{ index: 0, code: 11000, errmsg: "E11000 duplicate key error collection: users" }];
+    throw err;
+  });
+  const report = await importRoster(SHEET.slice(0, 3), "student");
+
+  assert.deepEqual(report.summary, { total: 3, create: 0, update: 1, unchanged: 1, invalid: 0, failed: 1 });
+  assert.equal(report.rows[0].action, "failed");
+  assert.deepEqual(report.rows[0].errors, ["Email or rollNo already taken by another account"]);
+});
+
+test("other write failures still throw", async (t) => {
+  fakeDb(t, async () => {
+    throw new Error("connection lost");
+  });
+  await assert.rejects(importRoster(SHEET.slice(0, 1), "student"), /connection lost/);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
+const { createDriver, keyFromUrl, safeKey } = require("../storage");
+
+test("safeKey keeps keys inside the upload folders", () => {
+  assert.equal(safeKey("uploads/1.png"), "uploads/1.png");
+  assert.equal(safeKey("/exam_uploads/thumbs/1-p1.webp"), "exam_uploads/thumbs/1-p1.webp");
+  assert.equal(safeKey("uploads/./a/../1.png"), "uploads/1.png");
+
+  for (const key of [
+    "",
+    "uploads",
+    "uploads/",
+    "../uploads/1.png",
+    "uploads/../../etc/passwd",
+    "uploads/../server.js",
+    "/etc/passwd",
+    ".env",
+    "uploads_old/1.png",
+    "node_modules/x.js",
+  ]) {
+    assert.throws(() => safeKey(key), /Invalid storage key/, key);
+  }
+});
+
+test("keyFromUrl recovers keys from old static URLs", () => {
+  assert.equal(keyFromUrl("/uploads/1.png"), "uploads/1.png");
+  assert.equal(keyFromUrl("https://host/exam_uploads/1.pdf?x=1"), "exam_uploads/1.pdf");
+  assert.equal(keyFromUrl("https://host/static/1.pdf"), null);
+});
+
+test("the local driver stores, reads and removes files under its root", async (t) => {
+  const root = await fs.promises.mkdtemp(path.join(os.tmpdir(), "storage-test-"));
+  t.after(() => fs.promises.rm(root, { recursive: true, force: true }));
+  const driver = createDriver("local", { root });
+
+  const stored = await driver.put("uploads/a.txt", Readable.from([Buffer.from("hello")]));
+  assert.deepEqual(stored, { key: "uploads/a.txt", size: 5, path: path.join(root, "uploads/a.txt") });
+  assert.equal(await driver.exists("uploads/a.txt"), true);
+
+  const chunks = [];
+  for await (const chunk of await driver.get("uploads/a.txt")) chunks.push(chunk);
+  assert.equal(Buffer.concat(chunks).toString(), "hello");
+
+  await driver.remove("uploads/a.txt");
+  assert.equal(await driver.exists("uploads/a.txt"), false);
+
+  await assert.rejects(driver.put("../escape.txt", Buffer.from("x")), /Invalid storage key/);
+  await assert.rejects(driver.get("server.js"), /Invalid storage key/);
+});
+
+test("createDriver rejects unknown backends", () => {
+  assert.throws(() => createDriver("ftp"), /Unknown storage driver "ftp"/);
+});
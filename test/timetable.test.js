@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { router, findScheduledClass, sameSubject } = require("../timetable");
+const { fakeQuery, startServer } = require("./helpers");
+
+const Timetable = mongoose.models.Timetable;
+
+const CSE_5A = {
+  section: "CSE-5A",
+  entries: [
+    { day: "mon", slot: 1, subject: "DBMS", teacherEmail: "other@cmrit.ac.in" },
+    { day: "mon", slot: 2, subject: "Computer Networks", teacherEmail: "mentor@cmrit.ac.in" },
+    { day: "tue", slot: 2, subject: "DBMS", teacherEmail: "mentor@cmrit.ac.in" },
+  ],
+};
+
+test("findScheduledClass matches the teacher, weekday and slot of a date", async (t) => {
+  const findOne = t.mock.method(Timetable, "findOne", () => fakeQuery(CSE_5A));
+
+  // 2025-01-06 is a Monday
+  const scheduled = await findScheduledClass(" Mentor@cmrit.ac.in", "2025-01-06", "2");
+  assert.deepEqual(scheduled, {
+    section: "CSE-5A",
+    day: "mon",
+    slot: 2,
+    subject: "Computer Networks",
+    teacherEmail: "mentor@cmrit.ac.in",
+  });
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+    entries: { $elemMatch: { teacherEmail: "mentor@cmrit.ac.in", day: "mon", slot: 2 } },
+  });
+});
+
+test("findScheduledClass returns null for free slots and bad dates", async (t) => {
+  const findOne = t.mock.method(Timetable, "findOne", () => fakeQuery(null));
+  assert.equal(await findScheduledClass("mentor@cmrit.ac.in", "2025-01-05", 1), null);
+  assert.equal(findOne.mock.calls[0].arguments[0].entries.$elemMatch.day, "sun");
+
+  for (const date of ["06-01-2025", "2025-13-45", "", undefined]) {
+    assert.equal(await findScheduledClass("mentor@cmrit.ac.in", date, 1), null, String(date));
+  }
+  assert.equal(findOne.mock.callCount(), 1);
+});
+
+test("sameSubject ignores case and extra spaces", () => {
+  assert.equal(sameSubject(" computer  networks", "Computer Networks"), true);
+  assert.equal(sameSubject("DBMS", "DBMS Lab"), false);
+});
+
+test("saving a timetable validates entries and teacher clashes across sections", async (t) => {
+  t.mock.method(Timetable, "find", () =>
+    fakeQuery([{ section: "CSE-5B", entries: [{ day: "wed", slot: 3, teacherEmail: "mentor@cmrit.ac.in" }] }])
+  );
+  const save = t.mock.method(Timetable, "findOneAndUpdate", async (filter, update) => ({ ...filter, ...update.$set }));
+  const base = await startServer(t, (app) => app.use("/api/timetable", router), {
+    user: { role: "admin", email: "admin@cmrit.ac.in" },
+  });
+  const put = (section, entries) =>
+    fetch(`${base}/api/timetable/${section}`, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ entries }),
+    });
+
+  let res = await put("cse 5a", [
+    { day: "Funday", slot: 1, subject: "DBMS", teacherEmail: "mentor@cmrit.ac.in" },
+    { day: "mon", slot: 9, subject: "DBMS", teacherEmail: "mentor@cmrit.ac.in" },
+    { day: "Monday", slot: 1, subject: "DBMS", teacherEmail: "mentor@cmrit.ac.in" },
+    { day: "mon", slot: "1", subject: "CN", teacherEmail: "mentor@cmrit.ac.in" },
+    { day: "wed", slot: 3, subject: "CN", teacherEmail: "MENTOR@cmrit.ac.in" },
+  ]);
+  assert.equal(res.status, 400);
+  assert.deepEqual((await res.json()).errors, [
+    'entry 1: invalid day "Funday"',
+    "entry 2: slot must be 1-8",
+    "entry 4: mon slot 1 is listed twice",
+    "mentor@cmrit.ac.in already teaches CSE-5B on wed slot 3",
+  ]);
+  assert.equal(save.mock.callCount(), 0);
+
+  res = await put("cse 5a", [{ day: "Monday", slot: 1, subject: " Data  Mining ", teacherEmail: "mentor@cmrit.ac.in" }]);
+  assert.equal(res.status, 200);
+  assert.deepEqual(save.mock.calls[0].arguments[1].$set.entries, [
+    { day: "mon", slot: 1, subject: "Data Mining", teacherEmail: "mentor@cmrit.ac.in" },
+  ]);
+  assert.deepEqual(save.mock.calls[0].arguments[0], { section: "CSE5A" });
+});
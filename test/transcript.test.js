@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { User, ExamFolder } = require("../models");
+const { router, verifyRouter } = require("../transcript");
+const { fakeQuery, startServer } = require("./helpers");
+
+const { CatalogSubject, GradeScale, IssuedDocument } = mongoose.models;
+
+const STUDENT = { email: "a@cmrit.ac.in", name: "Asha", rollNo: "1CR21CS001", role: "student" };
+const IA1 = {
+  examName: "IA1",
+  semester: 5,
+  subjects: [{ subjectName: "DBMS", marksObtained: 45, maxMarks: 50 }],
+};
+
+// Upserting IssuedDocument store keyed like its unique { rollNo, kind, digest } index
+function fakeDb(t) {
+  const issued = new Map();
+  t.mock.method(User, "findOne", () => fakeQuery(STUDENT));
+  t.mock.method(ExamFolder, "find", () => fakeQuery([IA1]));
+  t.mock.method(GradeScale, "findOne", () => fakeQuery(null));
+  const upsert = t.mock.method(IssuedDocument, "findOneAndUpdate", async (filter, update, options) => {
+    assert.deepEqual(options, { upsert: true, new: true, runValidators: true });
+    const key = `${filter.rollNo}|${filter.kind}|${filter.digest}`;
+    if (!issued.has(key)) issued.set(key, { ...filter, ...update.$setOnInsert, createdAt: new Date() });
+    return issued.get(key);
+  });
+  t.mock.method(IssuedDocument, "findOne", ({ code }) =>
+    fakeQuery([...issued.values()].find((d) => d.code === code) || null)
+  );
+  return { issued, upsert };
+}
+
+const startApi = (t) =>
+  startServer(
+    t,
+    (app) => {
+      app.use("/api/transcripts", router);
+      app.use("/api/verify", verifyRouter);
+    },
+    { user: STUDENT }
+  );
+
+test("a marks card carries a verification code that reprints reuse", async (t) => {
+  const { issued, upsert } = fakeDb(t);
+  const base = await startApi(t);
+
+  const first = await fetch(`${base}/api/transcripts/marks-card?examName=IA1&format=html`);
+  assert.equal(first.status, 200);
+  const code = first.headers.get("x-verification-code");
+  assert.match(code, /^CMR-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}-[A-HJ-NP-Z2-9]{4}$/);
+  const html = await first.text();
+  assert.ok(html.includes(`/api/verify/${code}`));
+  assert.ok(html.includes("<td>DBMS</td><td>45</td><td>50</td><td>90</td>"));
+
+  const [filter, update] = upsert.mock.calls[0].arguments;
+  assert.deepEqual(Object.keys(filter), ["rollNo", "kind", "digest"]);
+  assert.equal(filter.kind, "marks-card");
+  assert.equal(update.$setOnInsert.examName, "IA1");
+  assert.equal(update.$setOnInsert.issuedTo, "a@cmrit.ac.in");
+
+  const reprint = await fetch(`${base}/api/transcripts/marks-card?examName=IA1`);
+  assert.equal(reprint.headers.get("content-type"), "application/pdf");
+  assert.equal(reprint.headers.get("x-verification-code"), code);
+  await reprint.arrayBuffer();
+  assert.equal(issued.size, 1);
+});
+
+test("the public verify endpoint shows what was issued", async (t) => {
+  fakeDb(t);
+  const base = await startApi(t);
+
+  const res = await fetch(`${base}/api/transcripts/marks-card?examName=IA1&format=html`);
+  const code = res.headers.get("x-verification-code");
+  await res.text();
+
+  const verified = await (await fetch(`${base}/api/verify/${code.toLowerCase()}`)).json();
+  assert.equal(verified.valid, true);
+  assert.equal(verified.kind, "marks-card");
+  assert.equal(verified.rollNo, "1CR21CS001");
+  assert.equal(verified.content.title, "Marks Card");
+
+  const missing = await fetch(`${base}/api/verify/CMR-AAAA-BBBB-CCCC`);
+  assert.equal(missing.status, 404);
+  assert.equal((await missing.json()).valid, false);
+});
+
+test("documents need released results and a known format", async (t) => {
+  const { upsert } = fakeDb(t);
+  t.mock.method(ExamFolder, "find", () => fakeQuery([]));
+  t.mock.method(CatalogSubject, "find", () => fakeQuery([]));
+  const base = await startApi(t);
+
+  assert.equal((await fetch(`${base}/api/transcripts/marks-card`)).status, 400);
+  assert.equal((await fetch(`${base}/api/transcripts/marks-card?examName=IA1`)).status, 404);
+  assert.equal((await fetch(`${base}/api/transcripts/transcript`)).status, 404);
+
+  t.mock.method(ExamFolder, "find", () => fakeQuery([IA1]));
+  assert.equal((await fetch(`${base}/api/transcripts/marks-card?examName=IA1&format=docx`)).status, 400);
+  assert.equal(upsert.mock.callCount(), 0);
+});
@@ -0,0 +1,310 @@
+// timetable.js - Per-section weekly timetables (day + slot -> subject + teacher)
+//
+// The timetable is the source of truth for attendance subjects:
+// mark-attendance looks up the teacher's scheduled class for a date/slot
+// and stores the timetable's subject name instead of free text.
+
+const express = require("express");
+const mongoose = require("mongoose");
+const xlsx = require("xlsx");
+const { sheetUpload } = require("./uploads");
+const { requireRole } = require("./policy");
+
+const router = express.Router();
+
+const DAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+/* ---------------------------
+1) Timetable schema/model
+One doc = one section's weekly schedule
+---------------------------- */
+const timetableEntrySchema = new mongoose.Schema(
+  {
+    day: { type: String, enum: DAYS, required: true },
+    slot: { type: Number, required: true, min: 1, max: 8 },
+    subject: { type: String, required: true },
+    teacherEmail: { type: String, required: true, lowercase: true },
+  },
+  { _id: false }
+);
+
+const timetableSchema = new mongoose.Schema(
+  {
+    section: { type: String, required: true, unique: true }, // e.g. "CSE-5A"
+    entries: [timetableEntrySchema],
+    updatedBy: String,
+  },
+  { timestamps: true }
+);
+
+timetableSchema.index({ "entries.teacherEmail": 1 });
+
+const Timetable =
+  mongoose.models.Timetable || mongoose.model("Timetable", timetableSchema);
+
+/* ---------------------------
+Helpers
+---------------------------- */
+const normalize = (s) => String(s || "").trim();
+const normalizeSection = (s) => normalize(s).toUpperCase().replace(/\s+/g, "");
+const normalizeSubject = (s) => normalize(s).replace(/\s+/g, " ");
+const sameSubject = (a, b) => normalizeSubject(a).toLowerCase() === normalizeSubject(b).toLowerCase();
+
+// "2025-01-06" -> "mon"
+function dayOfDate(date) {
+  if (!DATE_RE.test(String(date || ""))) return null;
+  const d = new Date(`${date}T00:00:00Z`);
+  return Number.isNaN(d.getTime()) ? null : DAYS[d.getUTCDay()];
+}
+
+/**
+ * Validate raw entries ({ day, slot, subject, teacherEmail }) for one section.
+ * Returns { entries, errors } with errors as readable strings.
+ */
+function validateEntries(rawEntries) {
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+
+  (Array.isArray(rawEntries) ? rawEntries : []).forEach((raw, i) => {
+    const day = normalize(raw?.day).slice(0, 3).toLowerCase();
+    const slot = Number(raw?.slot);
+    const subject = normalizeSubject(raw?.subject);
+    const teacherEmail = normalize(raw?.teacherEmail).toLowerCase();
+    const label = `entry ${i + 1}`;
+
+    if (!DAYS.includes(day)) errors.push(`${label}: invalid day "${raw?.day}"`);
+    else if (!Number.isInteger(slot) || slot < 1 || slot > 8) errors.push(`${label}: slot must be 1-8`);
+    else if (!subject) errors.push(`${label}: subject is required`);
+    else if (!teacherEmail) errors.push(`${label}: teacherEmail is required`);
+    else if (seen.has(`${day}#${slot}`)) errors.push(`${label}: ${day} slot ${slot} is listed twice`);
+    else {
+      seen.add(`${day}#${slot}`);
+      entries.push({ day, slot, subject, teacherEmail });
+    }
+  });
+
+  return { entries, errors };
+}
+
+// A teacher can't be scheduled in two sections at the same day/slot.
+// Sections in `replacing` are about to be overwritten, so they are not checked.
+async function findTeacherClashes(section, entries, replacing = []) {
+  const others = await Timetable.find({
+    section: { $nin: [section, ...replacing] },
+    "entries.teacherEmail": { $in: [...new Set(entries.map((e) => e.teacherEmail))] },
+  }).lean();
+
+  const clashes = [];
+  for (const e of entries) {
+    for (const other of others) {
+      const hit = other.entries.find(
+        (o) => o.teacherEmail === e.teacherEmail && o.day === e.day && o.slot === e.slot
+      );
+      if (hit) clashes.push(`${e.teacherEmail} already teaches ${other.section} on ${e.day} slot ${e.slot}`);
+    }
+  }
+  return clashes;
+}
+
+/**
+ * The class a teacher is scheduled to take on a date + slot, or null.
+ * Returns { section, day, slot, subject, teacherEmail }.
+ */
+async function findScheduledClass(teacherEmail, date, slot) {
+  const day = dayOfDate(date);
+  if (!day) return null;
+
+  const email = normalize(teacherEmail).toLowerCase();
+  const slotNum = Number(slot);
+  const timetable = await Timetable.findOne({
+    entries: { $elemMatch: { teacherEmail: email, day, slot: slotNum } },
+  }).lean();
+  if (!timetable) return null;
+
+  const entry = timetable.entries.find(
+    (e) => e.teacherEmail === email && e.day === day && e.slot === slotNum
+  );
+  return { section: timetable.section, ...entry };
+}
+
+/* ---------------------------
+2) Read APIs
+---------------------------- */
+
+// List all timetables (admin) - GET /api/timetable
+router.get("/", requireRole("admin"), async (req, res) => {
+  try {
+    const timetables = await Timetable.find().sort({ section: 1 });
+    return res.json({ timetables });
+  } catch (err) {
+    console.error("timetable list error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Caller's teaching slots, optionally for one date - GET /api/timetable/mine?date=YYYY-MM-DD
+router.get("/mine", requireRole("teacher"), async (req, res) => {
+  try {
+    const day = req.query.date ? dayOfDate(req.query.date) : null;
+    if (req.query.date && !day) {
+      return res.status(400).json({ message: "date must be in YYYY-MM-DD format" });
+    }
+
+    const timetables = await Timetable.find({ "entries.teacherEmail": req.user.email }).lean();
+    const slots = timetables
+      .flatMap((t) => t.entries.map((e) => ({ section: t.section, ...e })))
+      .filter((e) => e.teacherEmail === req.user.email && (!day || e.day === day))
+      .sort((a, b) => DAYS.indexOf(a.day) - DAYS.indexOf(b.day) || a.slot - b.slot);
+
+    return res.json({ day, slots });
+  } catch (err) {
+    console.error("timetable mine error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Scheduled class for a date/slot (pre-fills mark-attendance)
+// GET /api/timetable/slot?date=YYYY-MM-DD&slot=N[&teacherEmail=]
+router.get("/slot", requireRole("teacher", "admin"), async (req, res) => {
+  try {
+    const { date, slot } = req.query;
+    if (!dayOfDate(date) || !slot) {
+      return res.status(400).json({ message: "date (YYYY-MM-DD) and slot are required" });
+    }
+
+    const teacherEmail = req.user.role === "admin" ? req.query.teacherEmail : req.user.email;
+    if (!normalize(teacherEmail)) return res.status(400).json({ message: "teacherEmail is required" });
+
+    const scheduled = await findScheduledClass(teacherEmail, date, slot);
+    if (!scheduled) return res.status(404).json({ message: "No class scheduled for this date and slot" });
+
+    return res.json({ scheduled });
+  } catch (err) {
+    console.error("timetable slot error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// One section - GET /api/timetable/:section
+router.get("/:section", async (req, res) => {
+  try {
+    const timetable = await Timetable.findOne({ section: normalizeSection(req.params.section) });
+    if (!timetable) return res.status(404).json({ message: "Timetable not found" });
+    return res.json({ timetable });
+  } catch (err) {
+    console.error("timetable get error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+3) Admin write APIs
+---------------------------- */
+
+// Create/replace a section's schedule - PUT /api/timetable/:section  { entries: [...] }
+router.put("/:section", requireRole("admin"), async (req, res) => {
+  try {
+    const section = normalizeSection(req.params.section);
+    if (!section) return res.status(400).json({ message: "section is required" });
+
+    const { entries, errors } = validateEntries(req.body.entries);
+    errors.push(...(await findTeacherClashes(section, entries)));
+    if (errors.length) return res.status(400).json({ message: "Invalid timetable", errors });
+
+    const timetable = await Timetable.findOneAndUpdate(
+      { section },
+      { $set: { entries, updatedBy: req.user.email } },
+      { upsert: true, new: true, runValidators: true }
+    );
+    return res.json({ message: "Timetable saved", timetable });
+  } catch (err) {
+    console.error("timetable put error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Delete a section's schedule - DELETE /api/timetable/:section
+router.delete("/:section", requireRole("admin"), async (req, res) => {
+  try {
+    const result = await Timetable.deleteOne({ section: normalizeSection(req.params.section) });
+    if (!result.deletedCount) return res.status(404).json({ message: "Timetable not found" });
+    return res.json({ message: "Timetable deleted" });
+  } catch (err) {
+    console.error("timetable delete error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// Import from Excel - POST /api/timetable/import[?dryRun=true]
+// Columns: section, day, slot, subject, teacherEmail. Sections in the file are replaced.
+router.post("/import", requireRole("admin"), sheetUpload.single("file"), async (req, res) => {
+  try {
+    if (!req.file) return res.status(400).json({ message: "No file uploaded" });
+
+    const workbook = xlsx.read(req.file.buffer, { type: "buffer" });
+    const rows = xlsx.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]]);
+
+    const bySection = new Map();
+    const errors = [];
+    rows.forEach((row, i) => {
+      const section = normalizeSection(row.section);
+      if (!section) return errors.push(`row ${i + 2}: section is required`);
+      if (!bySection.has(section)) bySection.set(section, []);
+      bySection.get(section).push({ ...row, _row: i + 2 });
+    });
+
+    const validated = [];
+    const booked = new Map(); // teacher#day#slot -> section, for clashes inside the file
+    for (const [section, raw] of bySection) {
+      const result = validateEntries(raw);
+      // Re-label "entry N" with the spreadsheet row it came from
+      result.errors.forEach((e) => {
+        const n = Number(e.match(/^entry (\d+)/)[1]);
+        errors.push(e.replace(/^entry \d+/, `row ${raw[n - 1]._row} (${section})`));
+      });
+      (await findTeacherClashes(section, result.entries, [...bySection.keys()])).forEach((c) =>
+        errors.push(`${section}: ${c}`)
+      );
+      result.entries.forEach((e) => {
+        const key = `${e.teacherEmail}#${e.day}#${e.slot}`;
+        if (booked.has(key)) {
+          errors.push(`${section}: ${e.teacherEmail} is also scheduled in ${booked.get(key)} on ${e.day} slot ${e.slot}`);
+        } else {
+          booked.set(key, section);
+        }
+      });
+      validated.push({ section, entries: result.entries });
+    }
+
+    const dryRun = String(req.query.dryRun || req.body.dryRun) === "true";
+    const summary = validated.map((v) => ({ section: v.section, entries: v.entries.length }));
+
+    if (errors.length || dryRun) {
+      return res.status(errors.length ? 400 : 200).json({
+        message: errors.length ? "Timetable import has errors; nothing was saved" : "Dry run OK",
+        dryRun,
+        sections: summary,
+        errors,
+      });
+    }
+
+    await Timetable.bulkWrite(
+      validated.map((v) => ({
+        updateOne: {
+          filter: { section: v.section },
+          update: { $set: { entries: v.entries, updatedBy: req.user.email } },
+          upsert: true,
+        },
+      }))
+    );
+
+    return res.json({ message: `${validated.length} section timetables imported`, sections: summary });
+  } catch (err) {
+    console.error("timetable import error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, findScheduledClass, sameSubject };
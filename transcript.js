@@ -0,0 +1,352 @@
+// transcript.js - Printable marks cards / transcripts (PDF or HTML) with verification codes
+//
+// Every document is built as a plain content object first, then rendered.
+// That same object is stored with its verification code, so the public
+// verify endpoint can show exactly what was issued.
+
+const express = require("express");
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const rateLimit = require("express-rate-limit");
+const PDFDocument = require("pdfkit");
+const { ExamFolder, releasedFolderFilter } = require("./models");
+const { authorizeStudent } = require("./policy");
+const { computeResults, loadScale, bandFor } = require("./grading");
+
+const router = express.Router(); // /api/transcripts (authenticated)
+const verifyRouter = express.Router(); // /api/verify (public)
+
+const INSTITUTE_NAME = "CMR Institute of Technology";
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O/1/I, codes get typed in by hand
+
+const verifyLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 60,
+  message: { message: "Too many verification requests, please try again later." },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/* ---------------------------
+1) Issued document schema/model
+---------------------------- */
+const issuedDocumentSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true },
+    kind: { type: String, enum: ["marks-card", "transcript"], required: true },
+    studentEmail: { type: String, index: true },
+    rollNo: { type: String, required: true },
+    examName: String, // marks cards only
+    digest: { type: String, required: true }, // sha256 of content, to reuse codes for identical reprints
+    content: { type: mongoose.Schema.Types.Mixed, required: true },
+    issuedTo: String, // who downloaded it
+  },
+  { timestamps: true }
+);
+
+// One document per identical content, however many reprints race each other
+issuedDocumentSchema.index({ rollNo: 1, kind: 1, digest: 1 }, { unique: true, name: "rollNo_kind_digest_unique" });
+
+const IssuedDocument =
+  mongoose.models.IssuedDocument || mongoose.model("IssuedDocument", issuedDocumentSchema);
+
+/* ---------------------------
+Helpers
+---------------------------- */
+const normalize = (s) => String(s || "").trim();
+const round2 = (n) => Math.round(n * 100) / 100;
+const dash = (v) => (v === null || v === undefined || v === "" ? "-" : String(v));
+
+function newCode() {
+  const bytes = crypto.randomBytes(12);
+  const chars = [...bytes].map((b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+  return `CMR-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+}
+
+const escapeHtml = (s) =>
+  String(s).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+function studentDetails(student) {
+  return [
+    ["Name", student.name],
+    ["Roll No", student.rollNo],
+    ["Branch", student.profile?.branch || student.dept],
+    ["Section", student.profile?.section],
+  ].map(([label, value]) => ({ label, value: dash(value) }));
+}
+
+// Subject table for one exam folder, graded with the configured scale
+function folderTable(folder, scale) {
+  return {
+    heading: [
+      folder.examName,
+      folder.semester ? `Semester ${folder.semester}` : null,
+      folder.examType === "external" ? "External" : "Internal",
+    ]
+      .filter(Boolean)
+      .join(" - "),
+    columns: ["Subject", "Marks", "Max", "%", "Grade"],
+    rows: folder.subjects.map((s) => {
+      const percent = s.maxMarks > 0 ? round2((s.marksObtained / s.maxMarks) * 100) : 0;
+      return [s.subjectName, s.marksObtained, s.maxMarks, percent, bandFor(scale, percent).grade];
+    }),
+    notes: [],
+  };
+}
+
+async function buildMarksCard(student, examName) {
+  const [folders, scale] = await Promise.all([
+    ExamFolder.find({ studentRollNo: student.rollNo, examName, ...releasedFolderFilter() }).lean(),
+    loadScale(),
+  ]);
+  if (!folders.length) return null;
+
+  return {
+    title: "Marks Card",
+    student: studentDetails(student),
+    sections: folders.map((f) => folderTable(f, scale)),
+  };
+}
+
+async function buildTranscript(student) {
+  const [folders, scale, results] = await Promise.all([
+    ExamFolder.find({ studentRollNo: student.rollNo, ...releasedFolderFilter() }).sort({ semester: 1, createdAt: 1 }).lean(),
+    loadScale(),
+    computeResults(student.rollNo),
+  ]);
+  if (!folders.length) return null;
+
+  const gradeSections = results.semesters.map((sem) => ({
+    heading: `Semester ${sem.semester} - Result`,
+    columns: ["Code", "Subject", "Credits", "Total %", "Grade", "Grade Points", "Status"],
+    rows: sem.subjects.map((s) => [
+      dash(s.code),
+      s.subjectName,
+      dash(s.credits),
+      dash(s.totalPercent),
+      dash(s.grade),
+      dash(s.gradePoints),
+      s.clearedArrear ? "passed (arrear cleared)" : s.status,
+    ]),
+    notes: [
+      `SGPA: ${dash(sem.sgpa)}`,
+      `Credits earned: ${sem.earnedCredits} / ${sem.registeredCredits}`,
+      sem.backlogs.length ? `Backlogs: ${sem.backlogs.join(", ")}` : null,
+    ].filter(Boolean),
+  }));
+
+  return {
+    title: "Consolidated Transcript",
+    student: studentDetails(student),
+    sections: [...folders.map((f) => folderTable(f, scale)), ...gradeSections],
+    summary: [
+      `CGPA: ${dash(results.cgpa)}`,
+      `Total credits earned: ${results.earnedCredits}`,
+      `Backlogs: ${results.backlogCount}`,
+    ],
+  };
+}
+
+// Reuse the code of an identical earlier issue so reprints don't pile up documents
+async function issue(kind, student, examName, content, issuedTo) {
+  const digest = crypto.createHash("sha256").update(JSON.stringify(content)).digest("hex");
+
+  return IssuedDocument.findOneAndUpdate(
+    { rollNo: student.rollNo, kind, digest },
+    {
+      $setOnInsert: {
+        code: newCode(),
+        studentEmail: student.email,
+        examName: examName || undefined,
+        content,
+        issuedTo,
+      },
+    },
+    { upsert: true, new: true, runValidators: true }
+  );
+}
+
+const verifyUrl = (req, code) => `${req.protocol}://${req.get("host")}/api/verify/${code}`;
+
+function renderHtml(content, doc, url) {
+  const table = (section) => `
+    <h2>${escapeHtml(section.heading)}</h2>
+    <table>
+      <thead><tr>${section.columns.map((c) => `<th>${escapeHtml(c)}</th>`).join("")}</tr></thead>
+      <tbody>${section.rows
+        .map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(dash(cell))}</td>`).join("")}</tr>`)
+        .join("")}</tbody>
+    </table>
+    ${section.notes.map((n) => `<p class="note">${escapeHtml(n)}</p>`).join("")}`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(content.title)} - ${escapeHtml(doc.rollNo)}</title>
+<style>
+  body { font-family: Arial, sans-serif; margin: 32px; color: #111; }
+  h1 { margin: 0; font-size: 22px; } h2 { font-size: 15px; margin: 24px 0 6px; }
+  .details td { padding: 2px 16px 2px 0; }
+  table:not(.details) { border-collapse: collapse; width: 100%; }
+  table:not(.details) th, table:not(.details) td { border: 1px solid #999; padding: 4px 6px; font-size: 13px; text-align: left; }
+  .note { margin: 4px 0; font-size: 13px; }
+  .verify { margin-top: 32px; font-size: 12px; border-top: 1px solid #999; padding-top: 8px; }
+  @media print { body { margin: 12mm; } }
+</style>
+</head>
+<body>
+  <h1>${escapeHtml(INSTITUTE_NAME)}</h1>
+  <p><strong>${escapeHtml(content.title)}</strong></p>
+  <table class="details">${content.student
+    .map((d) => `<tr><td>${escapeHtml(d.label)}</td><td><strong>${escapeHtml(d.value)}</strong></td></tr>`)
+    .join("")}</table>
+  ${content.sections.map(table).join("")}
+  ${(content.summary || []).map((s) => `<p class="note"><strong>${escapeHtml(s)}</strong></p>`).join("")}
+  <div class="verify">
+    Issued ${escapeHtml(doc.createdAt.toISOString().slice(0, 10))} &middot;
+    Verification code <strong>${escapeHtml(doc.code)}</strong> &middot;
+    Verify at ${escapeHtml(url)}
+  </div>
+</body>
+</html>`;
+}
+
+function renderPdf(content, doc, url, res) {
+  const pdf = new PDFDocument({ size: "A4", margin: 40 });
+  pdf.pipe(res);
+
+  const left = pdf.page.margins.left;
+  const width = pdf.page.width - left - pdf.page.margins.right;
+
+  pdf.font("Helvetica-Bold").fontSize(16).text(INSTITUTE_NAME, { align: "center" });
+  pdf.fontSize(12).text(content.title, { align: "center" }).moveDown();
+
+  content.student.forEach((d) => {
+    pdf.font("Helvetica").fontSize(10).text(`${d.label}: `, { continued: true });
+    pdf.font("Helvetica-Bold").text(d.value);
+  });
+
+  for (const section of content.sections) {
+    pdf.moveDown().font("Helvetica-Bold").fontSize(11).text(section.heading, left);
+    // The subject column gets a double share of the width
+    const unit = width / (section.columns.length + 1);
+    const widths = section.columns.map((c) => (c === "Subject" ? unit * 2 : unit));
+
+    const drawRow = (cells, bold) => {
+      if (pdf.y > pdf.page.height - pdf.page.margins.bottom - 20) pdf.addPage();
+      const y = pdf.y + 3;
+      let x = left;
+      let height = 0;
+      pdf.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(9);
+      cells.forEach((cell, i) => {
+        pdf.text(dash(cell), x + 2, y, { width: widths[i] - 4 });
+        height = Math.max(height, pdf.y - y);
+        x += widths[i];
+      });
+      pdf.y = y + height + 3;
+      pdf.moveTo(left, pdf.y).lineTo(left + width, pdf.y).strokeColor("#999999").stroke();
+    };
+
+    drawRow(section.columns, true);
+    section.rows.forEach((row) => drawRow(row, false));
+    section.notes.forEach((n) => pdf.font("Helvetica").fontSize(9).text(n, left, pdf.y + 4));
+  }
+
+  if (content.summary) {
+    pdf.moveDown();
+    content.summary.forEach((s) => pdf.font("Helvetica-Bold").fontSize(10).text(s, left));
+  }
+
+  pdf.moveDown(2).font("Helvetica").fontSize(8).fillColor("#444444");
+  pdf.text(`Issued ${doc.createdAt.toISOString().slice(0, 10)} - Verification code ${doc.code}`, left);
+  pdf.text(`Verify at ${url}`, left);
+  pdf.end();
+}
+
+async function sendDocument(req, res, kind, student, examName, content) {
+  const format = normalize(req.query.format || "pdf").toLowerCase();
+  if (!["pdf", "html"].includes(format)) {
+    return res.status(400).json({ message: "format must be pdf or html" });
+  }
+
+  const doc = await issue(kind, student, examName, content, req.user.email);
+  const url = verifyUrl(req, doc.code);
+  const baseName = [kind, student.rollNo, examName].filter(Boolean).join("_").replace(/[^\w.-]+/g, "-");
+
+  res.setHeader("X-Verification-Code", doc.code);
+  if (format === "html") {
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    return res.send(renderHtml(content, doc, url));
+  }
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${baseName}.pdf"`);
+  return renderPdf(content, doc, url, res);
+}
+
+/* ---------------------------
+2) Download APIs (students: own; mentors/admins: their students)
+---------------------------- */
+
+// GET /api/transcripts/marks-card?examName=&rollNo=&format=pdf|html
+router.get("/marks-card", async (req, res) => {
+  try {
+    const examName = normalize(req.query.examName);
+    if (!examName) return res.status(400).json({ message: "examName is required" });
+
+    const student = await authorizeStudent(req, res, { rollNo: req.query.rollNo });
+    if (!student) return;
+
+    const content = await buildMarksCard(student, examName);
+    if (!content) return res.status(404).json({ message: "No released results for this exam" });
+
+    return await sendDocument(req, res, "marks-card", student, examName, content);
+  } catch (err) {
+    console.error("marks card error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+// GET /api/transcripts/transcript?rollNo=&format=pdf|html
+router.get("/transcript", async (req, res) => {
+  try {
+    const student = await authorizeStudent(req, res, { rollNo: req.query.rollNo });
+    if (!student) return;
+
+    const content = await buildTranscript(student);
+    if (!content) return res.status(404).json({ message: "No released results yet" });
+
+    return await sendDocument(req, res, "transcript", student, null, content);
+  } catch (err) {
+    console.error("transcript error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+/* ---------------------------
+3) Public verification
+---------------------------- */
+
+// GET /api/verify/:code
+verifyRouter.get("/:code", verifyLimiter, async (req, res) => {
+  try {
+    const code = normalize(req.params.code).toUpperCase();
+    const doc = await IssuedDocument.findOne({ code }).lean();
+    if (!doc) return res.status(404).json({ valid: false, message: "No document was issued with this code" });
+
+    return res.json({
+      valid: true,
+      code: doc.code,
+      kind: doc.kind,
+      issuedAt: doc.createdAt,
+      rollNo: doc.rollNo,
+      examName: doc.examName || null,
+      content: doc.content,
+    });
+  } catch (err) {
+    console.error("verify error:", err);
+    return res.status(500).json({ message: err?.message || "Server error" });
+  }
+});
+
+module.exports = { router, verifyRouter };
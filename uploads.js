@@ -0,0 +1,16 @@
+// uploads.js - Shared multer setup
+// Every upload is held in memory so its content can be checked (media.js)
+// before anything is written to storage.
+
+const multer = require('multer');
+
+// Leave documents: PDF / JPEG / PNG only, stored under the detected extension
+const documentUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Profile photos: content-checked and re-encoded (media.js) before they are stored
+const photoUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Roster / marks / timetable spreadsheets are read from memory; nothing is kept
+const sheetUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 5 * 1024 * 1024 } });
+
+module.exports = { documentUpload, photoUpload, sheetUpload };